@@ -11,6 +11,7 @@ let minerConfig = null;
 // Keep service worker alive
 chrome.alarms.create('keepAlive', { periodInMinutes: 1 });
 chrome.alarms.create('saveState', { periodInMinutes: 5 });
+chrome.alarms.create('compact', { periodInMinutes: 30 });
 
 /**
  * Handle alarm events
@@ -22,7 +23,7 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             const stats = miner.getStats();
             console.log('[Background] Keep-alive:', {
                 connected: stats.connected,
-                vectors: stats.engine_stats.total_vectors
+                vectors: stats.engine_stats?.total_vectors
             });
 
             // Update badge with connection status
@@ -35,11 +36,21 @@ chrome.alarms.onAlarm.addListener(async (alarm) => {
             }
         }
     } else if (alarm.name === 'saveState') {
-        // Periodically save state
+        // Safety net: the engine flushes changes itself, this catches anything left pending
         if (miner) {
+            // Expire TTL'd vectors (no-op unless the eviction policy is 'ttl')
+            await miner.engine.expireVectors();
             await miner.engine.saveAll();
             console.log('[Background] State saved');
         }
+    } else if (alarm.name === 'compact') {
+        // Rewrite fragmented collections while the miner is idle
+        if (miner) {
+            const result = await miner.compactIfIdle();
+            if (result) {
+                console.log('[Background] Compaction finished:', result);
+            }
+        }
     }
 });
 
@@ -102,6 +113,30 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     }
 });
 
+/**
+ * Handle snapshot export / import from the setup page
+ * These come through navigator.serviceWorker rather than runtime messaging so
+ * the file can be passed as a Blob (by reference, not serialised); the reply
+ * goes to the port sent along with the message
+ */
+self.addEventListener('message', (event) => {
+    const reply = event.ports[0];
+    if (!reply) return;
+
+    switch (event.data?.type) {
+        case 'exportSnapshot':
+            handleExportSnapshot(reply);
+            break;
+
+        case 'importSnapshot':
+            handleImportSnapshot(event.data.snapshot, reply);
+            break;
+
+        default:
+            reply.postMessage({ success: false, error: 'Unknown message type' });
+    }
+});
+
 /**
  * Load config from storage and start miner
  */
@@ -255,4 +290,35 @@ async function handleGetConfig(sendResponse) {
     sendResponse({ config: minerConfig });
 }
 
+async function handleExportSnapshot(reply) {
+    if (!miner) {
+        reply.postMessage({ success: false, error: 'Start the miner before exporting a snapshot' });
+        return;
+    }
+
+    try {
+        const snapshot = await miner.engine.exportSnapshot();
+        reply.postMessage({ success: true, snapshot });
+    } catch (error) {
+        console.error('[Background] Snapshot export failed:', error);
+        reply.postMessage({ success: false, error: error.message });
+    }
+}
+
+async function handleImportSnapshot(snapshot, reply) {
+    if (!miner) {
+        reply.postMessage({ success: false, error: 'Start the miner before importing a snapshot' });
+        return;
+    }
+
+    try {
+        const result = await miner.importSnapshot(snapshot);
+        console.log('[Background] Snapshot imported:', result);
+        reply.postMessage({ success: true, result });
+    } catch (error) {
+        console.error('[Background] Snapshot import failed:', error);
+        reply.postMessage({ success: false, error: error.message });
+    }
+}
+
 console.log('[Background] Service worker initialized');
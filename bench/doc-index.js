@@ -0,0 +1,122 @@
+/**
+ * doc_id Lookup Benchmark
+ * Fetch, upsert and delete of 1,000 docs in one collection, through the
+ * engine's doc_id -> slot map, against the linear scans it replaced
+ * (indexOf per requested doc, and rebuilding every array on delete).
+ *
+ *   node bench/doc-index.js [vectors=100000] [dim=384]
+ */
+
+import { VectorEngine } from '../engine.js';
+import { randomVectors } from '../test/helpers/vectors.js';
+
+const COUNT = Number(process.argv[2]) || 100000;
+const DIM = Number(process.argv[3]) || 384;
+const BATCH = 1000;
+const RUNS = 5;
+
+// The engine logs every call
+const print = console.log;
+console.log = () => {};
+
+/**
+ * The previous layout: parallel arrays searched with indexOf
+ */
+class LinearCollection {
+    constructor() {
+        this.docIds = [];
+        this.vectors = [];
+    }
+
+    fetch(docIds) {
+        const results = [];
+        for (const docId of docIds) {
+            const idx = this.docIds.indexOf(docId);
+            if (idx !== -1) {
+                results.push({ doc_id: docId, vector: Array.from(this.vectors[idx]) });
+            }
+        }
+        return results;
+    }
+
+    upsert(docIds, vectors) {
+        docIds.forEach((docId, i) => {
+            const idx = this.docIds.indexOf(docId);
+            if (idx === -1) {
+                this.docIds.push(docId);
+                this.vectors.push(vectors[i]);
+            } else {
+                this.vectors[idx] = vectors[i];
+            }
+        });
+    }
+
+    delete(docIds) {
+        const remove = new Set(docIds);
+        const docIdsKept = [];
+        const vectorsKept = [];
+        for (let i = 0; i < this.docIds.length; i++) {
+            if (!remove.has(this.docIds[i])) {
+                docIdsKept.push(this.docIds[i]);
+                vectorsKept.push(this.vectors[i]);
+            }
+        }
+        this.docIds = docIdsKept;
+        this.vectors = vectorsKept;
+    }
+}
+
+/**
+ * Median time of fn over RUNS runs; restore (untimed) undoes each run
+ */
+async function median(fn, restore = null) {
+    const times = [];
+    for (let run = 0; run < RUNS; run++) {
+        const start = performance.now();
+        await fn(run);
+        times.push(performance.now() - start);
+        await restore?.(run);
+    }
+    return times.sort((a, b) => a - b)[Math.floor(RUNS / 2)];
+}
+
+const vectors = randomVectors(COUNT, DIM, 7);
+const docIds = vectors.map((_, i) => `doc-${i}`);
+
+const engine = new VectorEngine(64);
+engine.embeddingDim = DIM;
+const linear = new LinearCollection();
+for (let start = 0; start < COUNT; start += 10000) {
+    await engine.addVectors('bench', vectors.slice(start, start + 10000), docIds.slice(start, start + 10000));
+}
+linear.upsert(docIds, vectors);
+
+// Docs spread over the whole collection, a different set each run
+const batches = Array.from({ length: RUNS }, (_, run) =>
+    Array.from({ length: BATCH }, (_, i) => docIds[(i * 7919 + run * 104729) % COUNT])
+);
+const batchVectors = batches.map(batch => batch.map(docId => vectors[Number(docId.slice(4))]));
+
+const rows = [];
+const compare = async (operation, [mapFn, mapRestore], [linearFn, linearRestore]) => {
+    const mapMs = await median(mapFn, mapRestore);
+    const linearMs = await median(linearFn, linearRestore);
+    rows.push({ operation, 'linear (ms)': linearMs.toFixed(1), 'map (ms)': mapMs.toFixed(1), speedup: `${(linearMs / mapMs).toFixed(0)}x` });
+};
+
+await compare(`fetch ${BATCH}`,
+    [run => engine.fetchVectors('bench', batches[run])],
+    [run => linear.fetch(batches[run])]);
+await compare(`upsert ${BATCH} existing`,
+    [run => engine.addVectors('bench', batchVectors[run], batches[run])],
+    [run => linear.upsert(batches[run], batchVectors[run])]);
+// Each deleted batch is put back before the next run
+await compare(`delete ${BATCH}`,
+    [run => engine.deleteVectors('bench', batches[run]),
+        run => engine.addVectors('bench', batchVectors[run], batches[run])],
+    [run => linear.delete(batches[run]),
+        run => linear.upsert(batches[run], batchVectors[run])]);
+
+console.log = print;
+console.log(`${COUNT} vectors, dim ${DIM}, median of ${RUNS} runs`);
+console.table(rows);
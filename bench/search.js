@@ -0,0 +1,111 @@
+/**
+ * Brute-force Search Benchmark
+ * Latency and heap allocation of one exact top-10 cosine query, for the
+ * previous search (a score object per vector, a full sort, both norms
+ * recomputed per pair) against the engine (vectors normalised on insert,
+ * a bounded top-k heap, scores computed a block at a time over the slab).
+ *
+ *   node --expose-gc --max-semi-space-size=256 bench/search.js [sizes=10000,100000,500000] [dim=384]
+ *
+ * Allocation is the heap growth across one query with collection in between;
+ * the large young generation keeps a query's garbage from being collected
+ * while it runs. Without --expose-gc only latency is reported.
+ */
+
+import { VectorEngine } from '../engine.js';
+import { SIMD_AVAILABLE } from '../simd.js';
+import { seededRandom } from '../test/helpers/vectors.js';
+
+const SIZES = (process.argv[2] || '10000,100000,500000').split(',').map(Number);
+const DIM = Number(process.argv[3]) || 384;
+const K = 10;
+const RUNS = 5;
+
+// The engine logs every call
+const print = console.log;
+console.log = () => {};
+
+/**
+ * The previous search over plain vectors
+ */
+function previousSearch(vectors, docIds, query, k) {
+    const scores = [];
+    for (let i = 0; i < vectors.length; i++) {
+        scores.push({ docId: docIds[i], score: cosineSimilarity(query, vectors[i]) });
+    }
+    scores.sort((a, b) => b.score - a.score);
+    return scores.slice(0, k);
+}
+
+function cosineSimilarity(a, b) {
+    let dotProduct = 0;
+    let normA = 0;
+    let normB = 0;
+    for (let i = 0; i < a.length; i++) {
+        dotProduct += a[i] * b[i];
+        normA += a[i] * a[i];
+        normB += b[i] * b[i];
+    }
+    const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+    return denominator === 0 ? 0 : dotProduct / denominator;
+}
+
+/**
+ * Median latency and allocation of RUNS queries
+ */
+async function measure(search, queries) {
+    const times = [];
+    const allocations = [];
+
+    for (const query of queries) {
+        globalThis.gc?.();
+        const heapBefore = process.memoryUsage().heapUsed;
+        const start = performance.now();
+        await search(query);
+        times.push(performance.now() - start);
+        allocations.push(process.memoryUsage().heapUsed - heapBefore);
+    }
+
+    const median = values => values.sort((a, b) => a - b)[Math.floor(values.length / 2)];
+    return { ms: median(times), bytes: globalThis.gc ? median(allocations) : null };
+}
+
+const formatBytes = bytes => bytes === null ? 'n/a'
+    : bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${(bytes / 1024).toFixed(1)} KB`;
+
+const rows = [];
+for (const size of SIZES) {
+    // One buffer holds the plain vectors; the engine copies them into its own slab
+    const random = seededRandom(size);
+    const data = new Float32Array(size * DIM);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = random() * 2 - 1;
+    }
+    const vectors = Array.from({ length: size }, (_, i) => data.subarray(i * DIM, (i + 1) * DIM));
+    const docIds = vectors.map((_, i) => `doc-${i}`);
+    const queries = Array.from({ length: RUNS }, () => Float32Array.from({ length: DIM }, () => random() * 2 - 1));
+
+    const engine = new VectorEngine(16);
+    engine.embeddingDim = DIM;
+    for (let start = 0; start < size; start += 10000) {
+        await engine.addVectors('bench', vectors.slice(start, start + 10000), docIds.slice(start, start + 10000));
+    }
+
+    const previous = await measure(query => previousSearch(vectors, docIds, query, K), queries);
+    const current = await measure(query => engine.searchBatch('bench', [query], K, null, { exact: true }), queries);
+
+    rows.push({
+        vectors: size,
+        'previous (ms)': previous.ms.toFixed(1),
+        'engine (ms)': current.ms.toFixed(1),
+        speedup: `${(previous.ms / current.ms).toFixed(1)}x`,
+        'previous alloc': formatBytes(previous.bytes),
+        'engine alloc': formatBytes(current.bytes)
+    });
+
+    await engine.dropCollection('bench');
+}
+
+console.log = print;
+console.log(`dim ${DIM}, top-${K} cosine, median of ${RUNS} queries, ${SIMD_AVAILABLE ? 'WASM SIMD' : 'JS'} kernels`);
+console.table(rows);
@@ -0,0 +1,153 @@
+/**
+ * BM25 Keyword Index
+ * Inverted index over each doc's short text field, scored with Okapi BM25:
+ *   score(d, q) = sum over query terms t of
+ *                 idf(t) * tf(t, d) * (k1 + 1) / (tf(t, d) + k1 * (1 - b + b * |d| / avgdl))
+ *   idf(t)      = ln(1 + (N - df(t) + 0.5) / (df(t) + 0.5))
+ * Text is lowercased and split on anything that isn't a letter or digit.
+ *
+ * Each slot's term frequencies are kept alongside the postings; they are
+ * what gets persisted (with the slot's segment, like HNSW links), so the
+ * postings are rebuilt on load without re-tokenising, and a removal knows
+ * which postings to drop.
+ */
+
+import { TopK } from './topk.js';
+
+export const DEFAULT_BM25_PARAMS = {
+    k1: 1.2,
+    b: 0.75
+};
+
+// Longer tokens (hashes, base64 blobs) are not indexed
+const MAX_TOKEN_LENGTH = 64;
+
+/**
+ * Split text into lowercase letter/digit tokens
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+export function tokenize(text) {
+    const tokens = text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+    return tokens.filter(token => token.length <= MAX_TOKEN_LENGTH);
+}
+
+/**
+ * Term frequencies of a text, in the form slots are indexed and persisted with
+ * @returns {Array<[string, number]>} [term, count] pairs
+ */
+export function termFrequencies(text) {
+    const counts = new Map();
+    for (const token of tokenize(text)) {
+        counts.set(token, (counts.get(token) || 0) + 1);
+    }
+    return [...counts];
+}
+
+export class Bm25Index {
+    /**
+     * @param {Object} [params]
+     * @param {number} [params.k1] - Term frequency saturation
+     * @param {number} [params.b] - Document length normalisation
+     */
+    constructor(params = {}) {
+        this.k1 = params.k1 ?? DEFAULT_BM25_PARAMS.k1;
+        this.b = params.b ?? DEFAULT_BM25_PARAMS.b;
+        this.postings = new Map(); // term -> Map(slot -> term frequency)
+        this.slotTerms = [];       // slot -> [[term, count], ...] (undefined if not indexed)
+        this.docLengths = [];      // slot -> number of tokens
+        this.docCount = 0;
+        this.totalLength = 0;
+    }
+
+    /**
+     * Index a slot (replacing what it had)
+     * @param {number} slot
+     * @param {Array<[string, number]>} terms - From termFrequencies()
+     */
+    add(slot, terms) {
+        this.remove(slot);
+        if (terms.length === 0) return;
+
+        let length = 0;
+        for (const [term, count] of terms) {
+            let posting = this.postings.get(term);
+            if (!posting) {
+                posting = new Map();
+                this.postings.set(term, posting);
+            }
+            posting.set(slot, count);
+            length += count;
+        }
+
+        this.slotTerms[slot] = terms;
+        this.docLengths[slot] = length;
+        this.docCount++;
+        this.totalLength += length;
+    }
+
+    /**
+     * Drop a slot from the index
+     */
+    remove(slot) {
+        const terms = this.slotTerms[slot];
+        if (!terms) return;
+
+        for (const [term] of terms) {
+            const posting = this.postings.get(term);
+            posting.delete(slot);
+            if (posting.size === 0) {
+                this.postings.delete(term);
+            }
+        }
+
+        this.docCount--;
+        this.totalLength -= this.docLengths[slot];
+        this.slotTerms[slot] = undefined;
+        this.docLengths[slot] = undefined;
+    }
+
+    /**
+     * Top k slots for a text query
+     * @param {string} query
+     * @param {number} k
+     * @param {Function} [accept] - slot -> boolean; other slots are skipped
+     * @returns {Array<{slot: number, score: number}>} Best first
+     */
+    search(query, k, accept = null) {
+        if (this.docCount === 0) return [];
+
+        const averageLength = this.totalLength / this.docCount;
+        const scores = new Map();
+
+        for (const term of new Set(tokenize(query))) {
+            const posting = this.postings.get(term);
+            if (!posting) continue;
+
+            const idf = Math.log(1 + (this.docCount - posting.size + 0.5) / (posting.size + 0.5));
+            for (const [slot, count] of posting) {
+                const norm = count + this.k1 * (1 - this.b + this.b * this.docLengths[slot] / averageLength);
+                scores.set(slot, (scores.get(slot) || 0) + idf * count * (this.k1 + 1) / norm);
+            }
+        }
+
+        const top = new TopK(k);
+        for (const [slot, score] of scores) {
+            if (!accept || accept(slot)) {
+                top.push(score, slot);
+            }
+        }
+
+        return top.results().map(({ item, score }) => ({ slot: item, score }));
+    }
+
+    /**
+     * Get index statistics
+     */
+    getStats() {
+        return {
+            docs: this.docCount,
+            terms: this.postings.size
+        };
+    }
+}
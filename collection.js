@@ -0,0 +1,668 @@
+/**
+ * Vector Collection
+ * Stores one collection (or shard) as a single growable slab of fixed-size
+ * slots; deleted slots go on a free list and are reused by later inserts.
+ * The slab encoding is the collection's storage mode (float32, int8 or pq,
+ * see quantization.js). PQ collections stay float32 until enough vectors
+ * have arrived to train the codebooks, then convert in place.
+ *
+ * Each collection has a metric fixed at creation: cosine, dot or l2. For
+ * cosine, vectors are normalised to unit length on insert so similarity is a
+ * plain dot product; the original norm is kept per slot so fetches can return
+ * the vector as it was stored. dot and l2 store vectors unchanged.
+ *
+ * Persisted as a small manifest plus fixed-size segment records, so a write
+ * only touches the segments whose slots changed. An optional HNSW index keeps
+ * its links per slot, so they are persisted in the same segments, as are the
+ * docs' optional text fields and their BM25 term frequencies (see bm25.js).
+ *
+ * A Merkle tree over the live docs (see merkle.js) backs integrity audits;
+ * it is not persisted and is rebuilt lazily after a reload.
+ */
+
+import { Bm25Index, termFrequencies } from './bm25.js';
+import { HnswIndex } from './hnsw.js';
+import { MerkleTree } from './merkle.js';
+import { createStorage, PqStorage } from './quantization.js';
+import { normalizeInPlace } from './vector-math.js';
+
+const INITIAL_CAPACITY = 64;
+const GROWTH_FACTOR = 1.5;
+
+// Slots per persisted segment (1024 x 384 dims = 1.5 MB as float32)
+export const SEGMENT_SIZE = 1024;
+
+// Segment index of the record holding PQ codebooks
+const CODEBOOK_SEGMENT = -1;
+
+export class VectorCollection {
+    /**
+     * @param {Object} options
+     * @param {string} options.collectionId - Collection identifier
+     * @param {string|null} options.shardId - Shard ID
+     * @param {number} options.dim - Vector dimension
+     * @param {number} [options.capacity] - Initial slot capacity
+     * @param {Object} [options.storage] - { mode, subvectors?, trainingSize? }
+     * @param {string} [options.metric] - 'cosine' (default), 'dot' or 'l2'
+     * @param {string} [options.encoded] - Mode the vectors are held in, when loading
+     *     (by default the storage mode, or float32 for PQ until trained)
+     * @param {Float32Array} [options.codebooks] - Trained codebooks, when encoded is 'pq'
+     */
+    constructor({ collectionId, shardId = null, dim, capacity = 0, storage = null, metric = 'cosine', encoded = null, codebooks = null }) {
+        this.collectionId = collectionId;
+        this.shardId = shardId;
+        this.dim = dim;
+        this.metric = metric;
+        this.capacity = capacity;
+        this.storageParams = storage || { mode: 'float32' };
+        // PQ starts as float32 until trained
+        this.storage = createStorage(
+            encoded ?? (this.storageParams.mode === 'pq' ? 'float32' : this.storageParams.mode),
+            dim,
+            capacity,
+            { subvectors: this.storageParams.subvectors, codebooks }
+        );
+        this.norms = new Float32Array(capacity); // slot -> original vector norm (1 unless cosine)
+        this.docIds = [];        // slot -> doc_id (null for free slots)
+        this.metadata = [];      // slot -> metadata (undefined if none)
+        this.expiresAt = [];     // slot -> expiry time in ms (undefined if none)
+        this.texts = [];         // slot -> text field (undefined if none)
+        this.textIndex = new Bm25Index(); // keyword index over the text fields
+        this.docIndex = new Map(); // doc_id -> slot
+        this.freeSlots = [];     // reusable slots, used as a stack
+        this.highWater = 0;      // number of slots ever handed out
+        this.dirtySegments = new Set(); // segment indexes changed since the last flush
+        this.index = null;       // HnswIndex, or null for brute-force search
+        this.lastSearchedAt = Date.now(); // for lru eviction (saved with the next manifest write)
+        this.lastWriteAt = null; // last store or delete, in ms
+        this.merkle = new MerkleTree({
+            getSlots: () => this.liveSlots(),
+            getDocId: slot => this.docIds[slot],
+            getVector: slot => this.getOriginalVector(slot)
+        });
+    }
+
+    /**
+     * Build an HNSW index over the live slots
+     * @param {{m: number, efConstruction: number, efSearch: number}} params
+     */
+    enableIndex(params) {
+        this.index = this.createIndex(params);
+        for (const slot of this.liveSlots()) {
+            this.index.insert(slot);
+        }
+        this.markAllDirty();
+    }
+
+    /**
+     * Rebuild the index from live slots only (drops tombstones)
+     */
+    rebuildIndex() {
+        if (!this.index) return;
+        const { m, efConstruction, efSearch } = this.index;
+        this.enableIndex({ m, efConstruction, efSearch });
+    }
+
+    /**
+     * Whether PQ was requested but the codebooks are not trained yet
+     */
+    get quantizerPending() {
+        return this.storageParams.mode === 'pq' && this.storage.mode !== 'pq';
+    }
+
+    /**
+     * Whether enough vectors have arrived to train PQ codebooks
+     */
+    needsTraining() {
+        return this.quantizerPending && this.size >= this.storageParams.trainingSize;
+    }
+
+    /**
+     * Train PQ codebooks on the live vectors and re-encode the collection
+     */
+    trainQuantizer() {
+        const vectors = [];
+        for (const slot of this.liveSlots()) {
+            vectors.push(this.getVector(slot));
+        }
+
+        const { subvectors } = this.storageParams;
+        const codebooks = PqStorage.train(vectors, this.dim, subvectors);
+        this.convertStorage(new PqStorage(this.dim, this.capacity, { subvectors, codebooks }));
+    }
+
+    /**
+     * Switch storage mode, re-encoding every slot (tombstones too, the index
+     * still routes through them)
+     * @param {Object} params - { mode, subvectors?, trainingSize? }
+     * @returns {boolean} true if the mode changed
+     */
+    setStorage(params) {
+        const current = this.storageParams;
+        if (current.mode === params.mode && current.subvectors === params.subvectors) {
+            return false;
+        }
+
+        this.storageParams = params;
+
+        if (params.mode !== 'pq') {
+            this.convertStorage(createStorage(params.mode, this.dim, this.capacity));
+        } else if (this.needsTraining()) {
+            this.trainQuantizer();
+        } else if (this.storage.mode !== 'float32') {
+            // Hold vectors as float32 until there are enough to train on
+            this.convertStorage(createStorage('float32', this.dim, this.capacity));
+        }
+
+        return true;
+    }
+
+    convertStorage(next) {
+        for (let slot = 0; slot < this.highWater; slot++) {
+            next.write(slot, this.storage.read(slot));
+        }
+        this.storage = next;
+        this.markAllDirty();
+        // Lossy modes change what fetch returns
+        this.merkle.invalidateAll();
+    }
+
+    /**
+     * Move live docs down over free slots and shrink the slab to fit them exactly
+     * Slots change, so the index is rebuilt and every segment is rewritten
+     * @returns {number} Bytes reclaimed
+     */
+    compact() {
+        const live = this.size;
+        if (live === this.capacity) return 0;
+
+        const before = this.getBytesUsed();
+        const { mode, subvectors, codebooks } = this.storage;
+        const storage = createStorage(mode, this.dim, live, { subvectors, codebooks });
+        const norms = new Float32Array(live);
+        const docIds = new Array(live);
+        const metadata = [];
+        const expiresAt = [];
+        const texts = [];
+        const textIndex = new Bm25Index(this.textIndex);
+
+        // Copy runs of consecutive live slots at a time
+        let next = 0;
+        let slot = 0;
+        while (slot < this.highWater) {
+            if (this.docIds[slot] === null) {
+                slot++;
+                continue;
+            }
+
+            let end = slot;
+            while (end < this.highWater && this.docIds[end] !== null) {
+                end++;
+            }
+
+            storage.importRange(next, this.storage.exportRange(slot, end));
+            norms.set(this.norms.subarray(slot, end), next);
+
+            for (let from = slot; from < end; from++, next++) {
+                docIds[next] = this.docIds[from];
+                this.docIndex.set(docIds[next], next);
+                if (this.metadata[from] !== undefined) metadata[next] = this.metadata[from];
+                if (this.expiresAt[from] !== undefined) expiresAt[next] = this.expiresAt[from];
+                if (this.texts[from] !== undefined) {
+                    texts[next] = this.texts[from];
+                    textIndex.add(next, this.textIndex.slotTerms[from]);
+                }
+            }
+            slot = end;
+        }
+
+        this.storage = storage;
+        this.norms = norms;
+        this.docIds = docIds;
+        this.metadata = metadata;
+        this.expiresAt = expiresAt;
+        this.texts = texts;
+        this.textIndex = textIndex;
+        this.freeSlots = [];
+        this.highWater = live;
+        this.capacity = live;
+        this.dirtySegments.clear();
+        this.merkle.invalidateAll();
+
+        if (this.index) {
+            this.rebuildIndex();
+        } else {
+            this.markAllDirty();
+        }
+
+        return before - this.getBytesUsed();
+    }
+
+    createIndex(params) {
+        return new HnswIndex({
+            ...params,
+            metric: this.metric,
+            getVector: slot => this.getVector(slot),
+            onChange: slot => this.markSlotDirty(slot)
+        });
+    }
+
+    /**
+     * Number of live vectors
+     */
+    get size() {
+        return this.docIndex.size;
+    }
+
+    /**
+     * Whether enough used slots are free (deleted docs, and HNSW tombstones
+     * with them) that compacting is worthwhile
+     * @param {number} minFreeRatio - Share of used slots that must be free
+     * @param {number} minFreeSlots - ...and at least this many
+     */
+    isFragmented(minFreeRatio, minFreeSlots) {
+        const free = this.freeSlots.length;
+        return free >= minFreeSlots && free >= this.highWater * minFreeRatio;
+    }
+
+    /**
+     * Number of persisted segments covering the used slots
+     */
+    get segmentCount() {
+        return Math.ceil(this.highWater / SEGMENT_SIZE);
+    }
+
+    /**
+     * Bytes actually allocated for vector data (encoded slab, codebooks and norms)
+     */
+    getBytesUsed() {
+        return this.storage.getBytesUsed() + this.norms.byteLength;
+    }
+
+    /**
+     * Fixed bytes the storage holds besides vector data (SIMD slab scratch areas and page rounding)
+     */
+    getOverheadBytes() {
+        return this.storage.getOverheadBytes();
+    }
+
+    /**
+     * Bytes the live vectors would take as uncompressed float32
+     */
+    getRawBytes() {
+        return this.size * this.dim * 4;
+    }
+
+    /**
+     * How many bytes the slab would grow by to fit `count` new docs
+     * @param {number} count - Number of new docs
+     * @param {boolean} [exact] - Grow only to the exact size needed
+     */
+    growthBytes(count, exact = false) {
+        const target = this.targetCapacity(count, exact);
+        return (target - this.capacity) * (this.storage.bytesPerVector + 4);
+    }
+
+    /**
+     * Slot capacity needed to hold `count` new docs
+     */
+    targetCapacity(count, exact) {
+        const needed = this.highWater + Math.max(0, count - this.freeSlots.length);
+        if (needed <= this.capacity) {
+            return this.capacity;
+        }
+        if (exact) {
+            return needed;
+        }
+        return Math.max(needed, INITIAL_CAPACITY, Math.ceil(this.capacity * GROWTH_FACTOR));
+    }
+
+    /**
+     * Make sure `count` new docs fit without reallocating mid-insert
+     */
+    reserve(count, exact = false) {
+        const target = this.targetCapacity(count, exact);
+        if (target === this.capacity) return;
+
+        this.storage.resize(target, this.highWater);
+
+        const norms = new Float32Array(target);
+        norms.set(this.norms.subarray(0, this.highWater));
+        this.norms = norms;
+
+        this.capacity = target;
+    }
+
+    /**
+     * Insert or overwrite the vector for a doc
+     * @param {string} docId
+     * @param {Float32Array} vector
+     * @param {Object|null} [metadata] - Replaces the doc's metadata; left as is if undefined
+     * @param {number|null} [expiresAt] - Expiry time in ms, null for none
+     * @param {string|null} [text] - Replaces the doc's keyword-indexed text; left as is if undefined
+     * @returns {{slot: number, inserted: boolean}}
+     */
+    upsert(docId, vector, metadata, expiresAt = null, text = undefined) {
+        let slot = this.docIndex.get(docId);
+        const inserted = slot === undefined;
+
+        if (inserted) {
+            slot = this.freeSlots.length > 0 ? this.freeSlots.pop() : this.highWater++;
+            if (slot >= this.capacity) {
+                this.reserve(1);
+            }
+            this.docIds[slot] = docId;
+            this.docIndex.set(docId, slot);
+        }
+
+        if (this.metric === 'cosine') {
+            const unit = Float32Array.from(vector);
+            this.norms[slot] = normalizeInPlace(unit);
+            this.storage.write(slot, unit);
+        } else {
+            this.norms[slot] = 1;
+            this.storage.write(slot, vector);
+        }
+        if (metadata !== undefined) {
+            this.metadata[slot] = metadata ?? undefined;
+        }
+        this.expiresAt[slot] = expiresAt ?? undefined;
+        if (text !== undefined) {
+            this.texts[slot] = text ?? undefined;
+            this.textIndex.add(slot, text ? termFrequencies(text) : []);
+        }
+        this.markSlotDirty(slot);
+        this.merkle.invalidate(slot, inserted);
+        this.index?.insert(slot);
+        return { slot, inserted };
+    }
+
+    /**
+     * Remove a doc, freeing its slot
+     * @returns {boolean} true if the doc existed
+     */
+    remove(docId) {
+        const slot = this.docIndex.get(docId);
+        if (slot === undefined) return false;
+
+        this.docIndex.delete(docId);
+        this.docIds[slot] = null;
+        this.metadata[slot] = undefined;
+        this.expiresAt[slot] = undefined;
+        this.texts[slot] = undefined;
+        this.textIndex.remove(slot);
+        this.freeSlots.push(slot);
+        this.markSlotDirty(slot);
+        this.merkle.invalidate(slot, true);
+        // The vector stays in the slab so the index can still route through the tombstone
+        this.index?.remove(slot);
+
+        return true;
+    }
+
+    /**
+     * Doc IDs whose expiry time is at or before `now`
+     */
+    expiredDocIds(now) {
+        const expired = [];
+        this.expiresAt.forEach((expiresAt, slot) => {
+            if (expiresAt !== undefined && expiresAt <= now && this.docIds[slot] !== null) {
+                expired.push(this.docIds[slot]);
+            }
+        });
+        return expired;
+    }
+
+    /**
+     * Mark the segment holding a slot as needing a write
+     */
+    markSlotDirty(slot) {
+        this.dirtySegments.add(Math.floor(slot / SEGMENT_SIZE));
+    }
+
+    /**
+     * Mark every segment as needing a write (e.g. after converting an old record)
+     */
+    markAllDirty() {
+        this.segmentIndexes().forEach(index => this.dirtySegments.add(index));
+    }
+
+    /**
+     * Index of every segment record the collection has, the PQ codebook record first
+     */
+    segmentIndexes() {
+        const indexes = this.storage.mode === 'pq' ? [CODEBOOK_SEGMENT] : [];
+        for (let n = 0; n < this.segmentCount; n++) {
+            indexes.push(n);
+        }
+        return indexes;
+    }
+
+    /**
+     * Whether a segment record index is one the collection has
+     */
+    hasSegment(index) {
+        return index === CODEBOOK_SEGMENT
+            ? this.storage.mode === 'pq'
+            : index >= 0 && index < this.segmentCount;
+    }
+
+    /**
+     * Return and clear the dirty segment indexes
+     */
+    takeDirtySegments() {
+        const segments = [...this.dirtySegments].sort((a, b) => a - b);
+        this.dirtySegments.clear();
+        return segments;
+    }
+
+    /**
+     * Slot of a doc, or undefined
+     */
+    slotOf(docId) {
+        return this.docIndex.get(docId);
+    }
+
+    /**
+     * Unit-length vector in a slot: a view for float32 storage, a decoded
+     * (approximate) copy for int8/pq
+     */
+    getVector(slot) {
+        return this.storage.read(slot);
+    }
+
+    /**
+     * Kernel the storage scores with: squared distance for l2, dot product otherwise
+     */
+    get kernel() {
+        return this.metric === 'l2' ? 'l2' : 'dot';
+    }
+
+    /**
+     * Scoring function for a query (unit-length for cosine; asymmetric for int8/pq)
+     * @returns {Function} slot -> dot product, or squared distance for l2
+     */
+    scorer(query) {
+        return this.storage.scorer(query, this.kernel);
+    }
+
+    /**
+     * Block scoring function for a query (SIMD for float32 when available)
+     * @returns {Function} (start, count) -> Float32Array of scores for slots [start, start + count)
+     */
+    batchScorer(query) {
+        return this.storage.batchScorer(query, this.kernel);
+    }
+
+    /**
+     * Copy of the vector in a slot with its norm restored (lossy for int8/pq)
+     */
+    getOriginalVector(slot) {
+        const vector = Float32Array.from(this.getVector(slot));
+        const length = this.norms[slot];
+        if (length > 0) {
+            for (let i = 0; i < vector.length; i++) {
+                vector[i] *= length;
+            }
+        }
+        return vector;
+    }
+
+    /**
+     * Iterate live slots
+     */
+    *liveSlots() {
+        for (let slot = 0; slot < this.highWater; slot++) {
+            if (this.docIds[slot] !== null) {
+                yield slot;
+            }
+        }
+    }
+
+    /**
+     * Manifest record for the `collections` store
+     */
+    toManifest(id) {
+        return {
+            id,
+            collectionId: this.collectionId,
+            shardId: this.shardId,
+            dim: this.dim,
+            metric: this.metric,
+            highWater: this.highWater,
+            segmentSize: SEGMENT_SIZE,
+            segmentCount: this.segmentCount,
+            normalized: true,
+            storage: { ...this.storageParams, encoded: this.storage.mode },
+            index: this.index ? this.index.getState() : null,
+            lastSearchedAt: this.lastSearchedAt,
+            lastWriteAt: this.lastWriteAt,
+            savedAt: new Date().toISOString()
+        };
+    }
+
+    /**
+     * Segment record for the `segments` store; encoded vectors are binary ArrayBuffers
+     * Index -1 holds the PQ codebooks
+     * @param {string} key - Collection key
+     * @param {number} index - Segment index
+     */
+    toSegment(key, index) {
+        if (index === CODEBOOK_SEGMENT) {
+            return { collectionKey: key, index, codebooks: this.storage.codebooks.slice().buffer };
+        }
+
+        const start = index * SEGMENT_SIZE;
+        const end = Math.min(start + SEGMENT_SIZE, this.highWater);
+
+        return {
+            collectionKey: key,
+            index,
+            ...this.storage.exportRange(start, end),
+            norms: this.norms.slice(start, end).buffer,
+            docIds: this.docIds.slice(start, end),
+            metadata: this.metadata.slice(start, end),
+            expiresAt: this.expiresAt.slice(start, end),
+            // The keyword index is persisted as each slot's term frequencies
+            texts: this.texts.slice(start, end),
+            terms: this.textIndex.slotTerms.slice(start, end),
+            links: this.index ? this.index.nodes.slice(start, end) : null
+        };
+    }
+
+    /**
+     * Restore from a manifest and its segment records
+     */
+    static fromManifest(manifest, segments) {
+        const { encoded = 'float32', ...storageParams } = manifest.storage || { mode: 'float32' };
+        const codebookSegment = encoded === 'pq'
+            ? segments.find(segment => segment.index === CODEBOOK_SEGMENT)
+            : null;
+        const collection = new VectorCollection({
+            collectionId: manifest.collectionId,
+            shardId: manifest.shardId,
+            dim: manifest.dim,
+            capacity: manifest.highWater,
+            storage: storageParams,
+            metric: manifest.metric || 'cosine',
+            encoded,
+            codebooks: codebookSegment ? new Float32Array(codebookSegment.codebooks) : null
+        });
+        const { segmentSize } = manifest;
+
+        collection.highWater = manifest.highWater;
+        collection.docIds = new Array(manifest.highWater).fill(null);
+        collection.lastSearchedAt = manifest.lastSearchedAt ?? Date.now();
+        collection.lastWriteAt = manifest.lastWriteAt ?? null;
+
+        for (const segment of segments) {
+            if (segment.index < 0 || segment.index >= manifest.segmentCount) continue;
+
+            const start = segment.index * segmentSize;
+            collection.storage.importRange(start, segment);
+            if (segment.norms) {
+                collection.norms.set(new Float32Array(segment.norms), start);
+            }
+            segment.docIds.forEach((docId, i) => {
+                collection.docIds[start + i] = docId;
+            });
+            segment.metadata.forEach((meta, i) => {
+                collection.metadata[start + i] = meta;
+            });
+            segment.expiresAt?.forEach((expiresAt, i) => {
+                collection.expiresAt[start + i] = expiresAt;
+            });
+            segment.texts?.forEach((text, i) => {
+                if (text !== null && text !== undefined) {
+                    collection.texts[start + i] = text;
+                }
+            });
+            segment.terms?.forEach((terms, i) => {
+                if (terms) {
+                    collection.textIndex.add(start + i, terms);
+                }
+            });
+        }
+
+        // Segments written before normalisation: normalise now and rewrite them
+        if (!manifest.normalized) {
+            for (let slot = 0; slot < manifest.highWater; slot++) {
+                collection.norms[slot] = normalizeInPlace(collection.getVector(slot));
+            }
+            collection.markAllDirty();
+        }
+
+        // Free list is implied by empty slots; push high to low so low slots are reused first
+        for (let slot = manifest.highWater - 1; slot >= 0; slot--) {
+            const docId = collection.docIds[slot];
+            if (docId === null) {
+                collection.freeSlots.push(slot);
+            } else {
+                collection.docIndex.set(docId, slot);
+            }
+        }
+
+        if (manifest.index) {
+            const { m, efConstruction, efSearch, entryPoint, maxLevel } = manifest.index;
+            const index = collection.createIndex({ m, efConstruction, efSearch });
+
+            for (const segment of segments) {
+                if (segment.index < 0 || segment.index >= manifest.segmentCount || !segment.links) continue;
+
+                const start = segment.index * segmentSize;
+                segment.links.forEach((links, i) => {
+                    if (links) {
+                        // Links on a free slot are a tombstone
+                        index.restoreNode(start + i, links, collection.docIds[start + i] === null);
+                    }
+                });
+            }
+
+            index.entryPoint = entryPoint;
+            index.maxLevel = maxLevel;
+            collection.index = index;
+        }
+
+        return collection;
+    }
+}
@@ -0,0 +1,163 @@
+/**
+ * Coordinator Endpoint Pool
+ * Tracks an ordered list of coordinator endpoints and picks the healthiest one
+ * based on connect latency and recent failures, preferring earlier entries
+ */
+
+// Each step down the preference list costs this much (ms-equivalent)
+const PRIORITY_PENALTY_MS = 250;
+// Each recent failure costs this much (ms-equivalent)
+const FAILURE_PENALTY_MS = 5000;
+// Failures older than this no longer count against an endpoint
+const FAILURE_WINDOW_MS = 5 * 60 * 1000;
+// Smoothing factor for connect latency
+const LATENCY_ALPHA = 0.3;
+
+export class CoordinatorPool {
+    /**
+     * @param {Array<string>} urls - Endpoints in order of preference
+     */
+    constructor(urls) {
+        const unique = [...new Set((urls || []).filter(Boolean))];
+
+        // Registration sends the miner secret, so never over an unencrypted socket
+        // (configs saved before setup enforced wss:// may still list ws:// endpoints)
+        const insecure = unique.filter(url => !url.startsWith('wss://'));
+        if (insecure.length > 0) {
+            console.warn('[Coordinators] Ignoring non-wss:// endpoints:', insecure);
+        }
+        const secure = unique.filter(url => url.startsWith('wss://'));
+
+        if (secure.length === 0) {
+            throw new Error('At least one wss:// coordinator URL is required');
+        }
+
+        this.endpoints = secure.map((url, priority) => ({
+            url,
+            priority,
+            latencyMs: null,
+            failures: [],
+            lastConnectedAt: null
+        }));
+        this.active = null;
+    }
+
+    /**
+     * Build a pool from miner config (coordinator_urls, falling back to coordinator_url)
+     */
+    static fromConfig(config) {
+        const urls = Array.isArray(config.coordinator_urls) && config.coordinator_urls.length > 0
+            ? config.coordinator_urls
+            : [config.coordinator_url];
+        return new CoordinatorPool(urls);
+    }
+
+    /**
+     * Pick the endpoint with the lowest score and mark it active
+     * @returns {string} Endpoint URL
+     */
+    select() {
+        const now = Date.now();
+        let best = null;
+        let bestScore = Infinity;
+
+        for (const endpoint of this.endpoints) {
+            const score = this.score(endpoint, now);
+            if (score < bestScore) {
+                best = endpoint;
+                bestScore = score;
+            }
+        }
+
+        if (this.active && this.active !== best.url) {
+            console.log(`[Coordinators] Switching from ${this.active} to ${best.url}`);
+        }
+
+        this.active = best.url;
+        return best.url;
+    }
+
+    /**
+     * Lower is better: preference order + smoothed latency + recent failures
+     */
+    score(endpoint, now = Date.now()) {
+        const recentFailures = this.pruneFailures(endpoint, now);
+        return endpoint.priority * PRIORITY_PENALTY_MS +
+            (endpoint.latencyMs ?? 0) +
+            recentFailures * FAILURE_PENALTY_MS;
+    }
+
+    /**
+     * Drop failures outside the window and return how many remain
+     */
+    pruneFailures(endpoint, now = Date.now()) {
+        endpoint.failures = endpoint.failures.filter(t => now - t < FAILURE_WINDOW_MS);
+        return endpoint.failures.length;
+    }
+
+    /**
+     * Record a successful connection and its connect latency
+     */
+    recordConnected(url, latencyMs) {
+        const endpoint = this.find(url);
+        if (!endpoint) return;
+
+        endpoint.latencyMs = endpoint.latencyMs === null
+            ? latencyMs
+            : Math.round(LATENCY_ALPHA * latencyMs + (1 - LATENCY_ALPHA) * endpoint.latencyMs);
+        endpoint.lastConnectedAt = Date.now();
+    }
+
+    /**
+     * Record a failed connect or an unexpected drop
+     */
+    recordFailure(url) {
+        const endpoint = this.find(url);
+        if (!endpoint) return;
+
+        endpoint.failures.push(Date.now());
+        console.warn(`[Coordinators] Failure recorded for ${url} (${this.pruneFailures(endpoint)} recent)`);
+    }
+
+    /**
+     * Whether the active endpoint is a fallback and a better-ranked one is
+     * available again (its failures have cooled down)
+     */
+    shouldFailBack() {
+        if (!this.active) return false;
+
+        const now = Date.now();
+        const current = this.find(this.active);
+        return this.endpoints.some(endpoint =>
+            endpoint.priority < current.priority &&
+            this.score(endpoint, now) < this.score(current, now)
+        );
+    }
+
+    /**
+     * Whether the active endpoint is the most preferred one
+     */
+    isPreferredActive() {
+        return this.active === this.endpoints[0].url;
+    }
+
+    find(url) {
+        return this.endpoints.find(endpoint => endpoint.url === url) || null;
+    }
+
+    /**
+     * Get endpoint statistics
+     */
+    getStats() {
+        const now = Date.now();
+        return this.endpoints.map(endpoint => ({
+            url: endpoint.url,
+            priority: endpoint.priority,
+            active: endpoint.url === this.active,
+            latency_ms: endpoint.latencyMs,
+            recent_failures: this.pruneFailures(endpoint, now),
+            score: Math.round(this.score(endpoint, now)),
+            last_connected: endpoint.lastConnectedAt ? new Date(endpoint.lastConnectedAt).toISOString() : null
+        }));
+    }
+}
@@ -0,0 +1,331 @@
+/**
+ * Vector Engine Client
+ * Stands in for VectorEngine on the service worker thread. The engine itself
+ * runs in engine-worker.js, inside an offscreen document (engine-host.html);
+ * calls go over a MessagePort with query and store vectors transferred, not
+ * copied. getStats for heartbeats, and collection lookups, are answered from
+ * the state the worker sends after every call, so they never wait behind a
+ * slow search. That state can be stale, so checks against a collection's
+ * dimension or metric are left to the engine in the worker.
+ */
+
+import { collectTransferables, deserializeError } from './engine-rpc.js';
+
+const HOST_URL = 'engine-host.html';
+
+// A read the worker hasn't answered by then is failed (the host may have gone away)
+const RPC_TIMEOUT_MS = 60000;
+// Loading a large store from IndexedDB takes a while, but a connect must not hang forever
+const INIT_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Calls that change the store: the worker may still apply one after a timeout, so these
+// are only failed once the host is gone or has restarted the worker, never while it works
+const MUTATING_METHODS = new Set([
+    'addVectors',
+    'deleteVectors',
+    'dropCollection',
+    'compactCollection',
+    'expireVectors',
+    'saveAll',
+    'runCompaction',
+    'importSnapshot',
+    'setMeta'
+]);
+
+export class EngineClient {
+    constructor(maxRAM_GB) {
+        this.maxRAM_GB = maxRAM_GB;
+        // Engine settings, sent to the worker on init (same defaults as VectorEngine)
+        this.embeddingDim = 384;
+        this.defaultIndex = null;
+        this.evictionPolicy = 'reject';
+        this.onEviction = null;
+        this.port = null;
+        this.control = null; // Host -> client notices (engine-host.js)
+        this.connecting = null;
+        this.nextCallId = 1;
+        this.pending = new Map(); // call id -> {resolve, reject, timer}
+        this.stats = null;        // engine stats as of the last call
+        this.collections = new Map(); // collection key -> summary as of the last call
+    }
+
+    /**
+     * Start the engine host if needed, connect and load the engine
+     */
+    async init() {
+        console.log('[EngineClient] Connecting to engine worker...');
+        await this.connect();
+        console.log('[EngineClient] Engine ready');
+    }
+
+    /**
+     * Open a channel to the worker and (re)initialise its engine
+     * Shared by concurrent callers
+     */
+    connect() {
+        if (!this.connecting) {
+            this.connecting = this.openChannel()
+                .then(() => this.call('init', [{
+                    maxRAM_GB: this.maxRAM_GB,
+                    embeddingDim: this.embeddingDim,
+                    defaultIndex: this.defaultIndex,
+                    evictionPolicy: this.evictionPolicy
+                }], INIT_TIMEOUT_MS))
+                .catch(error => {
+                    this.disconnect();
+                    throw error;
+                });
+        }
+        return this.connecting;
+    }
+
+    async openChannel() {
+        let host = await this.findHost();
+        if (!host) {
+            await chrome.offscreen.createDocument({
+                url: HOST_URL,
+                reasons: ['WORKERS'],
+                justification: 'Runs vector search and storage in a worker so the service worker stays responsive'
+            });
+            host = await this.findHost();
+        }
+        if (!host) {
+            throw new Error('Engine host document did not start');
+        }
+
+        const channel = new MessageChannel();
+        const control = new MessageChannel();
+        this.port = channel.port1;
+        this.port.onmessage = event => this.handleMessage(event.data);
+        this.control = control.port1;
+        this.control.onmessage = event => this.handleHostMessage(event.data);
+        host.postMessage({ type: 'engine_connect' }, [channel.port2, control.port2]);
+    }
+
+    async findHost() {
+        const url = chrome.runtime.getURL(HOST_URL);
+        const clients = await self.clients.matchAll({ includeUncontrolled: true });
+        return clients.find(client => client.url === url) || null;
+    }
+
+    /**
+     * Drop the channel; pending calls fail and the next call reconnects
+     * @param {Error} [error] - What pending calls are rejected with
+     */
+    disconnect(error = new Error('Engine worker disconnected')) {
+        if (this.port) {
+            this.port.close();
+            this.port = null;
+        }
+        if (this.control) {
+            this.control.close();
+            this.control = null;
+        }
+        this.connecting = null;
+
+        for (const [id, call] of this.pending) {
+            clearTimeout(call.timer);
+            call.reject(error);
+            this.pending.delete(id);
+        }
+    }
+
+    /**
+     * The host replaced a crashed or unresponsive worker: nothing will answer the
+     * pending calls, and writes among them may or may not have been applied
+     */
+    handleHostMessage(message) {
+        if (message.type !== 'engine_restarted') return;
+
+        console.error('[EngineClient] Engine worker was restarted:', message.reason);
+        const error = new Error(`Engine worker restarted (${message.reason}); the call may not have completed`);
+        error.code = 'engine_restarted';
+        this.disconnect(error);
+    }
+
+    handleMessage(message) {
+        if (message.type === 'state') {
+            this.stats = message.stats;
+            this.collections = new Map(message.collections.map(summary =>
+                [this.getCollectionKey(summary.collection_id, summary.shard_id), summary]
+            ));
+            return;
+        }
+
+        if (message.type === 'eviction') {
+            if (this.onEviction) {
+                this.onEviction(message.eviction);
+            }
+            return;
+        }
+
+        const call = this.pending.get(message.id);
+        if (!call) return;
+
+        this.pending.delete(message.id);
+        clearTimeout(call.timer);
+
+        if (message.error) {
+            call.reject(deserializeError(message.error));
+        } else {
+            call.resolve(message.result);
+        }
+    }
+
+    /**
+     * Call an engine method in the worker
+     * @param {string} method - One of RPC_METHODS
+     * @param {Array} args - Arguments; typed array buffers in them are transferred
+     * @param {number} [timeoutMs] - 0 waits indefinitely
+     */
+    async call(method, args, timeoutMs = RPC_TIMEOUT_MS) {
+        if (!this.port) {
+            await this.connect();
+        }
+
+        const id = this.nextCallId++;
+        return new Promise((resolve, reject) => {
+            const call = { resolve, reject, timer: null };
+            if (timeoutMs > 0) {
+                call.timer = setTimeout(() => this.handleTimeout(id, call, method, timeoutMs), timeoutMs);
+            }
+
+            this.pending.set(id, call);
+            this.port.postMessage({ id, method, args }, collectTransferables(args));
+        });
+    }
+
+    /**
+     * A call ran past its timeout. If the host has gone away nothing will answer:
+     * fail every pending call and reconnect on the next one. Otherwise fail a read,
+     * but keep waiting on a write, which the worker may still commit
+     */
+    async handleTimeout(id, call, method, timeoutMs) {
+        const host = await this.findHost().catch(() => null);
+        if (this.pending.get(id) !== call) return; // answered meanwhile
+
+        if (!host) {
+            this.disconnect();
+            return;
+        }
+
+        if (MUTATING_METHODS.has(method)) {
+            console.warn(`[EngineClient] ${method} still running after ${timeoutMs}ms, waiting for it`);
+            call.timer = setTimeout(() => this.handleTimeout(id, call, method, timeoutMs), timeoutMs);
+            return;
+        }
+
+        this.pending.delete(id);
+        const error = new Error(`Engine call ${method} timed out after ${timeoutMs}ms`);
+        error.code = 'engine_timeout';
+        call.reject(error);
+    }
+
+    // Engine API (see engine.js for parameters); vectors passed in are detached afterwards
+
+    addVectors(collectionId, vectors, docIds, shardId = null, options = {}) {
+        return this.call('addVectors', [collectionId, vectors, docIds, shardId, options]);
+    }
+
+    /**
+     * @param {Object} [options.filter] - Filter expression (compiled in the worker)
+     */
+    searchBatch(collectionId, queryVectors, k = 10, shardId = null, options = {}) {
+        return this.call('searchBatch', [collectionId, queryVectors, k, shardId, options]);
+    }
+
+    /**
+     * @param {Object} [options.filter] - Filter expression (compiled in the worker)
+     */
+    hybridSearch(collectionId, queryVector, textQuery, k = 10, shardId = null, options = {}) {
+        return this.call('hybridSearch', [collectionId, queryVector, textQuery, k, shardId, options]);
+    }
+
+    fetchVectors(collectionId, docIds, options = {}) {
+        return this.call('fetchVectors', [collectionId, docIds, options]);
+    }
+
+    deleteVectors(collectionId, docIds) {
+        return this.call('deleteVectors', [collectionId, docIds]);
+    }
+
+    dropCollection(collectionId, shardId = null) {
+        return this.call('dropCollection', [collectionId, shardId]);
+    }
+
+    compactCollection(collectionId, shardId = null) {
+        return this.call('compactCollection', [collectionId, shardId]);
+    }
+
+    describeCollection(collectionId, shardId = null) {
+        return this.call('describeCollection', [collectionId, shardId]);
+    }
+
+    auditCollection(collectionId, shardId, docIds) {
+        return this.call('auditCollection', [collectionId, shardId, docIds]);
+    }
+
+    expireVectors() {
+        return this.call('expireVectors', []);
+    }
+
+    saveAll() {
+        return this.call('saveAll', []);
+    }
+
+    runCompaction() {
+        return this.call('runCompaction', [], 0);
+    }
+
+    /**
+     * @returns {Promise<Blob>} Snapshot file (can take a while for a large store, so no timeout)
+     */
+    exportSnapshot() {
+        return this.call('exportSnapshot', [], 0);
+    }
+
+    /**
+     * @param {Blob|ArrayBuffer} snapshot - Snapshot file (an ArrayBuffer is transferred)
+     */
+    importSnapshot(snapshot) {
+        return this.call('importSnapshot', [snapshot], 0);
+    }
+
+    getMeta(key) {
+        return this.call('getMeta', [key]);
+    }
+
+    setMeta(key, value) {
+        return this.call('setMeta', [key, value]);
+    }
+
+    // Answered from the last state snapshot
+
+    getCollectionKey(collectionId, shardId) {
+        return shardId ? `${collectionId}:${shardId}` : collectionId;
+    }
+
+    getCollectionDim(collectionId, shardId = null) {
+        return this.collections.get(this.getCollectionKey(collectionId, shardId))?.dim ?? null;
+    }
+
+    getCollectionMetric(collectionId, shardId = null) {
+        return this.collections.get(this.getCollectionKey(collectionId, shardId))?.metric ?? null;
+    }
+
+    listCollections() {
+        return [...this.collections.values()];
+    }
+
+    /**
+     * Engine stats as of the last call (null before init), plus calls in flight
+     */
+    getStats() {
+        if (!this.stats) return null;
+
+        return {
+            ...this.stats,
+            pending_calls: this.pending.size
+        };
+    }
+}
@@ -0,0 +1,72 @@
+/**
+ * Vector Engine Host (offscreen document)
+ * MV3 service workers can't start workers, so this document starts
+ * engine-worker.js and passes it the MessagePort each service worker
+ * connection sends, after which the two talk directly.
+ *
+ * The host also watches the worker: a worker that crashed (e.g. out of
+ * memory) or stopped answering pings is replaced, and the connected service
+ * worker is told over its control port, so its pending calls fail instead
+ * of waiting forever. The new engine reloads from IndexedDB on the next init.
+ */
+
+// Ping the worker this often...
+const PING_INTERVAL_MS = 15000;
+// ...and restart it if nothing has answered for this long (a long index build blocks its thread)
+const UNRESPONSIVE_MS = 120000;
+
+let worker = null;
+let lastPongAt = 0;
+let control = null; // Control port of the connected service worker
+
+function startWorker() {
+    worker = new Worker('engine-worker.js', { type: 'module' });
+    lastPongAt = Date.now();
+
+    worker.onmessage = (event) => {
+        if (event.data?.type === 'pong') {
+            lastPongAt = Date.now();
+        }
+    };
+
+    // An uncaught error doesn't always stop a worker: ping now and let the watchdog decide
+    worker.onerror = (event) => {
+        console.error('[EngineHost] Engine worker error:', event.message);
+        worker.postMessage({ type: 'ping' });
+    };
+
+    worker.onmessageerror = () => {
+        console.error('[EngineHost] Could not read a message from the engine worker');
+    };
+}
+
+function restartWorker(reason) {
+    console.error(`[EngineHost] Restarting engine worker: ${reason}`);
+    worker.terminate();
+    startWorker();
+
+    // Its port went with the old worker: the service worker has to reconnect
+    control?.postMessage({ type: 'engine_restarted', reason });
+    control?.close();
+    control = null;
+}
+
+setInterval(() => {
+    if (Date.now() - lastPongAt > UNRESPONSIVE_MS) {
+        restartWorker(`no reply to pings for ${UNRESPONSIVE_MS / 1000}s`);
+        return;
+    }
+    worker.postMessage({ type: 'ping' });
+}, PING_INTERVAL_MS);
+
+navigator.serviceWorker.onmessage = (event) => {
+    if (event.data?.type === 'engine_connect') {
+        const [enginePort, controlPort = null] = event.ports;
+        control?.close();
+        control = controlPort;
+        worker.postMessage({ type: 'engine_connect' }, [enginePort]);
+    }
+};
+
+startWorker();
+console.log('[EngineHost] Engine worker started');
@@ -0,0 +1,87 @@
+/**
+ * Engine RPC Protocol
+ * Shared by engine-client.js (service worker side) and engine-worker.js.
+ * Messages travel over a MessagePort, so they are structured-cloned and
+ * typed array buffers can be transferred instead of copied.
+ *
+ *   client -> worker  { id, method, args }
+ *   worker -> client  { id, result } | { id, error: { name, code, message } }
+ *                     { type: 'state', stats, collections }  before every reply
+ *                     { type: 'eviction', eviction }         from engine.onEviction
+ *   host -> client    { type: 'engine_restarted', reason }   on a second, control port
+ *                                                            (engine-host.js replaced the worker)
+ *
+ * The state message lets the client answer getStats / getCollectionDim /
+ * listCollections without a round trip, so they never wait behind a search.
+ */
+
+import { ValidationError } from './validation.js';
+
+// Engine methods the worker serves; anything else is rejected
+export const RPC_METHODS = [
+    'init',
+    'addVectors',
+    'searchBatch',
+    'hybridSearch',
+    'fetchVectors',
+    'deleteVectors',
+    'dropCollection',
+    'compactCollection',
+    'describeCollection',
+    'auditCollection',
+    'expireVectors',
+    'saveAll',
+    'runCompaction',
+    'exportSnapshot',
+    'importSnapshot',
+    'getMeta',
+    'setMeta'
+];
+
+/**
+ * ArrayBuffers, and buffers of typed arrays, in a call's arguments (two levels
+ * deep, e.g. an array of vectors), to transfer rather than copy
+ * Transferred buffers are detached in the sender afterwards
+ */
+export function collectTransferables(args) {
+    const buffers = new Set();
+
+    const visit = (value, depth) => {
+        if (value instanceof ArrayBuffer) {
+            buffers.add(value);
+        } else if (ArrayBuffer.isView(value)) {
+            if (value.buffer instanceof ArrayBuffer) {
+                buffers.add(value.buffer);
+            }
+        } else if (Array.isArray(value) && depth < 2) {
+            value.forEach(item => visit(item, depth + 1));
+        }
+    };
+    visit(args, 0);
+
+    return [...buffers];
+}
+
+export function serializeError(error) {
+    return {
+        name: error.name || 'Error',
+        code: error.code,
+        message: error.message || String(error)
+    };
+}
+
+/**
+ * Rebuild an error from the worker; ValidationErrors keep their class and code
+ */
+export function deserializeError({ name, code, message }) {
+    if (name === 'ValidationError') {
+        return new ValidationError(code, message);
+    }
+
+    const error = new Error(message);
+    error.name = name;
+    if (code) {
+        error.code = code;
+    }
+    return error;
+}
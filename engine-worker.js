@@ -0,0 +1,104 @@
+/**
+ * Vector Engine Worker
+ * Hosts the VectorEngine (slabs, indexes and the IndexedDB handle) off the
+ * service worker thread, so a long search can't hold up heartbeats or PoRAM
+ * challenge replies. Spawned by engine-host.js; each service worker that
+ * connects hands over one end of a MessageChannel (see engine-rpc.js for
+ * the protocol). The engine outlives service worker restarts: a reconnect
+ * gets the already loaded collections.
+ */
+
+import { VectorEngine } from './engine.js';
+import { compileFilter } from './filter.js';
+import { RPC_METHODS, serializeError } from './engine-rpc.js';
+
+let engine = null;
+let ready = null;
+let port = null;
+
+/**
+ * Create the engine on first init; later inits (a restarted service worker) update its settings
+ * @param {Object} options - maxRAM_GB, embeddingDim, defaultIndex, evictionPolicy
+ */
+function init(options) {
+    if (!engine) {
+        engine = new VectorEngine(options.maxRAM_GB);
+        engine.onEviction = eviction => port?.postMessage({ type: 'eviction', eviction });
+    }
+
+    engine.maxRAM = options.maxRAM_GB * 1024 * 1024 * 1024;
+    engine.embeddingDim = options.embeddingDim;
+    engine.defaultIndex = options.defaultIndex;
+    engine.evictionPolicy = options.evictionPolicy;
+
+    if (!ready) {
+        ready = engine.init().catch(error => {
+            // Let the next init retry opening the database
+            ready = null;
+            throw error;
+        });
+    }
+    return ready;
+}
+
+const HANDLERS = {
+    init,
+    // Functions can't be cloned, so the filter arrives as its expression
+    searchBatch: (collectionId, queryVectors, k, shardId, options = {}) =>
+        engine.searchBatch(collectionId, queryVectors, k, shardId, {
+            ...options,
+            filter: compileFilter(options.filter)
+        }),
+    hybridSearch: (collectionId, queryVector, textQuery, k, shardId, options = {}) =>
+        engine.hybridSearch(collectionId, queryVector, textQuery, k, shardId, {
+            ...options,
+            filter: compileFilter(options.filter)
+        })
+};
+
+async function handleCall(target, { id, method, args }) {
+    let reply;
+    try {
+        if (!RPC_METHODS.includes(method)) {
+            throw new Error(`Unknown engine method: ${method}`);
+        }
+        if (method !== 'init' && !engine) {
+            throw new Error('Engine not initialized');
+        }
+
+        const handler = HANDLERS[method] || ((...params) => engine[method](...params));
+        reply = { id, result: await handler(...args) };
+    } catch (error) {
+        reply = { id, error: serializeError(error) };
+    }
+
+    // State first, so the client's snapshot already reflects this call when it resolves
+    if (engine?.db) {
+        target.postMessage({ type: 'state', stats: engine.getStats(), collections: engine.listCollections() });
+    }
+    // A snapshot result is a Blob, which is passed by reference rather than copied
+    target.postMessage(reply);
+}
+
+/**
+ * Serve a new connection; the previous one (a service worker that went away) is closed
+ */
+function connect(newPort) {
+    if (port) {
+        port.close();
+    }
+    port = newPort;
+    port.onmessage = event => handleCall(newPort, event.data);
+    console.log('[EngineWorker] Service worker connected');
+}
+
+self.onmessage = (event) => {
+    if (event.data?.type === 'engine_connect') {
+        connect(event.ports[0]);
+    } else if (event.data?.type === 'ping') {
+        // Host watchdog (see engine-host.js)
+        self.postMessage({ type: 'pong' });
+    }
+};
+
+console.log('[EngineWorker] Loaded');
@@ -1,16 +1,48 @@
 /**
  * Vector Engine for Chrome Extension
- * Stores and searches vector embeddings using cosine similarity
- * Uses IndexedDB for persistence
+ * Stores and searches vector embeddings by cosine similarity, dot product or
+ * L2 distance, chosen per collection (cosine collections are normalised on
+ * insert, so scoring is a dot product)
+ * Uses IndexedDB for persistence: one manifest per collection plus fixed-size
+ * segment records, written in batches by a debounced flusher
  */
 
+import { VectorCollection } from './collection.js';
+import { TopK } from './topk.js';
+import { BATCH_SIZE, SIMD_AVAILABLE } from './simd.js';
+import { normalized } from './vector-math.js';
+import { runMigrations, SCHEMA_VERSION } from './migrations.js';
+import { encodeSnapshot, decodeSnapshot } from './snapshot.js';
+import { validateDimension, validateMetricMatch } from './validation.js';
+
+// Wait this long after the last change before flushing...
+const FLUSH_DELAY_MS = 1000;
+// ...but never hold changes longer than this under continuous writes
+const FLUSH_MAX_DELAY_MS = 5000;
+// Background compaction rewrites collections with at least this share of their slots free...
+const COMPACT_MIN_FREE_RATIO = 0.2;
+// ...and at least this many
+const COMPACT_MIN_FREE_SLOTS = 256;
+// Each ranking fused by a hybrid search is this many times deeper than the page asked for
+const HYBRID_CANDIDATE_FACTOR = 2;
+
 export class VectorEngine {
     constructor(maxRAM_GB) {
         this.maxRAM = maxRAM_GB * 1024 * 1024 * 1024;
-        this.collections = new Map(); // collection_id -> { vectors, docIds, shard_id }
+        this.collections = new Map(); // collection key -> VectorCollection
         this.db = null;
         this.dbName = 'dvm-vectors';
-        this.embeddingDim = 384; // Default, will be updated from config
+        this.embeddingDim = 384; // Assumed where nothing records a dimension (set from config.embedding_dim)
+        this.defaultIndex = null; // HNSW params for new collections, null = brute force
+        this.evictionPolicy = 'reject'; // 'reject', 'lru' or 'ttl' when capacity runs out
+        this.onEviction = null; // Called with each eviction ({reason, collectionId, shardId, count, docIds, dropped})
+        this.evictionStats = { lruCollections: 0, lruVectors: 0, ttlVectors: 0 };
+        this.compactionStats = { runs: 0, lastRunAt: null, collections: 0, bytesReclaimed: 0, orphanedRecords: 0 };
+        this.dirtyCollections = new Set(); // collection keys with unflushed segments
+        this.flushTimer = null;
+        this.firstDirtyAt = null;
+        this.flushing = Promise.resolve();
+        this.lastFlushAt = null;
     }
 
     /**
@@ -20,7 +52,7 @@ export class VectorEngine {
         console.log('[VectorEngine] Initializing...');
 
         return new Promise((resolve, reject) => {
-            const request = indexedDB.open(this.dbName, 1);
+            const request = indexedDB.open(this.dbName, SCHEMA_VERSION);
 
             request.onerror = () => {
                 console.error('[VectorEngine] Failed to open IndexedDB:', request.error);
@@ -39,15 +71,17 @@ export class VectorEngine {
             };
 
             request.onupgradeneeded = (event) => {
-                const db = event.target.result;
-
-                // Create object stores
-                if (!db.objectStoreNames.contains('collections')) {
-                    db.createObjectStore('collections', { keyPath: 'id' });
-                }
+                const transaction = event.target.transaction;
+                console.log(`[VectorEngine] Upgrading IndexedDB schema v${event.oldVersion} -> v${SCHEMA_VERSION}`);
 
-                if (!db.objectStoreNames.contains('metadata')) {
-                    db.createObjectStore('metadata', { keyPath: 'key' });
+                try {
+                    runMigrations(event.target.result, transaction, event.oldVersion, {
+                        embeddingDim: this.embeddingDim
+                    });
+                } catch (error) {
+                    // Aborting keeps the database at its old version; open() then fails
+                    console.error('[VectorEngine] Schema migration failed:', error);
+                    transaction.abort();
                 }
             };
         });
@@ -55,44 +89,495 @@ export class VectorEngine {
 
     /**
      * Add vectors to a collection
+     * Existing doc_ids are updated in place (upsert), never duplicated
      * @param {string} collectionId - Collection identifier
      * @param {Array<Float32Array>} vectors - Array of embedding vectors
      * @param {Array<string>} docIds - Corresponding document IDs
      * @param {string|null} shardId - Optional shard ID
+     * @param {Object} [options]
+     * @param {Object|null} [options.index] - HNSW params to index the collection with
+     * @param {Object|null} [options.storage] - Storage mode ({ mode, subvectors?, trainingSize? })
+     * @param {Object|null} [options.defaultStorage] - Storage mode if this creates the collection
+     *     and options.storage is not given
+     * @param {string|null} [options.metric] - Metric for a new collection ('cosine', 'dot' or 'l2');
+     *     an existing collection must already use it
+     * @param {Array<Object|null>|null} [options.metadata] - Per-doc metadata, parallel to docIds
+     *     (updates without metadata keep what the doc had)
+     * @param {number|null} [options.ttlSeconds] - Expire these docs after this long (ttl policy only)
+     * @param {Array<string|null>|null} [options.texts] - Per-doc text for keyword search, parallel to docIds
+     *     (updates without text keep what the doc had)
+     * @returns {Promise<{inserted: number, updated: number}>}
      */
-    async addVectors(collectionId, vectors, docIds, shardId = null) {
+    async addVectors(collectionId, vectors, docIds, shardId = null, options = {}) {
         const key = this.getCollectionKey(collectionId, shardId);
 
         console.log(`[VectorEngine] Adding ${vectors.length} vectors to ${key}`);
 
-        if (!this.collections.has(key)) {
-            this.collections.set(key, {
+        const created = !this.collections.has(key);
+        if (created) {
+            this.collections.set(key, new VectorCollection({
                 collectionId,
                 shardId,
-                vectors: [],
-                docIds: [],
-                metadata: []
-            });
+                dim: vectors[0]?.length ?? this.embeddingDim,
+                storage: options.storage || options.defaultStorage,
+                metric: options.metric || 'cosine'
+            }));
         }
 
         const collection = this.collections.get(key);
+        const isNew = collection.size === 0 && !collection.index;
+
+        // Checked here rather than by callers, which may only have a stale view of the collection
+        try {
+            for (const vec of vectors) {
+                validateDimension(vec.length, collection.dim, key);
+            }
+            validateMetricMatch(options.metric || null, collection.metric, key);
+        } catch (error) {
+            if (created) {
+                this.collections.delete(key);
+            }
+            throw error;
+        }
+
+        // Coordinator asked for a different storage mode: re-encode before sizing the insert
+        if (options.storage && collection.setStorage(options.storage)) {
+            console.log(`[VectorEngine] Switched ${key} to ${options.storage.mode} storage`);
+        }
+
+        let plan = this.planInsert(collection, docIds);
+
+        // Over capacity: make room as the eviction policy allows, then re-plan
+        // (expiry may have freed slots in this collection or removed docs being updated)
+        if (plan.overBytes > 0 && this.evictionPolicy !== 'reject') {
+            await this.makeRoom(key, plan.overBytes);
+            plan = this.planInsert(collection, docIds);
+        }
+
+        const { inserts, updates, exact, overBytes } = plan;
+        if (overBytes > 0) {
+            if (created) {
+                this.collections.delete(key);
+            }
+            throw new Error(`Storage full: ${this.maxRAM + overBytes} bytes exceeds ${this.maxRAM} bytes`);
+        }
+
+        collection.reserve(inserts.size, exact);
+
+        // Index new collections by default; existing ones only when asked (built from current docs)
+        const indexParams = options.index || (isNew ? this.defaultIndex : null);
+        if (indexParams && !collection.index) {
+            console.log(`[VectorEngine] Building HNSW index for ${key} (m=${indexParams.m})`);
+            collection.enableIndex(indexParams);
+        }
 
-        // Check capacity
-        const newBytesNeeded = vectors.length * this.embeddingDim * 4; // 4 bytes per float32
+        // Upsert vectors (a store without a TTL clears any earlier expiry)
+        const { metadata, texts } = options;
+        const expiresAt = options.ttlSeconds ? Date.now() + options.ttlSeconds * 1000 : null;
+        for (const [docId, i] of updates) {
+            collection.upsert(docId, vectors[i], metadata?.[i], expiresAt, texts?.[i]);
+        }
+        for (const [docId, i] of inserts) {
+            collection.upsert(docId, vectors[i], metadata?.[i], expiresAt, texts?.[i]);
+        }
+
+        // Enough vectors to train PQ codebooks: re-encode the collection
+        if (collection.needsTraining()) {
+            console.log(`[VectorEngine] Training PQ codebooks for ${key} on ${collection.size} vectors`);
+            collection.trainQuantizer();
+        }
+
+        // Persist changed segments to IndexedDB (debounced)
+        collection.lastWriteAt = Date.now();
+        this.markDirty(key);
+
+        console.log(`[VectorEngine] Inserted ${inserts.size}, updated ${updates.size} vectors. Total: ${collection.size}`);
+
+        return { inserted: inserts.size, updated: updates.size };
+    }
+
+    /**
+     * Split a batch into updates of existing docs and new inserts, and size the slab growth
+     * Maps hold the position in the batch (last write wins), so vectors and metadata stay paired
+     * @returns {{inserts: Map, updates: Map, exact: boolean, overBytes: number}} overBytes > 0 if it won't fit
+     */
+    planInsert(collection, docIds) {
+        const inserts = new Map();
+        const updates = new Map();
+        for (let i = 0; i < docIds.length; i++) {
+            if (collection.docIndex.has(docIds[i])) {
+                updates.set(docIds[i], i);
+            } else {
+                inserts.set(docIds[i], i);
+            }
+        }
+
+        // Check capacity against the slab growth (free slots are reused first)
         const currentBytes = this.getBytesUsed();
+        let exact = false;
+        let newBytesNeeded = collection.growthBytes(inserts.size);
 
         if (currentBytes + newBytesNeeded > this.maxRAM) {
-            throw new Error(`Storage full: ${currentBytes + newBytesNeeded} bytes exceeds ${this.maxRAM} bytes`);
+            // Not enough room for the usual headroom, grow only as much as needed
+            exact = true;
+            newBytesNeeded = collection.growthBytes(inserts.size, true);
+        }
+
+        return { inserts, updates, exact, overBytes: currentBytes + newBytesNeeded - this.maxRAM };
+    }
+
+    /**
+     * Free space for an insert into `key` under the eviction policy
+     *   lru - drop whole collections, least recently searched first, if that frees enough
+     *   ttl - remove expired docs now, then compact collections with free slots
+     * @param {string} key - Collection being written to (never evicted)
+     * @param {number} bytes - Bytes the insert is short by
+     */
+    async makeRoom(key, bytes) {
+        if (this.evictionPolicy === 'ttl') {
+            await this.expireVectors(key);
+            for (const [candidateKey, collection] of this.collections) {
+                if (collection.freeSlots.length > 0) {
+                    await this.compactKey(candidateKey);
+                }
+            }
+            return;
+        }
+
+        const candidates = [...this.collections]
+            .filter(([candidateKey]) => candidateKey !== key)
+            .sort(([, a], [, b]) => a.lastSearchedAt - b.lastSearchedAt);
+
+        // Don't evict anything unless the insert would then fit
+        const reclaimable = candidates.reduce((sum, [, collection]) => sum + collection.getBytesUsed(), 0);
+        if (reclaimable < bytes) return;
+
+        let freed = 0;
+        for (const [candidateKey, collection] of candidates) {
+            if (freed >= bytes) break;
+
+            freed += collection.getBytesUsed();
+            console.log(`[VectorEngine] Evicting ${candidateKey} (${collection.size} vectors, last searched ${new Date(collection.lastSearchedAt).toISOString()})`);
+
+            await this.removeCollection(candidateKey);
+            this.evictionStats.lruCollections++;
+            this.evictionStats.lruVectors += collection.size;
+            this.notifyEviction({
+                reason: 'lru',
+                collectionId: collection.collectionId,
+                shardId: collection.shardId,
+                count: collection.size,
+                docIds: null,
+                dropped: true
+            });
+        }
+    }
+
+    /**
+     * Remove docs whose TTL has passed (ttl policy only)
+     * Collections left empty are dropped
+     * @param {string|null} [keep] - Collection being written to: kept even if left empty,
+     *     since the caller goes on to insert into it
+     * @returns {Promise<number>} Docs removed
+     */
+    async expireVectors(keep = null) {
+        if (this.evictionPolicy !== 'ttl') return 0;
+
+        const now = Date.now();
+        let total = 0;
+
+        for (const [key, collection] of [...this.collections]) {
+            const expired = collection.expiredDocIds(now);
+            if (expired.length === 0) continue;
+
+            expired.forEach(docId => collection.remove(docId));
+            total += expired.length;
+            this.evictionStats.ttlVectors += expired.length;
+
+            const dropped = collection.size === 0 && key !== keep;
+            if (dropped) {
+                await this.removeCollection(key);
+            } else {
+                if (collection.index?.needsRebuild()) {
+                    collection.rebuildIndex();
+                }
+                this.markDirty(key);
+            }
+
+            console.log(`[VectorEngine] Expired ${expired.length} vectors from ${key}${dropped ? ' (collection dropped)' : ''}`);
+            this.notifyEviction({
+                reason: 'ttl',
+                collectionId: collection.collectionId,
+                shardId: collection.shardId,
+                count: expired.length,
+                docIds: expired,
+                dropped
+            });
+        }
+
+        return total;
+    }
+
+    /**
+     * Pass an eviction to the onEviction listener (the miner reports it to the coordinator)
+     */
+    notifyEviction(eviction) {
+        try {
+            this.onEviction?.(eviction);
+        } catch (error) {
+            console.error('[VectorEngine] Eviction listener failed:', error);
+        }
+    }
+
+    /**
+     * Remove a collection from memory and IndexedDB
+     * @returns {Promise<boolean>} true if the collection existed
+     */
+    async removeCollection(key) {
+        if (!this.collections.delete(key)) return false;
+        this.dirtyCollections.delete(key);
+        await this.deleteRecords(key, null);
+        return true;
+    }
+
+    /**
+     * Compact one collection and drop the segment records it no longer uses
+     * @returns {Promise<number>} Bytes reclaimed
+     */
+    async compactKey(key) {
+        const collection = this.collections.get(key);
+        if (collection.size === collection.capacity) return 0;
+
+        const reclaimed = collection.compact();
+        this.compactionStats.collections++;
+        this.compactionStats.bytesReclaimed += reclaimed;
+
+        console.log(`[VectorEngine] Compacted ${key}, reclaimed ${reclaimed} bytes`);
+        await this.deleteRecords(key, collection.segmentCount);
+        this.markDirty(key);
+        return reclaimed;
+    }
+
+    /**
+     * Background compaction: rewrite fragmented collections (dropping free
+     * slots and HNSW tombstones) and delete IndexedDB records nothing uses
+     * @returns {Promise<{collections: number, bytesReclaimed: number, orphanedRecords: number}>}
+     */
+    async runCompaction() {
+        const fragmented = [...this.collections]
+            .filter(([, collection]) => collection.isFragmented(COMPACT_MIN_FREE_RATIO, COMPACT_MIN_FREE_SLOTS))
+            .map(([key]) => key);
+
+        let bytesReclaimed = 0;
+        for (const key of fragmented) {
+            // May have been dropped while an earlier one was being written
+            if (this.collections.has(key)) {
+                bytesReclaimed += await this.compactKey(key);
+            }
         }
 
-        // Add vectors
-        collection.vectors.push(...vectors);
-        collection.docIds.push(...docIds);
+        const orphanedRecords = await this.deleteOrphanedRecords();
+
+        this.compactionStats.runs++;
+        this.compactionStats.lastRunAt = Date.now();
+        this.compactionStats.orphanedRecords += orphanedRecords;
+
+        console.log(`[VectorEngine] Compaction: ${fragmented.length} collections, ${bytesReclaimed} bytes reclaimed, ${orphanedRecords} orphaned records removed`);
+        return { collections: fragmented.length, bytesReclaimed, orphanedRecords };
+    }
+
+    /**
+     * Delete manifests of collections that aren't loaded, and segments past a
+     * collection's end (or of no collection), e.g. left by an interrupted write
+     * Chained behind pending flushes, like deleteRecords
+     * @returns {Promise<number>} Records deleted
+     */
+    async deleteOrphanedRecords() {
+        if (!this.db) return 0;
+
+        const run = this.flushing.catch(() => {}).then(() => new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['collections', 'segments'], 'readwrite');
+            const manifests = transaction.objectStore('collections');
+            const segments = transaction.objectStore('segments');
+            let removed = 0;
+
+            const manifestKeys = manifests.getAllKeys();
+            manifestKeys.onsuccess = () => {
+                for (const key of manifestKeys.result) {
+                    if (!this.collections.has(key)) {
+                        manifests.delete(key);
+                        removed++;
+                    }
+                }
+            };
+
+            const segmentKeys = segments.getAllKeys();
+            segmentKeys.onsuccess = () => {
+                for (const [key, index] of segmentKeys.result) {
+                    const collection = this.collections.get(key);
+                    if (!collection || !collection.hasSegment(index)) {
+                        segments.delete([key, index]);
+                        removed++;
+                    }
+                }
+            };
+
+            transaction.oncomplete = () => resolve(removed);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+        this.flushing = run;
+        return run;
+    }
+
+    /**
+     * Delete a collection's records from IndexedDB: segments from `fromSegment`
+     * on, or everything including the manifest if fromSegment is null.
+     * Chained behind pending flushes so an earlier write can't land after it.
+     */
+    async deleteRecords(key, fromSegment) {
+        if (!this.db) return;
+
+        const run = this.flushing.catch(() => {}).then(() => new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['collections', 'segments'], 'readwrite');
+            if (fromSegment === null) {
+                transaction.objectStore('collections').delete(key);
+            }
+            transaction.objectStore('segments').delete(
+                IDBKeyRange.bound([key, fromSegment ?? -Infinity], [key, Infinity])
+            );
 
-        // Persist to IndexedDB (background)
-        await this.saveCollection(key);
+            transaction.oncomplete = () => resolve();
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        }));
+        this.flushing = run;
+        await run;
+    }
 
-        console.log(`[VectorEngine] Added ${vectors.length} vectors. Total: ${collection.vectors.length}`);
+    /**
+     * Keys of a collection's shards: just `shardId` if given, else every shard
+     */
+    collectionKeys(collectionId, shardId = null) {
+        if (shardId) {
+            const key = this.getCollectionKey(collectionId, shardId);
+            return this.collections.has(key) ? [key] : [];
+        }
+        return [...this.collections]
+            .filter(([, collection]) => collection.collectionId === collectionId)
+            .map(([key]) => key);
+    }
+
+    /**
+     * Drop a collection shard, or every shard of the collection if shardId is not given
+     * @returns {Promise<{collections: number, vectors: number}>} What was dropped
+     */
+    async dropCollection(collectionId, shardId = null) {
+        let vectors = 0;
+        const keys = this.collectionKeys(collectionId, shardId);
+
+        for (const key of keys) {
+            vectors += this.collections.get(key).size;
+            await this.removeCollection(key);
+        }
+
+        console.log(`[VectorEngine] Dropped ${keys.length} collections (${vectors} vectors) for ${collectionId}`);
+        return { collections: keys.length, vectors };
+    }
+
+    /**
+     * Compact a collection shard, or every shard of the collection if shardId is not given
+     * Removes free slots and allocation headroom, so memory matches the live vectors
+     * @returns {Promise<{collections: number, bytesReclaimed: number}>}
+     */
+    async compactCollection(collectionId, shardId = null) {
+        let bytesReclaimed = 0;
+        const keys = this.collectionKeys(collectionId, shardId);
+
+        for (const key of keys) {
+            bytesReclaimed += await this.compactKey(key);
+        }
+
+        return { collections: keys.length, bytesReclaimed };
+    }
+
+    /**
+     * Summary of every collection held
+     * @returns {Array<Object>}
+     */
+    listCollections() {
+        return [...this.collections.values()].map(collection => ({
+            collection_id: collection.collectionId,
+            shard_id: collection.shardId,
+            count: collection.size,
+            dim: collection.dim,
+            metric: collection.metric,
+            bytes_used: collection.getBytesUsed()
+        }));
+    }
+
+    /**
+     * Details of one collection shard; the checksum is its Merkle root (see merkle.js)
+     * @returns {Promise<Object|null>} null if the collection does not exist
+     */
+    async describeCollection(collectionId, shardId = null) {
+        const collection = this.collections.get(this.getCollectionKey(collectionId, shardId));
+        if (!collection) return null;
+
+        await collection.merkle.refresh();
+
+        return {
+            collection_id: collection.collectionId,
+            shard_id: collection.shardId,
+            count: collection.size,
+            dim: collection.dim,
+            metric: collection.metric,
+            storage_mode: collection.storageParams.mode,
+            index: collection.index ? collection.index.getStats() : { type: 'flat' },
+            bytes_used: collection.getBytesUsed(),
+            overhead_bytes: collection.getOverheadBytes(),
+            free_slots: collection.freeSlots.length,
+            text_docs: collection.textIndex.docCount,
+            checksum: collection.merkle.root,
+            last_write: collection.lastWriteAt ? new Date(collection.lastWriteAt).toISOString() : null
+        };
+    }
+
+    /**
+     * Merkle root of a collection shard plus inclusion proofs for sampled docs
+     * Each proof carries the doc's vector as fetch returns it, so the coordinator
+     * can recompute the leaf hash, walk the path to the root and compare the
+     * vector with the one it stored
+     * @param {string} collectionId - Collection identifier
+     * @param {string|null} shardId - Optional shard ID
+     * @param {Array<string>} docIds - Sampled document IDs
+     * @returns {Promise<Object|null>} null if the collection does not exist
+     */
+    async auditCollection(collectionId, shardId, docIds) {
+        const collection = this.collections.get(this.getCollectionKey(collectionId, shardId));
+        if (!collection) return null;
+
+        await collection.merkle.refresh();
+
+        // No awaits from here on, so root and proofs describe the same tree
+        const { merkle } = collection;
+        const proofs = docIds.map(docId => {
+            const slot = collection.slotOf(docId);
+            if (slot === undefined) {
+                return { doc_id: docId, missing: true };
+            }
+            return {
+                doc_id: docId,
+                vector: Array.from(collection.getOriginalVector(slot)),
+                proof: merkle.prove(slot)
+            };
+        });
+
+        return {
+            root: merkle.root,
+            leaf_count: merkle.leafCount,
+            proofs
+        };
     }
 
     /**
@@ -101,83 +586,192 @@ export class VectorEngine {
      * @param {Float32Array} queryVector - Query embedding
      * @param {number} k - Number of results to return
      * @param {string|null} shardId - Optional shard ID
-     * @returns {Array<{docId: string, score: number}>}
+     * @param {Object} [options] - See searchBatch
+     * @returns {Array<{docId: string, score: number}>} Best first: highest similarity for
+     *     cosine and dot, smallest Euclidean distance for l2
      */
-    async search(collectionId, queryVector, k = 10, shardId = null) {
+    async search(collectionId, queryVector, k = 10, shardId = null, options = {}) {
+        const [results] = await this.searchBatch(collectionId, [queryVector], k, shardId, options);
+        return results;
+    }
+
+    /**
+     * Search for several query vectors at once
+     * A brute-force search scores every query against each block of the slab
+     * before moving on, so the collection is read once for the whole batch
+     * @param {string} collectionId - Collection identifier
+     * @param {Array<Float32Array>} queryVectors - Query embeddings
+     * @param {number} k - Number of results to return per query
+     * @param {string|null} shardId - Optional shard ID
+     * @param {Object} [options]
+     * @param {number} [options.efSearch] - HNSW candidate list size for this query
+     * @param {boolean} [options.exact] - Force a brute-force scan even if indexed
+     * @param {Function} [options.filter] - metadata -> boolean (see filter.js); only matching docs are returned
+     * @param {number} [options.scoreThreshold] - Drop results scoring below this
+     *     (above it for l2, where scores are distances)
+     * @param {number} [options.offset] - Skip this many of the best results (paging)
+     * @returns {Array<Array<{docId: string, score: number}>>} Results per query, best first
+     */
+    async searchBatch(collectionId, queryVectors, k = 10, shardId = null, options = {}) {
         const key = this.getCollectionKey(collectionId, shardId);
         const collection = this.collections.get(key);
 
         if (!collection) {
             console.warn(`[VectorEngine] Collection ${key} not found`);
-            return [];
+            return queryVectors.map(() => []);
         }
 
-        console.log(`[VectorEngine] Searching ${collection.vectors.length} vectors in ${key}`);
+        for (const vector of queryVectors) {
+            validateDimension(vector.length, collection.dim, key);
+        }
 
-        // Compute cosine similarity for all vectors
-        const scores = collection.vectors.map((vec, idx) => ({
-            docId: collection.docIds[idx],
-            score: this.cosineSimilarity(queryVector, vec)
-        }));
+        // Normalise the queries once; cosine similarity is then a dot product
+        const { metric } = collection;
+        const queries = queryVectors.map(vector =>
+            metric === 'cosine' ? normalized(vector) : Float32Array.from(vector)
+        );
+        const { filter, scoreThreshold, offset = 0 } = options;
+        collection.lastSearchedAt = Date.now();
+        const matches = filter ? slot => filter(collection.metadata[slot]) : null;
+        const wanted = offset + k;
+
+        if (collection.index && !options.exact) {
+            const results = queries.map(query => collection.index
+                .search(query, wanted, options.efSearch, matches)
+                .map(({ slot, distance }) => ({
+                    docId: collection.docIds[slot],
+                    score: metric === 'cosine' ? 1 - distance : metric === 'dot' ? -distance : Math.sqrt(distance)
+                }))
+                .filter(({ score }) => scoreThreshold === undefined ||
+                    (metric === 'l2' ? score <= scoreThreshold : score >= scoreThreshold))
+                .slice(offset));
+
+            console.log(`[VectorEngine] HNSW search of ${collection.size} vectors in ${key} for ${queries.length} queries`);
+            return results;
+        }
 
-        // Sort by score descending and return top-k
-        scores.sort((a, b) => b.score - a.score);
-        const results = scores.slice(0, k);
+        console.log(`[VectorEngine] Searching ${collection.size} vectors in ${key} for ${queries.length} queries`);
+
+        // Score the slab a block at a time, keeping the best live slots per query in a min-heap
+        // (l2 scores are squared distances, negated so the heap keeps the closest).
+        // The filter only runs on slots that would make the heap.
+        const { docIds, highWater } = collection;
+        const sign = metric === 'l2' ? -1 : 1;
+        const floor = scoreThreshold === undefined ? -Infinity
+            : metric === 'l2' ? -(scoreThreshold * scoreThreshold) : scoreThreshold;
+        const scorers = queries.map(query => collection.batchScorer(query));
+        const tops = queries.map(() => new TopK(wanted));
+
+        for (let start = 0; start < highWater; start += BATCH_SIZE) {
+            const count = Math.min(BATCH_SIZE, highWater - start);
+
+            for (let q = 0; q < queries.length; q++) {
+                const scores = scorers[q](start, count);
+                const top = tops[q];
+
+                for (let i = 0; i < count; i++) {
+                    const score = sign * scores[i];
+                    if (docIds[start + i] === null || score < floor || score <= top.threshold) continue;
+                    if (matches && !matches(start + i)) continue;
+                    top.push(score, start + i);
+                }
+            }
+        }
 
-        console.log(`[VectorEngine] Found ${results.length} results, top score: ${results[0]?.score.toFixed(4)}`);
+        const results = tops.map(top => top.results().slice(offset).map(({ item, score }) => ({
+            docId: docIds[item],
+            score: metric === 'l2' ? Math.sqrt(-score) : score
+        })));
+
+        console.log(`[VectorEngine] Found ${results[0].length} results, top score: ${results[0][0]?.score.toFixed(4)}`);
 
         return results;
     }
 
     /**
-     * Cosine similarity between two vectors
-     * @param {Float32Array|Array} a - First vector
-     * @param {Float32Array|Array} b - Second vector
-     * @returns {number} Similarity score (0-1)
+     * Keyword search over the docs' text fields, optionally fused with a vector search
+     * The vector and BM25 rankings are each taken deeper than the page, then
+     * merged with reciprocal rank fusion: a doc scores sum(1 / (k + rank)) over
+     * the rankings it appears in, so neither kind of score needs rescaling
+     * @param {string} collectionId - Collection identifier
+     * @param {Float32Array|null} queryVector - Query embedding; null for a keyword-only search
+     * @param {string} textQuery - Keyword query
+     * @param {number} k - Number of results to return
+     * @param {string|null} shardId - Optional shard ID
+     * @param {Object} [options] - efSearch, exact, filter, scoreThreshold and offset as for searchBatch
+     *     (scoreThreshold only applies to the vector ranking)
+     * @param {Object} [options.fusion] - { method: 'rrf', k } (k defaults to 60)
+     * @returns {Promise<Array<{docId: string, score: number, vectorScore: number|null, keywordScore: number|null}>>}
+     *     Best first by fused score (the BM25 score for a keyword-only search)
      */
-    cosineSimilarity(a, b) {
-        if (a.length !== b.length) {
-            throw new Error(`Vector dimension mismatch: ${a.length} != ${b.length}`);
-        }
+    async hybridSearch(collectionId, queryVector, textQuery, k = 10, shardId = null, options = {}) {
+        const key = this.getCollectionKey(collectionId, shardId);
+        const collection = this.collections.get(key);
 
-        let dotProduct = 0;
-        let normA = 0;
-        let normB = 0;
+        if (!collection) {
+            console.warn(`[VectorEngine] Collection ${key} not found`);
+            return [];
+        }
 
-        for (let i = 0; i < a.length; i++) {
-            dotProduct += a[i] * b[i];
-            normA += a[i] * a[i];
-            normB += b[i] * b[i];
+        const { filter, offset = 0 } = options;
+        const accept = slot => collection.docIds[slot] !== null &&
+            (!filter || filter(collection.metadata[slot]));
+
+        if (!queryVector) {
+            collection.lastSearchedAt = Date.now();
+            const results = collection.textIndex.search(textQuery, offset + k, accept)
+                .slice(offset)
+                .map(({ slot, score }) => ({
+                    docId: collection.docIds[slot],
+                    score,
+                    vectorScore: null,
+                    keywordScore: score
+                }));
+
+            console.log(`[VectorEngine] Keyword search of ${collection.textIndex.docCount} docs in ${key}: ${results.length} results`);
+            return results;
         }
 
-        const denominator = Math.sqrt(normA) * Math.sqrt(normB);
+        const depth = (offset + k) * HYBRID_CANDIDATE_FACTOR;
+        const [vectorResults] = await this.searchBatch(collectionId, [queryVector], depth, shardId, {
+            ...options,
+            offset: 0
+        });
+        const keywordResults = collection.textIndex.search(textQuery, depth, accept)
+            .map(({ slot, score }) => ({ docId: collection.docIds[slot], score }));
 
-        if (denominator === 0) {
-            return 0;
-        }
+        const fusion = options.fusion || { method: 'rrf', k: 60 };
+        const results = fuseRankings(vectorResults, keywordResults, fusion.k).slice(offset, offset + k);
 
-        return dotProduct / denominator;
+        console.log(`[VectorEngine] Hybrid search in ${key}: ${vectorResults.length} vector and ${keywordResults.length} keyword candidates fused`);
+        return results;
     }
 
     /**
      * Fetch vectors by document IDs
      * @param {string} collectionId - Collection identifier
      * @param {Array<string>} docIds - Document IDs to fetch
-     * @returns {Array<{doc_id: string, vector: Array<number>}>}
+     * @param {Object} [options]
+     * @param {boolean} [options.includeMetadata] - Add each doc's metadata (null if none)
+     * @returns {Array<{doc_id: string, vector: Array<number>, metadata?: Object|null}>}
      */
-    fetchVectors(collectionId, docIds) {
+    fetchVectors(collectionId, docIds, options = {}) {
         const results = [];
 
         for (const [key, collection] of this.collections) {
             if (collection.collectionId !== collectionId) continue;
 
             for (const docId of docIds) {
-                const idx = collection.docIds.indexOf(docId);
-                if (idx !== -1) {
-                    results.push({
+                const slot = collection.slotOf(docId);
+                if (slot !== undefined) {
+                    const result = {
                         doc_id: docId,
-                        vector: Array.from(collection.vectors[idx])
-                    });
+                        vector: Array.from(collection.getOriginalVector(slot))
+                    };
+                    if (options.includeMetadata) {
+                        result.metadata = collection.metadata[slot] ?? null;
+                    }
+                    results.push(result);
                 }
             }
         }
@@ -193,32 +787,28 @@ export class VectorEngine {
      */
     async deleteVectors(collectionId, docIds) {
         let deletedCount = 0;
-        const docIdSet = new Set(docIds);
 
         for (const [key, collection] of this.collections) {
             if (collection.collectionId !== collectionId) continue;
 
-            const newVectors = [];
-            const newDocIds = [];
-            const newMetadata = [];
-
-            for (let i = 0; i < collection.docIds.length; i++) {
-                if (docIdSet.has(collection.docIds[i])) {
-                    deletedCount++;
-                } else {
-                    newVectors.push(collection.vectors[i]);
-                    newDocIds.push(collection.docIds[i]);
-                    if (collection.metadata[i]) {
-                        newMetadata.push(collection.metadata[i]);
-                    }
+            let removed = 0;
+            for (const docId of docIds) {
+                if (collection.remove(docId)) {
+                    removed++;
                 }
             }
 
-            collection.vectors = newVectors;
-            collection.docIds = newDocIds;
-            collection.metadata = newMetadata;
+            if (removed > 0) {
+                deletedCount += removed;
 
-            await this.saveCollection(key);
+                if (collection.index?.needsRebuild()) {
+                    console.log(`[VectorEngine] Rebuilding HNSW index for ${key} (${collection.index.deleted.size} tombstones)`);
+                    collection.rebuildIndex();
+                }
+
+                collection.lastWriteAt = Date.now();
+                this.markDirty(key);
+            }
         }
 
         console.log(`[VectorEngine] Deleted ${deletedCount} vectors from ${collectionId}`);
@@ -232,54 +822,157 @@ export class VectorEngine {
         return shardId ? `${collectionId}:${shardId}` : collectionId;
     }
 
+    /**
+     * Get the dimension a collection was created with
+     * @returns {number|null} Dimension, or null if the collection does not exist
+     */
+    getCollectionDim(collectionId, shardId = null) {
+        const collection = this.collections.get(this.getCollectionKey(collectionId, shardId));
+        return collection ? collection.dim : null;
+    }
+
+    /**
+     * Get the metric a collection was created with
+     * @returns {string|null} 'cosine', 'dot' or 'l2', or null if the collection does not exist
+     */
+    getCollectionMetric(collectionId, shardId = null) {
+        const collection = this.collections.get(this.getCollectionKey(collectionId, shardId));
+        return collection ? collection.metric : null;
+    }
+
     /**
      * Get total number of vectors stored
      */
     getTotalVectors() {
         let total = 0;
         for (const collection of this.collections.values()) {
-            total += collection.vectors.length;
+            total += collection.size;
         }
         return total;
     }
 
     /**
-     * Get approximate bytes used
+     * Get bytes allocated for vector slabs as encoded (including free slots and headroom)
      */
     getBytesUsed() {
-        const totalVectors = this.getTotalVectors();
-        return totalVectors * this.embeddingDim * 4; // 4 bytes per float32
+        let total = 0;
+        for (const collection of this.collections.values()) {
+            total += collection.getBytesUsed();
+        }
+        return total;
+    }
+
+    /**
+     * Get fixed bytes held besides vector slabs (SIMD scratch areas and page rounding)
+     */
+    getOverheadBytes() {
+        let total = 0;
+        for (const collection of this.collections.values()) {
+            total += collection.getOverheadBytes();
+        }
+        return total;
+    }
+
+    /**
+     * Queue a collection's dirty segments for the next flush
+     */
+    markDirty(key) {
+        this.dirtyCollections.add(key);
+        this.scheduleFlush();
     }
 
     /**
-     * Save a collection to IndexedDB
+     * Debounce flushes, capped so continuous writes still reach disk
      */
-    async saveCollection(key) {
+    scheduleFlush() {
         if (!this.db) return;
 
-        const collection = this.collections.get(key);
-        if (!collection) return;
+        const now = Date.now();
+        if (this.firstDirtyAt === null) {
+            this.firstDirtyAt = now;
+        }
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['collections'], 'readwrite');
-            const store = transaction.objectStore('collections');
+        const delay = Math.min(FLUSH_DELAY_MS, Math.max(0, this.firstDirtyAt + FLUSH_MAX_DELAY_MS - now));
 
-            // Convert Float32Arrays to regular arrays for storage
-            const data = {
-                id: key,
-                collectionId: collection.collectionId,
-                shardId: collection.shardId,
-                vectors: collection.vectors.map(v => Array.from(v)),
-                docIds: collection.docIds,
-                metadata: collection.metadata,
-                savedAt: new Date().toISOString()
-            };
+        clearTimeout(this.flushTimer);
+        this.flushTimer = setTimeout(() => {
+            this.flush().catch(error => {
+                console.error('[VectorEngine] Flush failed:', error);
+            });
+        }, delay);
+    }
 
-            const request = store.put(data);
+    /**
+     * Write all dirty segments and their manifests now
+     * Flushes are chained so they reach IndexedDB in order
+     */
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.firstDirtyAt = null;
+
+        const run = this.flushing.catch(() => {}).then(() => this.writeDirty());
+        this.flushing = run;
+        return run;
+    }
 
-            request.onsuccess = () => resolve();
-            request.onerror = () => reject(request.error);
-        });
+    /**
+     * Snapshot dirty segments and write them with the manifests in one transaction
+     */
+    async writeDirty() {
+        if (!this.db || this.dirtyCollections.size === 0) return;
+
+        const pending = [];
+        for (const key of this.dirtyCollections) {
+            const collection = this.collections.get(key);
+            if (!collection) continue;
+
+            pending.push({ key, collection, indexes: collection.takeDirtySegments() });
+        }
+        this.dirtyCollections.clear();
+
+        const segmentCount = pending.reduce((sum, p) => sum + p.indexes.length, 0);
+
+        try {
+            await new Promise((resolve, reject) => {
+                const transaction = this.db.transaction(['collections', 'segments'], 'readwrite');
+                const manifests = transaction.objectStore('collections');
+                const segments = transaction.objectStore('segments');
+
+                for (const { key, collection, indexes } of pending) {
+                    for (const index of indexes) {
+                        segments.put(collection.toSegment(key, index));
+                    }
+                    manifests.put(collection.toManifest(key));
+                }
+
+                transaction.oncomplete = () => resolve();
+                transaction.onerror = () => reject(transaction.error);
+                transaction.onabort = () => reject(transaction.error);
+            });
+        } catch (error) {
+            // Keep the changes dirty so the next flush retries them
+            for (const { key, collection, indexes } of pending) {
+                indexes.forEach(index => collection.dirtySegments.add(index));
+                this.dirtyCollections.add(key);
+            }
+            this.scheduleFlush();
+            throw error;
+        }
+
+        this.lastFlushAt = Date.now();
+        console.log(`[VectorEngine] Flushed ${segmentCount} segments across ${pending.length} collections`);
+    }
+
+    /**
+     * Number of segments waiting to be written
+     */
+    getDirtySegmentCount() {
+        let total = 0;
+        for (const key of this.dirtyCollections) {
+            total += this.collections.get(key)?.dirtySegments.size || 0;
+        }
+        return total;
     }
 
     /**
@@ -288,60 +981,202 @@ export class VectorEngine {
     async loadAll() {
         if (!this.db) return;
 
-        return new Promise((resolve, reject) => {
-            const transaction = this.db.transaction(['collections'], 'readonly');
-            const store = transaction.objectStore('collections');
-            const request = store.getAll();
+        const records = await new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['collections', 'segments'], 'readonly');
+            const segments = transaction.objectStore('segments');
+            const request = transaction.objectStore('collections').getAll();
+            const loaded = [];
 
             request.onsuccess = () => {
-                const collections = request.result;
-
-                console.log(`[VectorEngine] Loading ${collections.length} collections from IndexedDB`);
-
-                for (const data of collections) {
-                    // Convert arrays back to Float32Arrays
-                    const collection = {
-                        collectionId: data.collectionId,
-                        shardId: data.shardId,
-                        vectors: data.vectors.map(v => new Float32Array(v)),
-                        docIds: data.docIds,
-                        metadata: data.metadata || []
+                for (const data of request.result) {
+                    const entry = { data, segments: [] };
+                    loaded.push(entry);
+
+                    // From -1 to include the PQ codebook record
+                    const range = IDBKeyRange.bound([data.id, -1], [data.id, Infinity]);
+                    const segmentRequest = segments.getAll(range);
+                    segmentRequest.onsuccess = () => {
+                        entry.segments = segmentRequest.result;
                     };
+                }
+            };
 
-                    this.collections.set(data.id, collection);
+            transaction.oncomplete = () => resolve(loaded);
+            transaction.onerror = () => reject(transaction.error);
+        });
 
-                    console.log(`[VectorEngine] Loaded collection: ${data.id} (${collection.vectors.length} vectors)`);
-                }
+        console.log(`[VectorEngine] Loading ${records.length} collections from IndexedDB`);
 
-                resolve();
-            };
+        for (const { data, segments } of records) {
+            const collection = VectorCollection.fromManifest(data, segments);
+
+            // Un-normalised vectors are converted on load: write back
+            if (collection.dirtySegments.size > 0) {
+                this.dirtyCollections.add(data.id);
+            }
+
+            this.collections.set(data.id, collection);
+
+            console.log(`[VectorEngine] Loaded collection: ${data.id} (${collection.size} vectors)`);
+        }
+
+        if (this.dirtyCollections.size > 0) {
+            await this.flush();
+        }
+    }
+
+    /**
+     * Read a value from the metadata store
+     * @param {string} key - Metadata key
+     * @returns {Promise<any>} Stored value, or undefined
+     */
+    async getMeta(key) {
+        if (!this.db) return undefined;
+
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readonly');
+            const request = transaction.objectStore('metadata').get(key);
+
+            request.onsuccess = () => resolve(request.result?.value);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Write a value to the metadata store
+     * @param {string} key - Metadata key
+     * @param {any} value - Structured-cloneable value
+     */
+    async setMeta(key, value) {
+        if (!this.db) return;
 
+        return new Promise((resolve, reject) => {
+            const transaction = this.db.transaction(['metadata'], 'readwrite');
+            const request = transaction.objectStore('metadata').put({ key, value });
+
+            request.onsuccess = () => resolve();
             request.onerror = () => reject(request.error);
         });
     }
 
     /**
-     * Save all collections
+     * Flush anything not yet written (safety net for the debounced flusher)
      */
     async saveAll() {
-        const promises = [];
-        for (const key of this.collections.keys()) {
-            promises.push(this.saveCollection(key));
+        const pending = this.getDirtySegmentCount();
+        await this.flush();
+        console.log(`[VectorEngine] Saved ${this.collections.size} collections (${pending} pending segments)`);
+    }
+
+    /**
+     * Export every collection (vectors, doc_ids, metadata, index) as a snapshot file
+     * @returns {Promise<Blob>} See snapshot.js for the format
+     */
+    async exportSnapshot() {
+        // Segments are copied one at a time as the snapshot is written, not all up front
+        const collections = [...this.collections].map(([key, collection]) => ({
+            manifest: collection.toManifest(key),
+            segments: (function* () {
+                for (const index of collection.segmentIndexes()) {
+                    yield collection.toSegment(key, index);
+                }
+            })()
+        }));
+
+        const snapshot = await encodeSnapshot(collections);
+        console.log(`[VectorEngine] Exported ${collections.length} collections (${snapshot.size} bytes)`);
+        return snapshot;
+    }
+
+    /**
+     * Verify a snapshot and load its collections, replacing any with the same key
+     * Nothing is changed if the snapshot is invalid or doesn't fit
+     * @param {Blob|ArrayBuffer} buffer - Snapshot file
+     * @returns {Promise<{collections: number, vectors: number, createdAt: string}>}
+     */
+    async importSnapshot(buffer) {
+        const { createdAt, collections } = await decodeSnapshot(buffer);
+        const incoming = new Map(collections.map(({ manifest, segments }) =>
+            [manifest.id, VectorCollection.fromManifest(manifest, segments)]
+        ));
+
+        let bytes = 0;
+        for (const [key, collection] of this.collections) {
+            if (!incoming.has(key)) {
+                bytes += collection.getBytesUsed();
+            }
+        }
+        for (const collection of incoming.values()) {
+            bytes += collection.getBytesUsed();
+        }
+        if (bytes > this.maxRAM) {
+            throw new Error(`Storage full: snapshot needs ${bytes} bytes, limit is ${this.maxRAM} bytes`);
+        }
+
+        let vectors = 0;
+        for (const [key, collection] of incoming) {
+            // Drops the old shard's segment records, which may outnumber the new ones
+            await this.removeCollection(key);
+            collection.markAllDirty();
+            this.collections.set(key, collection);
+            this.dirtyCollections.add(key);
+            vectors += collection.size;
         }
-        await Promise.all(promises);
-        console.log(`[VectorEngine] Saved ${promises.length} collections`);
+        await this.flush();
+
+        console.log(`[VectorEngine] Imported ${incoming.size} collections (${vectors} vectors) from snapshot of ${createdAt}`);
+        return { collections: incoming.size, vectors, createdAt };
     }
 
     /**
      * Get statistics
      */
     getStats() {
+        const bytesUsed = this.getBytesUsed();
+        const totalVectors = this.getTotalVectors();
+        const storageModes = { float32: 0, int8: 0, pq: 0 };
+        const dimensions = {}; // dimension -> vectors stored at it
+        let rawBytes = 0;
+
+        for (const collection of this.collections.values()) {
+            storageModes[collection.storage.mode]++;
+            dimensions[collection.dim] = (dimensions[collection.dim] || 0) + collection.size;
+            rawBytes += collection.getRawBytes();
+        }
+
         return {
             collections: this.collections.size,
-            total_vectors: this.getTotalVectors(),
-            bytes_used: this.getBytesUsed(),
-            bytes_available: this.maxRAM - this.getBytesUsed(),
-            usage_percentage: ((this.getBytesUsed() / this.maxRAM) * 100).toFixed(2)
+            total_vectors: totalVectors,
+            bytes_used: bytesUsed,
+            bytes_available: this.maxRAM - bytesUsed,
+            usage_percentage: ((bytesUsed / this.maxRAM) * 100).toFixed(2),
+            overhead_bytes: this.getOverheadBytes(),
+            // Size the live vectors would take as float32, and how much storage modes save
+            raw_bytes: rawBytes,
+            compression_ratio: bytesUsed > 0 ? Number((rawBytes / bytesUsed).toFixed(2)) : 1,
+            // Vectors that fit at the current average encoded size
+            effective_capacity: totalVectors > 0
+                ? Math.floor(this.maxRAM / (bytesUsed / totalVectors))
+                : Math.floor(this.maxRAM / (this.embeddingDim * 4)),
+            storage_modes: storageModes,
+            dimensions,
+            eviction_policy: this.evictionPolicy,
+            evictions: {
+                lru_collections: this.evictionStats.lruCollections,
+                lru_vectors: this.evictionStats.lruVectors,
+                ttl_vectors: this.evictionStats.ttlVectors
+            },
+            compaction: {
+                runs: this.compactionStats.runs,
+                last_run: this.compactionStats.lastRunAt ? new Date(this.compactionStats.lastRunAt).toISOString() : null,
+                collections_compacted: this.compactionStats.collections,
+                bytes_reclaimed: this.compactionStats.bytesReclaimed,
+                orphaned_records_removed: this.compactionStats.orphanedRecords
+            },
+            simd: SIMD_AVAILABLE,
+            dirty_segments: this.getDirtySegmentCount(),
+            indexed_collections: [...this.collections.values()].filter(c => c.index).length,
+            last_flush: this.lastFlushAt ? new Date(this.lastFlushAt).toISOString() : null
         };
     }
 
@@ -351,19 +1186,47 @@ export class VectorEngine {
     async clearAll() {
         console.log('[VectorEngine] Clearing all data...');
         this.collections.clear();
+        this.dirtyCollections.clear();
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        this.firstDirtyAt = null;
 
         if (this.db) {
+            await this.flushing.catch(() => {});
+
             return new Promise((resolve, reject) => {
-                const transaction = this.db.transaction(['collections'], 'readwrite');
-                const store = transaction.objectStore('collections');
-                const request = store.clear();
+                const transaction = this.db.transaction(['collections', 'segments'], 'readwrite');
+                transaction.objectStore('collections').clear();
+                transaction.objectStore('segments').clear();
 
-                request.onsuccess = () => {
+                transaction.oncomplete = () => {
                     console.log('[VectorEngine] All data cleared');
                     resolve();
                 };
-                request.onerror = () => reject(request.error);
+                transaction.onerror = () => reject(transaction.error);
             });
         }
     }
 }
+
+/**
+ * Reciprocal rank fusion of a vector and a keyword ranking (each best first)
+ * @param {number} rrfK - Damping constant; larger values flatten the rank weights
+ */
+function fuseRankings(vectorResults, keywordResults, rrfK) {
+    const fused = new Map(); // doc_id -> fused result
+
+    const add = (results, field) => results.forEach(({ docId, score }, rank) => {
+        let result = fused.get(docId);
+        if (!result) {
+            result = { docId, score: 0, vectorScore: null, keywordScore: null };
+            fused.set(docId, result);
+        }
+        result.score += 1 / (rrfK + rank + 1);
+        result[field] = score;
+    });
+    add(vectorResults, 'vectorScore');
+    add(keywordResults, 'keywordScore');
+
+    return [...fused.values()].sort((a, b) => b.score - a.score);
+}
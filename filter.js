@@ -0,0 +1,156 @@
+/**
+ * Metadata Filters
+ * Compiles the filter expression of a search_request into a predicate over a
+ * doc's metadata object. The syntax is a MongoDB-style subset:
+ *   { genre: 'news' }                          equality (shorthand for $eq)
+ *   { year: { $gte: 2020, $lt: 2024 } }        ranges: $gt, $gte, $lt, $lte
+ *   { lang: { $in: ['en', 'de'] } }            membership: $in, $nin
+ *   { status: { $ne: 'draft' } }               inequality
+ *   { $and: [...] }, { $or: [...] }, { $not: {...} }
+ * Fields may be dotted paths into nested objects. An array field matches
+ * $eq / $in if any of its elements does. Docs without metadata are treated
+ * as {}, so a missing field only satisfies $ne and $nin.
+ */
+
+import { ValidationError } from './validation.js';
+
+// Nesting limit, so a hostile filter can't blow the stack
+const MAX_DEPTH = 16;
+
+const COMPARATORS = {
+    $gt: (value, operand) => comparable(value, operand) && value > operand,
+    $gte: (value, operand) => comparable(value, operand) && value >= operand,
+    $lt: (value, operand) => comparable(value, operand) && value < operand,
+    $lte: (value, operand) => comparable(value, operand) && value <= operand
+};
+
+/**
+ * Compile a filter expression
+ * @param {Object|null|undefined} filter - Filter from the request
+ * @returns {Function|null} metadata -> boolean, or null if no filter was given
+ */
+export function compileFilter(filter) {
+    if (filter === undefined || filter === null) {
+        return null;
+    }
+
+    const predicate = compileExpression(filter, 0);
+    return metadata => predicate(metadata || {});
+}
+
+function compileExpression(expression, depth) {
+    if (!isPlainObject(expression)) {
+        throw invalid(`Filter expressions must be objects, got ${JSON.stringify(expression)}`);
+    }
+    if (depth > MAX_DEPTH) {
+        throw invalid(`Filter is nested deeper than ${MAX_DEPTH} levels`);
+    }
+
+    const clauses = Object.entries(expression).map(([key, value]) => {
+        switch (key) {
+            case '$and':
+            case '$or': {
+                if (!Array.isArray(value) || value.length === 0) {
+                    throw invalid(`${key} takes a non-empty array of expressions`);
+                }
+                const parts = value.map(part => compileExpression(part, depth + 1));
+                return key === '$and'
+                    ? metadata => parts.every(part => part(metadata))
+                    : metadata => parts.some(part => part(metadata));
+            }
+
+            case '$not': {
+                const inner = compileExpression(value, depth + 1);
+                return metadata => !inner(metadata);
+            }
+
+            default:
+                if (key.startsWith('$')) {
+                    throw invalid(`Unknown filter operator ${key}`);
+                }
+                return compileField(key.split('.'), value);
+        }
+    });
+
+    return metadata => clauses.every(clause => clause(metadata));
+}
+
+function compileField(path, condition) {
+    // A plain value (or an object without operators) is an equality match
+    const operators = isPlainObject(condition) && Object.keys(condition).some(key => key.startsWith('$'))
+        ? Object.entries(condition)
+        : [['$eq', condition]];
+
+    const tests = operators.map(([operator, operand]) => {
+        switch (operator) {
+            case '$eq':
+                checkScalar(operator, operand);
+                return value => matchesAny(value, element => element === operand);
+
+            case '$ne':
+                checkScalar(operator, operand);
+                return value => !matchesAny(value, element => element === operand);
+
+            case '$in':
+            case '$nin': {
+                if (!Array.isArray(operand)) {
+                    throw invalid(`${operator} takes an array, got ${JSON.stringify(operand)}`);
+                }
+                operand.forEach(item => checkScalar(operator, item));
+                const set = new Set(operand);
+                return operator === '$in'
+                    ? value => matchesAny(value, element => set.has(element))
+                    : value => !matchesAny(value, element => set.has(element));
+            }
+
+            default: {
+                const compare = COMPARATORS[operator];
+                if (!compare) {
+                    throw invalid(`Unknown filter operator ${operator}`);
+                }
+                if (typeof operand !== 'number' && typeof operand !== 'string') {
+                    throw invalid(`${operator} takes a number or string, got ${JSON.stringify(operand)}`);
+                }
+                return value => compare(value, operand);
+            }
+        }
+    });
+
+    return metadata => {
+        const value = resolvePath(metadata, path);
+        return tests.every(test => test(value));
+    };
+}
+
+function resolvePath(metadata, path) {
+    let value = metadata;
+    for (const part of path) {
+        if (value === null || typeof value !== 'object') {
+            return undefined;
+        }
+        value = value[part];
+    }
+    return value;
+}
+
+function matchesAny(value, test) {
+    return Array.isArray(value) ? value.some(test) : test(value);
+}
+
+function comparable(value, operand) {
+    return typeof value === typeof operand;
+}
+
+function checkScalar(operator, operand) {
+    if (operand !== null && typeof operand === 'object') {
+        throw invalid(`${operator} takes a string, number, boolean or null, got ${JSON.stringify(operand)}`);
+    }
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function invalid(message) {
+    return new ValidationError('invalid_filter', message);
+}
@@ -0,0 +1,319 @@
+/**
+ * HNSW Index
+ * Hierarchical Navigable Small World graph for approximate nearest-neighbour
+ * search (Malkov & Yashunin). Nodes are collection slots; vectors are read
+ * from the collection slab, so the index only stores links.
+ *
+ * Distances by metric (lower is closer): cosine uses 1 - dot on unit-length
+ * vectors (the collection normalises on insert), dot uses -dot, l2 uses the
+ * squared Euclidean distance.
+ *
+ * Deleted slots stay in the graph as tombstones: they are still traversed
+ * (keeping the graph connected) but never returned as results. Metadata
+ * filters work the same way: rejected slots are routed through, not kept.
+ */
+
+import { dot, l2Squared } from './vector-math.js';
+
+export const DEFAULT_HNSW_PARAMS = {
+    m: 16,
+    efConstruction: 200,
+    efSearch: 64
+};
+
+const DISTANCES = {
+    cosine: (a, b) => 1 - dot(a, b),
+    dot: (a, b) => -dot(a, b),
+    l2: (a, b) => l2Squared(a, b)
+};
+
+/**
+ * Insert into an array kept sorted by ascending distance
+ */
+function insertSorted(list, item) {
+    let lo = 0;
+    let hi = list.length;
+    while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (list[mid].distance < item.distance) {
+            lo = mid + 1;
+        } else {
+            hi = mid;
+        }
+    }
+    list.splice(lo, 0, item);
+}
+
+export class HnswIndex {
+    /**
+     * @param {Object} options
+     * @param {number} [options.m] - Links per node per layer (2 * m on layer 0)
+     * @param {number} [options.efConstruction] - Candidate list size while inserting
+     * @param {number} [options.efSearch] - Default candidate list size while searching
+     * @param {string} [options.metric] - 'cosine', 'dot' or 'l2'
+     * @param {Function} options.getVector - slot -> Float32Array
+     * @param {Function} [options.onChange] - Called with each slot whose links changed
+     */
+    constructor(options) {
+        this.m = options.m || DEFAULT_HNSW_PARAMS.m;
+        this.maxLinks0 = this.m * 2;
+        this.efConstruction = options.efConstruction || DEFAULT_HNSW_PARAMS.efConstruction;
+        this.efSearch = options.efSearch || DEFAULT_HNSW_PARAMS.efSearch;
+        this.levelMult = 1 / Math.log(this.m);
+        this.getVector = options.getVector;
+        this.onChange = options.onChange || (() => {});
+        this.distance = DISTANCES[options.metric || 'cosine'];
+
+        this.nodes = [];            // slot -> Array<Array<slot>> (links per layer)
+        this.deleted = new Set();   // tombstoned slots
+        this.nodeCount = 0;
+        this.entryPoint = null;
+        this.maxLevel = -1;
+    }
+
+    /**
+     * Whether a slot is in the graph and not tombstoned
+     */
+    has(slot) {
+        return this.nodes[slot] !== undefined && !this.deleted.has(slot);
+    }
+
+    /**
+     * Draw a layer for a new node (exponentially decaying)
+     */
+    randomLevel() {
+        return Math.floor(-Math.log(1 - Math.random()) * this.levelMult);
+    }
+
+    /**
+     * Insert a slot, or re-link it after its vector changed
+     * A reused slot keeps its layer so existing links to it stay valid
+     */
+    insert(slot) {
+        const vector = this.getVector(slot);
+        const existing = this.nodes[slot];
+        const level = existing ? existing.length - 1 : this.randomLevel();
+
+        this.deleted.delete(slot);
+
+        if (!existing) {
+            this.nodeCount++;
+        }
+
+        if (this.entryPoint === null || (this.entryPoint === slot && this.nodeCount === 1)) {
+            this.nodes[slot] = Array.from({ length: level + 1 }, () => []);
+            this.entryPoint = slot;
+            this.maxLevel = level;
+            this.onChange(slot);
+            return;
+        }
+
+        // Greedy descent through the layers above the node's own
+        let entries = [{ slot: this.entryPoint, distance: this.distance(vector, this.getVector(this.entryPoint)) }];
+        for (let layer = this.maxLevel; layer > level; layer--) {
+            entries = this.searchLayer(vector, entries, 1, layer);
+        }
+
+        // Find neighbours on each layer the node lives on
+        const links = Array.from({ length: level + 1 }, () => []);
+        for (let layer = Math.min(level, this.maxLevel); layer >= 0; layer--) {
+            const candidates = this.searchLayer(vector, entries, this.efConstruction, layer)
+                .filter(candidate => candidate.slot !== slot);
+            const maxLinks = layer === 0 ? this.maxLinks0 : this.m;
+
+            links[layer] = this.selectNeighbors(candidates, maxLinks).map(candidate => candidate.slot);
+
+            if (candidates.length > 0) {
+                entries = candidates;
+            }
+        }
+
+        this.nodes[slot] = links;
+        this.onChange(slot);
+
+        // Link back, pruning neighbours that now have too many links
+        for (let layer = 0; layer < links.length; layer++) {
+            const maxLinks = layer === 0 ? this.maxLinks0 : this.m;
+
+            for (const neighbor of links[layer]) {
+                const neighborLinks = this.nodes[neighbor][layer];
+                if (neighborLinks.includes(slot)) continue;
+
+                neighborLinks.push(slot);
+
+                if (neighborLinks.length > maxLinks) {
+                    const base = this.getVector(neighbor);
+                    const candidates = neighborLinks
+                        .map(other => ({ slot: other, distance: this.distance(base, this.getVector(other)) }))
+                        .sort((a, b) => a.distance - b.distance);
+                    this.nodes[neighbor][layer] = this.selectNeighbors(candidates, maxLinks).map(c => c.slot);
+                }
+
+                this.onChange(neighbor);
+            }
+        }
+
+        if (level > this.maxLevel) {
+            this.entryPoint = slot;
+            this.maxLevel = level;
+        }
+    }
+
+    /**
+     * Tombstone a slot (its links stay for navigation)
+     */
+    remove(slot) {
+        if (this.nodes[slot] === undefined) return;
+        this.deleted.add(slot);
+    }
+
+    /**
+     * Best-first search of one layer
+     * @param {Float32Array} query - Query vector
+     * @param {Array<{slot, distance}>} entries - Starting points
+     * @param {number} ef - Candidate list size
+     * @param {number} layer - Layer to search
+     * @param {Function} [accept] - slot -> boolean; other slots are traversed but not returned
+     * @returns {Array<{slot, distance}>} Up to ef nearest, ascending by distance
+     */
+    searchLayer(query, entries, ef, layer, accept = null) {
+        const visited = new Set(entries.map(entry => entry.slot));
+        const candidates = [...entries].sort((a, b) => a.distance - b.distance);
+        const found = (accept ? candidates.filter(entry => accept(entry.slot)) : [...candidates]).slice(0, ef);
+
+        while (candidates.length > 0) {
+            const current = candidates.shift();
+            if (found.length >= ef && current.distance > found[found.length - 1].distance) {
+                break;
+            }
+
+            const links = this.nodes[current.slot]?.[layer] || [];
+            for (const neighbor of links) {
+                if (visited.has(neighbor)) continue;
+                visited.add(neighbor);
+
+                const distance = this.distance(query, this.getVector(neighbor));
+                if (found.length < ef || distance < found[found.length - 1].distance) {
+                    const item = { slot: neighbor, distance };
+                    insertSorted(candidates, item);
+                    if (accept && !accept(neighbor)) continue;
+                    insertSorted(found, item);
+                    if (found.length > ef) {
+                        found.pop();
+                    }
+                }
+            }
+        }
+
+        return found;
+    }
+
+    /**
+     * Neighbour selection heuristic: keep a candidate only if it is closer to
+     * the base than to every neighbour already kept, then top up with the
+     * closest pruned ones
+     * @param {Array<{slot, distance}>} candidates - Ascending by distance to the base
+     * @param {number} maxLinks - Max neighbours to keep
+     */
+    selectNeighbors(candidates, maxLinks) {
+        if (candidates.length <= maxLinks) {
+            return candidates;
+        }
+
+        const selected = [];
+        const pruned = [];
+
+        for (const candidate of candidates) {
+            if (selected.length >= maxLinks) break;
+
+            const vector = this.getVector(candidate.slot);
+            const diverse = selected.every(kept =>
+                this.distance(vector, this.getVector(kept.slot)) > candidate.distance
+            );
+
+            if (diverse) {
+                selected.push(candidate);
+            } else {
+                pruned.push(candidate);
+            }
+        }
+
+        for (const candidate of pruned) {
+            if (selected.length >= maxLinks) break;
+            selected.push(candidate);
+        }
+
+        return selected;
+    }
+
+    /**
+     * Approximate k nearest live slots
+     * @param {Float32Array} query - Query vector
+     * @param {number} k - Results wanted
+     * @param {number} [ef] - Candidate list size (defaults to efSearch)
+     * @param {Function} [filter] - slot -> boolean; only matching slots are returned
+     * @returns {Array<{slot: number, distance: number}>} Ascending by distance
+     */
+    search(query, k, ef = this.efSearch, filter = null) {
+        if (this.entryPoint === null) return [];
+
+        let entries = [{ slot: this.entryPoint, distance: this.distance(query, this.getVector(this.entryPoint)) }];
+        for (let layer = this.maxLevel; layer > 0; layer--) {
+            entries = this.searchLayer(query, entries, 1, layer);
+        }
+
+        // Tombstones and filtered-out slots are routed through but don't take up result places
+        const accept = filter
+            ? slot => !this.deleted.has(slot) && filter(slot)
+            : this.deleted.size > 0 ? slot => !this.deleted.has(slot) : null;
+
+        return this.searchLayer(query, entries, Math.max(ef, k), 0, accept).slice(0, k);
+    }
+
+    /**
+     * Whether so much of the graph is tombstones that a rebuild is worthwhile
+     */
+    needsRebuild() {
+        return this.nodeCount >= 64 && this.deleted.size > this.nodeCount / 2;
+    }
+
+    /**
+     * Parameters and graph entry for the collection manifest
+     */
+    getState() {
+        return {
+            type: 'hnsw',
+            m: this.m,
+            efConstruction: this.efConstruction,
+            efSearch: this.efSearch,
+            entryPoint: this.entryPoint,
+            maxLevel: this.maxLevel
+        };
+    }
+
+    /**
+     * Restore a node's links (from a persisted segment)
+     */
+    restoreNode(slot, links, deleted) {
+        this.nodes[slot] = links;
+        this.nodeCount++;
+        if (deleted) {
+            this.deleted.add(slot);
+        }
+    }
+
+    /**
+     * Get index statistics
+     */
+    getStats() {
+        return {
+            type: 'hnsw',
+            m: this.m,
+            ef_construction: this.efConstruction,
+            ef_search: this.efSearch,
+            nodes: this.nodeCount,
+            tombstones: this.deleted.size,
+            max_level: this.maxLevel
+        };
+    }
+}
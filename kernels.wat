@@ -0,0 +1,102 @@
+;; SIMD distance kernels for the vector engine (see simd.js)
+;; All pointers are byte offsets into the imported memory; vectors are float32.
+;; The main loops work on 4 lanes at a time, a scalar loop handles dim % 4.
+;;
+;; Assemble with: wat2wasm kernels.wat -o kernels.wasm (wabt, SIMD is on by default)
+;; then embed the base64 of kernels.wasm as KERNELS_WASM in simd.js.
+
+(module
+  (import "env" "memory" (memory 1))
+
+  ;; Sum of the four lanes
+  (func $hsum (param $v v128) (result f32)
+    (f32.add
+      (f32.add (f32x4.extract_lane 0 (local.get $v)) (f32x4.extract_lane 1 (local.get $v)))
+      (f32.add (f32x4.extract_lane 2 (local.get $v)) (f32x4.extract_lane 3 (local.get $v)))))
+
+  ;; dot(a, b) over n floats
+  (func $dot (export "dot") (param $a i32) (param $b i32) (param $n i32) (result f32)
+    (local $acc v128) (local $end i32) (local $tail i32) (local $sum f32)
+    (local.set $end (i32.add (local.get $a) (i32.shl (i32.and (local.get $n) (i32.const -4)) (i32.const 2))))
+    (local.set $tail (i32.add (local.get $a) (i32.shl (local.get $n) (i32.const 2))))
+    (block $done
+      (loop $loop
+        (br_if $done (i32.ge_u (local.get $a) (local.get $end)))
+        (local.set $acc
+          (f32x4.add (local.get $acc)
+            (f32x4.mul (v128.load (local.get $a)) (v128.load (local.get $b)))))
+        (local.set $a (i32.add (local.get $a) (i32.const 16)))
+        (local.set $b (i32.add (local.get $b) (i32.const 16)))
+        (br $loop)))
+    (local.set $sum (call $hsum (local.get $acc)))
+    (block $tail_done
+      (loop $tail_loop
+        (br_if $tail_done (i32.ge_u (local.get $a) (local.get $tail)))
+        (local.set $sum
+          (f32.add (local.get $sum)
+            (f32.mul (f32.load (local.get $a)) (f32.load (local.get $b)))))
+        (local.set $a (i32.add (local.get $a) (i32.const 4)))
+        (local.set $b (i32.add (local.get $b) (i32.const 4)))
+        (br $tail_loop)))
+    (local.get $sum))
+
+  ;; Squared L2 distance between a and b over n floats
+  (func $l2 (export "l2") (param $a i32) (param $b i32) (param $n i32) (result f32)
+    (local $acc v128) (local $diff v128) (local $end i32) (local $tail i32) (local $sum f32) (local $d f32)
+    (local.set $end (i32.add (local.get $a) (i32.shl (i32.and (local.get $n) (i32.const -4)) (i32.const 2))))
+    (local.set $tail (i32.add (local.get $a) (i32.shl (local.get $n) (i32.const 2))))
+    (block $done
+      (loop $loop
+        (br_if $done (i32.ge_u (local.get $a) (local.get $end)))
+        (local.set $diff (f32x4.sub (v128.load (local.get $a)) (v128.load (local.get $b))))
+        (local.set $acc (f32x4.add (local.get $acc) (f32x4.mul (local.get $diff) (local.get $diff))))
+        (local.set $a (i32.add (local.get $a) (i32.const 16)))
+        (local.set $b (i32.add (local.get $b) (i32.const 16)))
+        (br $loop)))
+    (local.set $sum (call $hsum (local.get $acc)))
+    (block $tail_done
+      (loop $tail_loop
+        (br_if $tail_done (i32.ge_u (local.get $a) (local.get $tail)))
+        (local.set $d (f32.sub (f32.load (local.get $a)) (f32.load (local.get $b))))
+        (local.set $sum (f32.add (local.get $sum) (f32.mul (local.get $d) (local.get $d))))
+        (local.set $a (i32.add (local.get $a) (i32.const 4)))
+        (local.set $b (i32.add (local.get $b) (i32.const 4)))
+        (br $tail_loop)))
+    (local.get $sum))
+
+  ;; Cosine similarity of a and b over n floats (0 if either is a zero vector)
+  (func $cosine (export "cosine") (param $a i32) (param $b i32) (param $n i32) (result f32)
+    (local $norm f32)
+    (local.set $norm
+      (f32.sqrt (f32.mul
+        (call $dot (local.get $a) (local.get $a) (local.get $n))
+        (call $dot (local.get $b) (local.get $b) (local.get $n)))))
+    (if (result f32) (f32.eq (local.get $norm) (f32.const 0))
+      (then (f32.const 0))
+      (else (f32.div (call $dot (local.get $a) (local.get $b) (local.get $n)) (local.get $norm)))))
+
+  ;; out[i] = dot(query, base + i * n) for i in [0, count)
+  (func (export "dot_batch") (param $query i32) (param $base i32) (param $n i32) (param $count i32) (param $out i32)
+    (local $stride i32) (local $end i32)
+    (local.set $stride (i32.shl (local.get $n) (i32.const 2)))
+    (local.set $end (i32.add (local.get $out) (i32.shl (local.get $count) (i32.const 2))))
+    (block $done
+      (loop $loop
+        (br_if $done (i32.ge_u (local.get $out) (local.get $end)))
+        (f32.store (local.get $out) (call $dot (local.get $query) (local.get $base) (local.get $n)))
+        (local.set $base (i32.add (local.get $base) (local.get $stride)))
+        (local.set $out (i32.add (local.get $out) (i32.const 4)))
+        (br $loop))))
+
+  ;; out[i] = l2(query, base + i * n) for i in [0, count)
+  (func (export "l2_batch") (param $query i32) (param $base i32) (param $n i32) (param $count i32) (param $out i32)
+    (local $stride i32) (local $end i32)
+    (local.set $stride (i32.shl (local.get $n) (i32.const 2)))
+    (local.set $end (i32.add (local.get $out) (i32.shl (local.get $count) (i32.const 2))))
+    (block $done
+      (loop $loop
+        (br_if $done (i32.ge_u (local.get $out) (local.get $end)))
+        (f32.store (local.get $out) (call $l2 (local.get $query) (local.get $base) (local.get $n)))
+        (local.set $base (i32.add (local.get $base) (local.get $stride)))
+        (local.set $out (i32.add (local.get $out) (i32.const 4)))
+        (br $loop)))))
@@ -0,0 +1,244 @@
+/**
+ * Shard Merkle Tree
+ * Commits to a collection's contents so the coordinator can audit that a
+ * miner still holds real data. Leaves are the live docs in doc_id order
+ * (so replicas holding the same docs agree, whatever their slot layout):
+ *   leaf = SHA-256(0x00 || doc_id (UTF-8) || 0x00 || vector (float32, little-endian))
+ *   node = SHA-256(0x01 || left || right)
+ * A node without a sibling is promoted to the next level unchanged.
+ *
+ * The tree is rolling: writes only mark slots stale, and the next refresh
+ * rehashes those leaves and their paths instead of the whole tree.
+ */
+
+import { sha256 } from './sha256.js';
+
+const HASH_BYTES = 32;
+// Leaves hashed between yields to the event loop during a refresh
+const LEAVES_PER_YIELD = 1024;
+
+const encoder = new TextEncoder();
+
+/**
+ * Leaf hash for a doc
+ * @param {string} docId
+ * @param {Float32Array} vector - The vector as fetch returns it
+ */
+export function leafHash(docId, vector) {
+    const id = encoder.encode(docId);
+    const bytes = new Uint8Array(id.length + 2 + vector.byteLength);
+    bytes[0] = 0x00;
+    bytes.set(id, 1);
+    bytes[id.length + 1] = 0x00;
+    bytes.set(new Uint8Array(vector.buffer, vector.byteOffset, vector.byteLength), id.length + 2);
+    return sha256(bytes);
+}
+
+/**
+ * Interior node hash
+ */
+export function nodeHash(left, right) {
+    const bytes = new Uint8Array(1 + 2 * HASH_BYTES);
+    bytes[0] = 0x01;
+    bytes.set(left, 1);
+    bytes.set(right, 1 + HASH_BYTES);
+    return sha256(bytes);
+}
+
+export function toHex(bytes) {
+    return Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('');
+}
+
+export class MerkleTree {
+    /**
+     * @param {Object} source
+     * @param {Function} source.getSlots - () -> iterable of live slots
+     * @param {Function} source.getDocId - slot -> doc_id
+     * @param {Function} source.getVector - slot -> Float32Array (as fetch returns it)
+     */
+    constructor(source) {
+        this.source = source;
+        this.slotHashes = new Uint8Array(0); // slot -> leaf hash
+        this.positions = new Int32Array(0);  // slot -> leaf position in doc_id order (-1 if none)
+        this.levels = null;                  // levels[0] = leaves ... levels[top] = root
+        this.stale = new Set();              // slots whose leaf must be rehashed
+        this.allStale = true;
+        this.orderChanged = true;
+    }
+
+    /**
+     * A slot's vector changed, or (membership = true) a doc was added or removed there
+     */
+    invalidate(slot, membership = false) {
+        if (this.allStale) return;
+        this.stale.add(slot);
+        if (membership) {
+            this.orderChanged = true;
+        }
+    }
+
+    /**
+     * Everything changed (slots moved or the storage was re-encoded)
+     */
+    invalidateAll() {
+        this.allStale = true;
+        this.orderChanged = true;
+        this.stale.clear();
+    }
+
+    /**
+     * Bring the tree up to date
+     * Leaves are hashed in chunks, yielding in between; writes that land
+     * meanwhile are picked up before the (synchronous) tree update, so the
+     * tree is consistent when this resolves. Read it before the next await.
+     */
+    async refresh() {
+        const changed = new Set();
+
+        // Writes during a yield mark more slots stale: keep going until none are
+        while (this.allStale || this.stale.size > 0) {
+            let slots;
+            if (this.allStale) {
+                this.allStale = false;
+                this.stale.clear();
+                slots = [...this.source.getSlots()];
+            } else {
+                slots = [...this.stale];
+                this.stale.clear();
+            }
+
+            for (let i = 0; i < slots.length; i += LEAVES_PER_YIELD) {
+                this.hashLeaves(slots.slice(i, i + LEAVES_PER_YIELD));
+                if (i + LEAVES_PER_YIELD < slots.length) {
+                    await new Promise(resolve => setTimeout(resolve, 0));
+                }
+            }
+            slots.forEach(slot => changed.add(slot));
+        }
+
+        if (this.orderChanged || !this.levels) {
+            this.rebuild();
+        } else if (changed.size > 0) {
+            this.updatePaths(changed);
+        }
+    }
+
+    hashLeaves(slots) {
+        for (const slot of slots) {
+            const docId = this.source.getDocId(slot);
+            if (docId === null || docId === undefined) continue;
+
+            this.ensureSlot(slot);
+            this.slotHashes.set(leafHash(docId, this.source.getVector(slot)), slot * HASH_BYTES);
+        }
+    }
+
+    ensureSlot(slot) {
+        if ((slot + 1) * HASH_BYTES <= this.slotHashes.length) return;
+
+        const capacity = Math.max(slot + 1, Math.ceil(this.positions.length * 1.5), 64);
+        const hashes = new Uint8Array(capacity * HASH_BYTES);
+        hashes.set(this.slotHashes);
+        this.slotHashes = hashes;
+
+        const positions = new Int32Array(capacity).fill(-1);
+        positions.set(this.positions);
+        this.positions = positions;
+    }
+
+    /**
+     * Re-sort the leaves by doc_id and recompute every level
+     */
+    rebuild() {
+        const { getDocId } = this.source;
+        const order = [...this.source.getSlots()].map(slot => ({ slot, docId: getDocId(slot) }));
+        order.sort((a, b) => (a.docId < b.docId ? -1 : a.docId > b.docId ? 1 : 0));
+
+        this.positions.fill(-1);
+        const leaves = new Uint8Array(order.length * HASH_BYTES);
+        order.forEach(({ slot }, position) => {
+            this.positions[slot] = position;
+            leaves.set(this.slotHashes.subarray(slot * HASH_BYTES, (slot + 1) * HASH_BYTES), position * HASH_BYTES);
+        });
+
+        this.levels = [leaves];
+        while (this.levels[this.levels.length - 1].length > HASH_BYTES) {
+            const below = this.levels[this.levels.length - 1];
+            const level = new Uint8Array(Math.ceil(below.length / HASH_BYTES / 2) * HASH_BYTES);
+            for (let i = 0; i < level.length / HASH_BYTES; i++) {
+                this.setNode(level, below, i);
+            }
+            this.levels.push(level);
+        }
+
+        this.orderChanged = false;
+    }
+
+    /**
+     * Copy changed leaves into place and rehash only their paths to the root
+     */
+    updatePaths(slots) {
+        let dirty = new Set();
+        for (const slot of slots) {
+            const position = this.positions[slot];
+            if (position < 0) continue;
+            this.levels[0].set(this.slotHashes.subarray(slot * HASH_BYTES, (slot + 1) * HASH_BYTES), position * HASH_BYTES);
+            dirty.add(position);
+        }
+
+        for (let l = 1; l < this.levels.length; l++) {
+            const parents = new Set();
+            for (const position of dirty) {
+                parents.add(position >> 1);
+            }
+            for (const parent of parents) {
+                this.setNode(this.levels[l], this.levels[l - 1], parent);
+            }
+            dirty = parents;
+        }
+    }
+
+    setNode(level, below, index) {
+        const left = below.subarray(2 * index * HASH_BYTES, (2 * index + 1) * HASH_BYTES);
+        const right = below.subarray((2 * index + 1) * HASH_BYTES, (2 * index + 2) * HASH_BYTES);
+        level.set(right.length > 0 ? nodeHash(left, right) : left, index * HASH_BYTES);
+    }
+
+    /**
+     * Root hash (hex); SHA-256 of nothing for an empty collection
+     * Call after refresh()
+     */
+    get root() {
+        const top = this.levels[this.levels.length - 1];
+        return toHex(top.length > 0 ? top : sha256(new Uint8Array(0)));
+    }
+
+    get leafCount() {
+        return this.levels[0].length / HASH_BYTES;
+    }
+
+    /**
+     * Sibling path from a slot's leaf to the root; call after refresh()
+     * To verify, start from the leaf hash and for each step hash
+     * (sibling, current) if side is 'left', else (current, sibling)
+     * @returns {Array<{side: string, hash: string}>}
+     */
+    prove(slot) {
+        const proof = [];
+        let position = this.positions[slot];
+
+        for (let l = 0; l < this.levels.length - 1; l++) {
+            const sibling = position ^ 1;
+            const level = this.levels[l];
+            if (sibling * HASH_BYTES < level.length) {
+                proof.push({
+                    side: sibling < position ? 'left' : 'right',
+                    hash: toHex(level.subarray(sibling * HASH_BYTES, (sibling + 1) * HASH_BYTES))
+                });
+            }
+            position >>= 1;
+        }
+
+        return proof;
+    }
+}
@@ -0,0 +1,199 @@
+/**
+ * dvm-vectors Schema Migrations
+ * One step per IndexedDB version, run in order inside the versionchange
+ * transaction: a fresh install runs every step, an existing install only
+ * those above the version it was at. The version reached is recorded in
+ * the `metadata` store.
+ *
+ * Steps must only issue IndexedDB requests on the upgrade transaction;
+ * awaiting anything else lets it commit early. A step that throws aborts
+ * the upgrade and the database stays at its old version.
+ *
+ * To change the record layout, append a step with the next version.
+ * Never edit a step that has shipped.
+ */
+
+// Key of the schema record in the metadata store
+export const SCHEMA_KEY = 'schema';
+
+// Slots per segment record in the v3 layout
+const V3_SEGMENT_SIZE = 1024;
+
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Create collections and metadata stores',
+        upgrade(db) {
+            db.createObjectStore('collections', { keyPath: 'id' });
+            db.createObjectStore('metadata', { keyPath: 'key' });
+        }
+    },
+    {
+        version: 2,
+        description: 'Add segments store, keyed [collection key, segment index]',
+        upgrade(db) {
+            db.createObjectStore('segments', { keyPath: ['collectionKey', 'index'] });
+        }
+    },
+    {
+        version: 3,
+        description: 'Rewrite whole-collection records (number arrays or one slab) as manifest + segments',
+        upgrade(db, transaction, context) {
+            const segments = transaction.objectStore('segments');
+            const request = transaction.objectStore('collections').openCursor();
+
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) return;
+
+                const data = cursor.value;
+                if (data.segmentCount === undefined) {
+                    const { manifest, segmentRecords } = convertWholeRecordV3(data, context.embeddingDim);
+                    segmentRecords.forEach(segment => segments.put(segment));
+                    cursor.update(manifest);
+                }
+                cursor.continue();
+            };
+        }
+    }
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Step 3's conversion, pinned here instead of going through collection.js so
+ * later changes to the live record layout can't change what this step writes.
+ * Produces a v3 float32 cosine collection: unit-length vectors in `slab`, the
+ * original norms in `norms`, no index.
+ * @param {Object} data - Whole-collection record: `slab` (one ArrayBuffer) or `vectors` (number arrays)
+ * @param {number} defaultDim - Dimension for number-array records that don't store one
+ * @returns {{manifest: Object, segmentRecords: Array<Object>}}
+ */
+function convertWholeRecordV3(data, defaultDim) {
+    const { dim, highWater, slab, docIds, metadata } = data.slab
+        ? readSlabRecord(data)
+        : readArrayRecord(data, defaultDim);
+
+    const norms = new Float32Array(highWater);
+    for (let slot = 0; slot < highWater; slot++) {
+        const vector = slab.subarray(slot * dim, (slot + 1) * dim);
+        let sum = 0;
+        for (let i = 0; i < dim; i++) {
+            sum += vector[i] * vector[i];
+        }
+        const length = Math.sqrt(sum);
+        if (length > 0) {
+            for (let i = 0; i < dim; i++) {
+                vector[i] /= length;
+            }
+        }
+        norms[slot] = length;
+    }
+
+    const segmentCount = Math.ceil(highWater / V3_SEGMENT_SIZE);
+    const segmentRecords = [];
+    for (let index = 0; index < segmentCount; index++) {
+        const start = index * V3_SEGMENT_SIZE;
+        const end = Math.min(start + V3_SEGMENT_SIZE, highWater);
+        segmentRecords.push({
+            collectionKey: data.id,
+            index,
+            slab: slab.slice(start * dim, end * dim).buffer,
+            norms: norms.slice(start, end).buffer,
+            docIds: docIds.slice(start, end),
+            metadata: metadata.slice(start, end),
+            expiresAt: [],
+            links: null
+        });
+    }
+
+    return {
+        manifest: {
+            id: data.id,
+            collectionId: data.collectionId,
+            shardId: data.shardId,
+            dim,
+            metric: 'cosine',
+            highWater,
+            segmentSize: V3_SEGMENT_SIZE,
+            segmentCount,
+            normalized: true,
+            storage: { mode: 'float32', encoded: 'float32' },
+            index: null,
+            lastSearchedAt: Date.now(),
+            lastWriteAt: null,
+            savedAt: new Date().toISOString()
+        },
+        segmentRecords
+    };
+}
+
+/**
+ * Slab record (one float32 ArrayBuffer, free slots have a null doc_id)
+ */
+function readSlabRecord(data) {
+    const { dim, highWater } = data;
+    return {
+        dim,
+        highWater,
+        slab: new Float32Array(data.slab.slice(0, highWater * dim * 4)),
+        docIds: data.docIds.slice(0, highWater),
+        metadata: (data.metadata || []).slice(0, highWater)
+    };
+}
+
+/**
+ * Number-array record; a repeated doc_id keeps its first slot and takes the later vector
+ * (and the later metadata, if that entry has any)
+ */
+function readArrayRecord(data, defaultDim) {
+    const vectors = data.vectors || [];
+    const dim = data.dim ?? vectors[0]?.length ?? defaultDim;
+
+    const slots = new Map();
+    const docIds = [];
+    vectors.forEach((_, i) => {
+        if (!slots.has(data.docIds[i])) {
+            slots.set(data.docIds[i], docIds.length);
+            docIds.push(data.docIds[i]);
+        }
+    });
+
+    const slab = new Float32Array(docIds.length * dim);
+    const metadata = [];
+    vectors.forEach((vector, i) => {
+        const slot = slots.get(data.docIds[i]);
+        slab.set(vector, slot * dim);
+        if (data.metadata?.[i] !== undefined) {
+            metadata[slot] = data.metadata[i];
+        }
+    });
+
+    return { dim, highWater: docIds.length, slab, docIds, metadata };
+}
+
+/**
+ * Run the steps above oldVersion; call from onupgradeneeded
+ * @param {IDBDatabase} db
+ * @param {IDBTransaction} transaction - The versionchange transaction
+ * @param {number} oldVersion - event.oldVersion (0 for a fresh install)
+ * @param {Object} context
+ * @param {number} context.embeddingDim - Dimension for legacy records that don't store one
+ */
+export function runMigrations(db, transaction, oldVersion, context) {
+    for (const step of MIGRATIONS) {
+        if (step.version <= oldVersion) continue;
+
+        console.log(`[Migrations] v${step.version}: ${step.description}`);
+        step.upgrade(db, transaction, context);
+    }
+
+    transaction.objectStore('metadata').put({
+        key: SCHEMA_KEY,
+        value: {
+            version: SCHEMA_VERSION,
+            upgradedFrom: oldVersion,
+            upgradedAt: new Date().toISOString()
+        }
+    });
+}
@@ -3,8 +3,73 @@
  * Connects to REM Network coordinator and handles mining operations
  */
 
-import { VectorEngine } from './engine.js';
+import { EngineClient } from './engine-client.js';
 import { PoRAMManager } from './poram.js';
+import { decompress, isZstdFrame } from './zstd.js';
+import { CoordinatorPool } from './coordinators.js';
+import { RequestScheduler } from './scheduler.js';
+import { RequestCache } from './request-cache.js';
+import {
+    ValidationError,
+    decodeBase64Payload,
+    errorCode,
+    validateShape,
+    validateVectorBytes,
+    validateFinite,
+    validateDocIds,
+    validateIndexOptions,
+    validateStorageOptions,
+    validateEfSearch,
+    validateMetric,
+    validateMetadata,
+    validateTexts,
+    validateTextQuery,
+    validateFusion,
+    validatePaging,
+    validateScoreThreshold,
+    validateQueryCount,
+    encodeCursor,
+    validateTtl,
+    validateEvictionPolicy,
+    validateAuditDocIds
+} from './validation.js';
+
+// Reconnect backoff: capped exponential with jitter
+const RECONNECT_BASE_MS = 1000;
+const RECONNECT_MAX_MS = 60000;
+const REGISTER_RETRY_MS = 10000;
+// How often a miner on a fallback coordinator checks whether to fail back
+const FAILBACK_CHECK_MS = 60000;
+// Background compaction only runs after this long without coordinator requests
+const COMPACTION_IDLE_MS = 60000;
+// Doc ids kept per queued eviction notice while disconnected
+const MAX_PENDING_EVICTION_DOC_IDS = 10000;
+
+// Response type sent back when a request is dropped for backpressure
+const RESPONSE_TYPES = {
+    store_request: 'store_response',
+    search_request: 'search_response',
+    fetch_request: 'fetch_response',
+    delete_request: 'delete_response',
+    challenge_request: 'challenge_response',
+    list_collections_request: 'list_collections_response',
+    describe_collection_request: 'describe_collection_response',
+    drop_collection_request: 'drop_collection_response',
+    compact_collection_request: 'compact_collection_response',
+    audit_request: 'audit_response'
+};
+
+/**
+ * Connection lifecycle states
+ * idle → connecting → registering → ready, with backoff between attempts
+ */
+export const ConnectionState = Object.freeze({
+    IDLE: 'idle',
+    CONNECTING: 'connecting',
+    REGISTERING: 'registering',
+    READY: 'ready',
+    BACKOFF: 'backoff'
+});
 
 /**
  * Generate a UUID v4
@@ -18,12 +83,44 @@ export class WebSocketMiner {
         this.config = config;
         this.onConfigUpdate = onConfigUpdate;
         this.ws = null;
-        this.engine = new VectorEngine(config.max_ram_gb);
+        // The engine runs in a worker (engine-worker.js); this is its RPC client
+        this.engine = new EngineClient(config.max_ram_gb);
+        // Collections keep the dimension of their first store; this is only the fallback
+        if (Number.isInteger(config.embedding_dim) && config.embedding_dim > 0) {
+            this.engine.embeddingDim = config.embedding_dim;
+        }
+        try {
+            this.engine.defaultIndex = validateIndexOptions(config.default_index);
+        } catch (error) {
+            console.warn('[Miner] Ignoring invalid default_index in config:', error.message);
+        }
+        try {
+            this.engine.evictionPolicy = validateEvictionPolicy(config.eviction_policy);
+        } catch (error) {
+            console.warn('[Miner] Ignoring invalid eviction_policy in config:', error.message);
+        }
+        this.engine.onEviction = eviction => this.reportEviction(eviction);
+        this.pendingEvictionNotices = new Map(); // reason/collection/shard -> merged notice, sent once registered
+        this.pendingShardInventory = null; // reason for a shard_inventory owed once registered
         this.poram = new PoRAMManager(config.max_ram_gb);
+        this.coordinators = CoordinatorPool.fromConfig(config);
+        this.scheduler = new RequestScheduler({
+            limits: config.concurrency_limits,
+            maxQueueSize: config.max_queue_size
+        });
+        this.requestCache = new RequestCache(this.engine);
         this.heartbeatInterval = null;
         this.reconnectTimeout = null;
+        this.registerTimeout = null;
+        this.failbackInterval = null;
+        this.failingBack = false;
+        this.connectStartedAt = null;
         this.connected = false;
         this.registered = false;
+        this.state = ConnectionState.IDLE;
+        this.stopped = false;
+        this.reconnectAttempts = 0;
+        this.nextRetryAt = null;
         this.stats = {
             totalVectorsStored: 0,
             queriesServed: 0,
@@ -38,10 +135,14 @@ export class WebSocketMiner {
      */
     async start() {
         console.log('[Miner] Starting miner...');
+        this.stopped = false;
 
         // Initialize vector engine
         await this.engine.init();
 
+        // Restore completed request IDs (needs the engine's IndexedDB)
+        await this.requestCache.load();
+
         // Initialize PoRAM
         await this.poram.initialize();
 
@@ -49,28 +150,63 @@ export class WebSocketMiner {
         await this.connect();
     }
 
+    /**
+     * Move to a new connection state
+     * Any transition cancels a pending registration retry
+     */
+    setState(state) {
+        if (this.state === state) return;
+
+        console.log(`[Miner] Connection state: ${this.state} → ${state}`);
+        this.state = state;
+
+        if (this.registerTimeout) {
+            clearTimeout(this.registerTimeout);
+            this.registerTimeout = null;
+        }
+    }
+
     /**
      * Connect to coordinator WebSocket
      */
     async connect() {
-        if (this.ws && this.ws.readyState === WebSocket.OPEN) {
+        if (this.stopped) {
+            return;
+        }
+
+        if (this.ws && (this.ws.readyState === WebSocket.OPEN || this.ws.readyState === WebSocket.CONNECTING)) {
             console.log('[Miner] Already connected');
             return;
         }
 
-        console.log(`[Miner] Connecting to ${this.config.coordinator_url}...`);
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
+        }
+        this.nextRetryAt = null;
+
+        this.setState(ConnectionState.CONNECTING);
+
+        const url = this.coordinators.select();
+        this.connectStartedAt = Date.now();
+        console.log(`[Miner] Connecting to ${url}...`);
 
         try {
-            this.ws = new WebSocket(this.config.coordinator_url);
+            const ws = new WebSocket(url);
+            this.ws = ws;
 
-            this.ws.onopen = async () => {
+            ws.onopen = async () => {
+                if (this.ws !== ws) return;
+
+                this.coordinators.recordConnected(url, Date.now() - this.connectStartedAt);
                 console.log('[Miner] ✅ WebSocket opened, connecting to coordinator...');
                 this.connected = true;
                 this.registered = false; // Reset registration status on new connection
+                this.setState(ConnectionState.REGISTERING);
                 await this.register();
             };
 
-            this.ws.onmessage = async (event) => {
+            ws.onmessage = async (event) => {
                 try {
                     const message = JSON.parse(event.data);
                     await this.handleMessage(message);
@@ -79,12 +215,17 @@ export class WebSocketMiner {
                 }
             };
 
-            this.ws.onerror = (error) => {
+            ws.onerror = (error) => {
+                if (this.ws !== ws) return;
+
                 console.error('[Miner] WebSocket error:', error);
                 this.connected = false;
             };
 
-            this.ws.onclose = (event) => {
+            ws.onclose = (event) => {
+                // Ignore late events from a socket we already replaced
+                if (this.ws !== ws) return;
+
                 console.log('[Miner] Disconnected from coordinator', {
                     code: event.code,
                     reason: event.reason || 'No reason provided',
@@ -97,17 +238,96 @@ export class WebSocketMiner {
                     clearInterval(this.heartbeatInterval);
                     this.heartbeatInterval = null;
                 }
+                this.stopFailbackChecks();
+
+                // Queued work can no longer be answered on this connection
+                const dropped = this.scheduler.clear();
+                if (dropped > 0) {
+                    console.warn(`[Miner] Dropped ${dropped} queued requests on disconnect`);
+                }
 
-                // Reconnect after 5 seconds
-                console.log('[Miner] Reconnecting in 5 seconds...');
-                this.reconnectTimeout = setTimeout(() => this.connect(), 5000);
+                if (this.stopped) {
+                    this.setState(ConnectionState.IDLE);
+                    return;
+                }
+
+                // Deliberate switch back to the preferred coordinator
+                if (this.failingBack) {
+                    this.failingBack = false;
+                    this.setState(ConnectionState.IDLE);
+                    this.connect();
+                    return;
+                }
+
+                this.coordinators.recordFailure(url);
+                this.scheduleReconnect();
             };
 
         } catch (error) {
             console.error('[Miner] Connection error:', error);
-            // Retry after 5 seconds
-            this.reconnectTimeout = setTimeout(() => this.connect(), 5000);
+            this.coordinators.recordFailure(url);
+            this.scheduleReconnect();
+        }
+    }
+
+    /**
+     * While connected to a fallback coordinator, periodically check whether a
+     * more preferred one has cooled down and reconnect to it
+     */
+    startFailbackChecks() {
+        this.stopFailbackChecks();
+
+        if (this.coordinators.isPreferredActive()) {
+            return;
         }
+
+        this.failbackInterval = setInterval(() => {
+            if (this.state !== ConnectionState.READY || !this.coordinators.shouldFailBack()) {
+                return;
+            }
+
+            console.log('[Miner] Preferred coordinator available again, failing back...');
+            this.failingBack = true;
+            this.ws.close(1000, 'Failing back to preferred coordinator');
+        }, FAILBACK_CHECK_MS);
+    }
+
+    stopFailbackChecks() {
+        if (this.failbackInterval) {
+            clearInterval(this.failbackInterval);
+            this.failbackInterval = null;
+        }
+    }
+
+    /**
+     * Schedule the next connection attempt using capped exponential backoff with jitter
+     */
+    scheduleReconnect() {
+        if (this.stopped) return;
+
+        if (this.reconnectTimeout) {
+            clearTimeout(this.reconnectTimeout);
+        }
+
+        const delay = this.getBackoffDelay(this.reconnectAttempts);
+        this.reconnectAttempts++;
+        this.nextRetryAt = Date.now() + delay;
+        this.setState(ConnectionState.BACKOFF);
+
+        console.log(`[Miner] Reconnecting in ${Math.round(delay / 1000)}s (attempt ${this.reconnectAttempts})...`);
+
+        this.reconnectTimeout = setTimeout(() => {
+            this.reconnectTimeout = null;
+            this.connect();
+        }, delay);
+    }
+
+    /**
+     * Backoff delay for a given attempt: half fixed, half random, capped
+     */
+    getBackoffDelay(attempt) {
+        const ceiling = Math.min(RECONNECT_MAX_MS, RECONNECT_BASE_MS * 2 ** attempt);
+        return Math.round(ceiling / 2 + Math.random() * (ceiling / 2));
     }
 
     /**
@@ -115,6 +335,11 @@ export class WebSocketMiner {
      * NOTE: No signature required - blockchain verifies ownership at claim time
      */
     async register() {
+        if (this.state !== ConnectionState.REGISTERING) {
+            console.log(`[Miner] Skipping registration in state ${this.state}`);
+            return;
+        }
+
         console.log('[Miner] Registering with coordinator...');
 
         const registerMsg = {
@@ -139,16 +364,27 @@ export class WebSocketMiner {
 
         this.send(registerMsg);
 
-        // Set a timeout to retry if no response received
-        // The actual registration confirmation will come via handleRegisterResponse
-        setTimeout(() => {
-            if (!this.registered) {
-                console.warn('[Miner] ⚠️ No registration response received after 10 seconds, retrying...');
-                // Don't set registered = true here - wait for actual confirmation
-                // Retry registration
+        // Retry if no response received
+        // The actual registration confirmation will come via handleWelcome / handleRegisterResponse
+        this.scheduleRegisterRetry(REGISTER_RETRY_MS);
+    }
+
+    /**
+     * Retry registration after a delay, unless the state changes first
+     * Only one retry timer is ever pending
+     */
+    scheduleRegisterRetry(delay) {
+        if (this.registerTimeout) {
+            clearTimeout(this.registerTimeout);
+        }
+
+        this.registerTimeout = setTimeout(() => {
+            this.registerTimeout = null;
+            if (this.state === ConnectionState.REGISTERING && !this.registered) {
+                console.warn(`[Miner] ⚠️ No registration confirmation after ${delay / 1000} seconds, retrying...`);
                 this.register();
             }
-        }, 10000);
+        }, delay);
     }
 
     /**
@@ -188,11 +424,17 @@ export class WebSocketMiner {
             return;
         }
 
+        const engineStats = this.engine.getStats();
         const heartbeat = {
             type: 'heartbeat',
             node_id: this.config.node_id,
-            vectors_stored: this.engine.getTotalVectors(),
-            bytes_used: this.engine.getBytesUsed(),
+            vectors_stored: engineStats.total_vectors,
+            bytes_used: engineStats.bytes_used,
+            // Vectors that fit at the current encoded size (int8/pq collections hold more)
+            effective_capacity: engineStats.effective_capacity,
+            // Vectors stored per embedding dimension (collections can differ)
+            dimensions: engineStats.dimensions,
+            queue: this.scheduler.getStats(),
             timestamp: new Date().toISOString()
         };
 
@@ -203,6 +445,7 @@ export class WebSocketMiner {
             console.log('[Miner] ❤️ Heartbeat sent:', {
                 vectors: heartbeat.vectors_stored,
                 bytes: heartbeat.bytes_used,
+                queue_depth: heartbeat.queue.depth,
                 registered: this.registered,
                 connected: this.connected
             });
@@ -230,24 +473,45 @@ export class WebSocketMiner {
                 await this.handleRegisterResponse(message);
                 break;
 
+            // Coordinator work goes through the scheduler (challenges first)
             case 'store_request':
-                await this.handleStore(message);
+                this.schedule(message, () => this.handleStore(message));
                 break;
 
             case 'search_request':
-                await this.handleSearch(message);
+                this.schedule(message, () => this.handleSearch(message));
                 break;
 
             case 'challenge_request':
-                await this.handleChallenge(message);
+                this.schedule(message, () => this.handleChallenge(message));
                 break;
 
             case 'fetch_request':
-                await this.handleFetch(message);
+                this.schedule(message, () => this.handleFetch(message));
                 break;
 
             case 'delete_request':
-                await this.handleDelete(message);
+                this.schedule(message, () => this.handleDelete(message));
+                break;
+
+            case 'list_collections_request':
+                this.schedule(message, () => this.handleListCollections(message));
+                break;
+
+            case 'describe_collection_request':
+                this.schedule(message, () => this.handleDescribeCollection(message));
+                break;
+
+            case 'drop_collection_request':
+                this.schedule(message, () => this.handleDropCollection(message));
+                break;
+
+            case 'compact_collection_request':
+                this.schedule(message, () => this.handleCompactCollection(message));
+                break;
+
+            case 'audit_request':
+                this.schedule(message, () => this.handleAudit(message));
                 break;
 
             case 'heartbeat_ack':
@@ -262,7 +526,10 @@ export class WebSocketMiner {
                     message.error_message.includes('registration')) {
                     console.log('[Miner] Registration failed, retrying in 10s...');
                     this.registered = false;
-                    setTimeout(() => this.register(), 10000);
+                    if (this.connected) {
+                        this.setState(ConnectionState.REGISTERING);
+                        this.scheduleRegisterRetry(REGISTER_RETRY_MS);
+                    }
                 }
                 break;
 
@@ -271,6 +538,42 @@ export class WebSocketMiner {
         }
     }
 
+    /**
+     * Queue a coordinator request, answering "busy" if the queue overflows
+     */
+    schedule(message, handler) {
+        this.scheduler.submit(message.type, handler, () => this.sendBusy(message));
+    }
+
+    /**
+     * Tell the coordinator a request was dropped because the queue is full
+     */
+    sendBusy(message) {
+        const queue = this.scheduler.getStats();
+        console.warn(`[Miner] ⚠️ Queue full, rejecting ${message.type}`, { depth: queue.depth });
+
+        if (message.type === 'challenge_request') {
+            this.send({
+                type: 'challenge_response',
+                challenge_id: message.challenge_id,
+                chunks: [],
+                response_time_ms: 0,
+                status: 'busy'
+            });
+            return;
+        }
+
+        this.send({
+            type: RESPONSE_TYPES[message.type],
+            request_id: message.request_id,
+            node_id: this.config.node_id,
+            status: 'busy',
+            error_code: 'busy',
+            error_message: 'Miner request queue is full',
+            queue_depth: queue.depth
+        });
+    }
+
     /**
      * Handle Welcome message (Success response for 1.0.4+)
      */
@@ -278,6 +581,9 @@ export class WebSocketMiner {
         console.log('[Miner] Received WELCOME message:', message);
 
         this.registered = true;
+        this.reconnectAttempts = 0;
+        this.setState(ConnectionState.READY);
+        this.startFailbackChecks();
 
         // Check if Node ID was assigned/updated
         if (message.node_id && message.node_id !== this.config.node_id) {
@@ -291,6 +597,10 @@ export class WebSocketMiner {
         }
 
         console.log('[Miner] ✅ Miner successfully registered and ready');
+        this.sendPendingEvictionNotices();
+        if (this.pendingShardInventory) {
+            this.sendShardInventory(this.pendingShardInventory);
+        }
 
         // Start heartbeats now
         if (!this.heartbeatInterval) {
@@ -307,6 +617,13 @@ export class WebSocketMiner {
         if (message.status === 'ok') {
             console.log('[Miner] ✅ Registration confirmed by coordinator');
             this.registered = true;
+            this.reconnectAttempts = 0;
+            this.setState(ConnectionState.READY);
+            this.startFailbackChecks();
+            this.sendPendingEvictionNotices();
+            if (this.pendingShardInventory) {
+                this.sendShardInventory(this.pendingShardInventory);
+            }
 
             // Start heartbeats now that we're registered
             if (!this.heartbeatInterval) {
@@ -317,12 +634,7 @@ export class WebSocketMiner {
             this.registered = false;
 
             // Retry registration after delay
-            setTimeout(() => {
-                if (!this.registered) {
-                    console.log('[Miner] Retrying registration...');
-                    this.register();
-                }
-            }, 5000);
+            this.scheduleRegisterRetry(5000);
         }
     }
 
@@ -334,19 +646,43 @@ export class WebSocketMiner {
             request_id: request.request_id,
             collection_id: request.collection_id,
             shard_id: request.shard_id,
-            doc_count: request.doc_ids.length
+            doc_count: request.doc_ids?.length
         });
 
+        // Coordinator retry of a request we already applied: replay the original response
+        if (this.replayCompleted(request)) {
+            return;
+        }
+
         try {
-            // Decode vectors from base64
+            // Decode and validate vectors before touching the collection
             const vectors = this.decodeVectors(request.vectors_b64, request.shape);
-
-            // Store vectors
-            await this.engine.addVectors(
+            validateDocIds(request.doc_ids, vectors.length);
+            const metadata = validateMetadata(request.metadata, vectors.length);
+            const texts = validateTexts(request.texts, vectors.length);
+            const index = validateIndexOptions(request.index);
+            const storage = request.storage !== undefined
+                ? validateStorageOptions(request.storage, vectors[0].length)
+                : null;
+            const ttlSeconds = validateTtl(request.ttl_seconds);
+            const metric = validateMetric(request.metric);
+
+            // Store vectors (existing doc_ids are upserted). The engine checks the dimension
+            // and metric against the collection, which only it sees current
+            const { inserted, updated } = await this.engine.addVectors(
                 request.collection_id,
                 vectors,
                 request.doc_ids,
-                request.shard_id
+                request.shard_id,
+                {
+                    index,
+                    storage,
+                    defaultStorage: storage ? null : this.getDefaultStorage(vectors[0].length),
+                    metric,
+                    metadata,
+                    ttlSeconds,
+                    texts
+                }
             );
 
             // Send success response
@@ -355,14 +691,16 @@ export class WebSocketMiner {
                 request_id: request.request_id,
                 node_id: this.config.node_id,
                 stored_count: request.doc_ids.length,
+                updated_count: updated,
                 status: 'ok'
             };
 
             this.send(response);
+            await this.requestCache.remember(request.request_id, response);
 
-            this.stats.totalVectorsStored += request.doc_ids.length;
+            this.stats.totalVectorsStored += inserted;
 
-            console.log(`[Miner] ✅ Stored ${request.doc_ids.length} vectors`);
+            console.log(`[Miner] ✅ Stored ${request.doc_ids.length} vectors (${updated} updated)`);
 
         } catch (error) {
             console.error('[Miner] Store error:', error);
@@ -373,6 +711,7 @@ export class WebSocketMiner {
                 node_id: this.config.node_id,
                 stored_count: 0,
                 status: 'error',
+                error_code: errorCode(error),
                 error_message: error.message
             };
 
@@ -380,8 +719,149 @@ export class WebSocketMiner {
         }
     }
 
+    /**
+     * Storage mode for a new collection from config.default_storage (float32 if unset or invalid)
+     */
+    getDefaultStorage(dim) {
+        try {
+            return validateStorageOptions(this.config.default_storage, dim);
+        } catch (error) {
+            console.warn('[Miner] Ignoring invalid default_storage in config:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Tell the coordinator the engine evicted vectors, so it can re-replicate them elsewhere
+     * Queued while not registered, merged per collection so a long disconnect
+     * queues at most one notice per reason and collection
+     * @param {{reason: string, collectionId: string, shardId: string|null, count: number, docIds: Array<string>|null, dropped: boolean}} eviction
+     */
+    reportEviction(eviction) {
+        const notice = {
+            type: 'eviction_notice',
+            node_id: this.config.node_id,
+            reason: eviction.reason,
+            collection_id: eviction.collectionId,
+            shard_id: eviction.shardId,
+            evicted_count: eviction.count,
+            // Only TTL expiry lists docs; an lru eviction drops the whole collection
+            doc_ids: eviction.docIds,
+            collection_dropped: eviction.dropped,
+            timestamp: new Date().toISOString()
+        };
+
+        if (this.registered && this.ws?.readyState === WebSocket.OPEN) {
+            this.send(notice);
+        } else {
+            this.queueEvictionNotice(notice);
+        }
+
+        console.log(`[Miner] Evicted ${eviction.count} vectors from ${eviction.collectionId} (${eviction.reason})`);
+    }
+
+    /**
+     * Queue a notice, folding it into one already queued for the same collection and reason
+     * A merged list longer than MAX_PENDING_EVICTION_DOC_IDS is dropped (doc_ids null),
+     * so the coordinator re-checks the whole shard instead
+     */
+    queueEvictionNotice(notice) {
+        const key = JSON.stringify([notice.reason, notice.collection_id, notice.shard_id]);
+        const queued = this.pendingEvictionNotices.get(key);
+        if (!queued) {
+            this.pendingEvictionNotices.set(key, notice);
+            return;
+        }
+
+        const docIds = queued.doc_ids && notice.doc_ids ? queued.doc_ids.concat(notice.doc_ids) : null;
+        this.pendingEvictionNotices.set(key, {
+            ...notice,
+            evicted_count: queued.evicted_count + notice.evicted_count,
+            doc_ids: docIds && docIds.length <= MAX_PENDING_EVICTION_DOC_IDS ? docIds : null,
+            collection_dropped: queued.collection_dropped || notice.collection_dropped
+        });
+    }
+
+    /**
+     * Send eviction notices queued while disconnected
+     */
+    sendPendingEvictionNotices() {
+        const notices = [...this.pendingEvictionNotices.values()];
+        this.pendingEvictionNotices.clear();
+        for (const notice of notices) {
+            this.send({ ...notice, node_id: this.config.node_id });
+        }
+    }
+
+    /**
+     * Background compaction (from the compaction alarm), skipped unless no
+     * requests have been queued or running for a while
+     * @returns {Promise<Object|null>} Compaction result, or null if skipped
+     */
+    async compactIfIdle() {
+        if (this.scheduler.idleFor() < COMPACTION_IDLE_MS) {
+            console.log('[Miner] Skipping background compaction, requests are active');
+            return null;
+        }
+
+        return this.engine.runCompaction();
+    }
+
+    /**
+     * Restore shards from a snapshot file, then tell the coordinator what we hold
+     * @param {ArrayBuffer} snapshot - Snapshot file contents (transferred to the engine)
+     * @returns {Promise<{collections: number, vectors: number, createdAt: string}>}
+     */
+    async importSnapshot(snapshot) {
+        const result = await this.engine.importSnapshot(snapshot);
+        await this.sendShardInventory('snapshot_import');
+        return result;
+    }
+
+    /**
+     * Tell the coordinator which shards this miner already holds, so it can count
+     * them as replicas instead of re-replicating; deferred until registered
+     * @param {string} reason - Why it is sent (e.g. 'snapshot_import')
+     */
+    async sendShardInventory(reason) {
+        if (!this.registered || this.ws?.readyState !== WebSocket.OPEN) {
+            this.pendingShardInventory = reason;
+            return;
+        }
+        this.pendingShardInventory = null;
+
+        const shards = [];
+        for (const { collection_id, shard_id } of this.engine.listCollections()) {
+            const description = await this.engine.describeCollection(collection_id, shard_id);
+            if (!description) continue;
+
+            shards.push({
+                collection_id,
+                shard_id,
+                count: description.count,
+                dim: description.dim,
+                metric: description.metric,
+                checksum: description.checksum
+            });
+        }
+
+        this.send({
+            type: 'shard_inventory',
+            node_id: this.config.node_id,
+            reason,
+            shards,
+            timestamp: new Date().toISOString()
+        });
+
+        console.log(`[Miner] Sent shard inventory (${shards.length} shards, ${reason})`);
+    }
+
     /**
      * Handle search request (find similar vectors)
+     * A shape of [q, dim] searches q queries at once and answers with batch_results;
+     * next_cursor is set when a page came back full, so there may be more.
+     * A text_query searches the docs' text fields: fused with the query vector
+     * (see VectorEngine.hybridSearch), or on its own if no query_b64 is sent
      */
     async handleSearch(request) {
         console.log('[Miner] Handling search request:', {
@@ -392,33 +872,67 @@ export class WebSocketMiner {
         });
 
         try {
-            // Decode query vector
-            const queryVector = this.decodeQueryVector(request.query_b64, request.shape);
-
-            // Search
-            const results = await this.engine.search(
-                request.collection_id,
-                queryVector,
-                request.top_k,
-                request.shard_id
-            );
+            const textQuery = validateTextQuery(request.text_query);
+            if (textQuery !== null && request.shape?.length === 2) {
+                throw new ValidationError('invalid_shape', 'A text_query search takes a single query vector');
+            }
 
-            // Send response
+            // Decode and validate query vectors (none for a keyword-only search)
+            const keywordOnly = textQuery !== null && (request.query_b64 === undefined || request.query_b64 === null);
+            // (the engine checks their dimension against the collection)
+            const queries = keywordOnly ? [] : this.decodeQueryVectors(request.query_b64, request.shape);
+
+            const efSearch = validateEfSearch(request.ef_search);
+            const scoreThreshold = validateScoreThreshold(request.score_threshold);
+            const fusion = textQuery !== null && !keywordOnly ? validateFusion(request.fusion, request.rrf_k) : null;
+            const { topK, offset } = validatePaging(request);
+            const options = { efSearch, exact: request.exact === true, filter: request.filter, scoreThreshold, offset };
+
+            // Search (HNSW if the collection is indexed, unless exact is requested)
+            const batchResults = textQuery !== null
+                ? [await this.engine.hybridSearch(
+                    request.collection_id,
+                    queries[0] ?? null,
+                    textQuery,
+                    topK,
+                    request.shard_id,
+                    { ...options, fusion }
+                )]
+                : await this.engine.searchBatch(
+                    request.collection_id,
+                    queries,
+                    topK,
+                    request.shard_id,
+                    options
+                );
+
+            // Hybrid results also carry the score each ranking gave the doc (null if it missed one)
+            const formatted = batchResults.map(results => results.map(r => ({
+                doc_id: r.docId,
+                score: r.score,
+                ...(fusion ? { vector_score: r.vectorScore, keyword_score: r.keywordScore } : {})
+            })));
+            const pageFull = batchResults.some(results => results.length === topK);
+
+            // Send response (l2 scores are distances, so lower is better; fused and BM25 scores are not)
+            const metric = this.engine.getCollectionMetric(request.collection_id, request.shard_id);
             const response = {
                 type: 'search_response',
                 request_id: request.request_id,
                 node_id: this.config.node_id,
-                results: results.map(r => ({
-                    doc_id: r.docId,
-                    score: r.score
-                }))
+                ...(request.shape?.length === 2 ? { batch_results: formatted } : { results: formatted[0] }),
+                next_cursor: pageFull ? encodeCursor(offset + topK) : null,
+                metric,
+                score_direction: metric === 'l2' && textQuery === null ? 'lower_is_better' : 'higher_is_better',
+                ...(fusion ? { fusion: fusion.method, rrf_k: fusion.k } : {}),
+                status: 'ok'
             };
 
             this.send(response);
 
-            this.stats.queriesServed++;
+            this.stats.queriesServed += batchResults.length;
 
-            console.log(`[Miner] ✅ Search completed, returned ${results.length} results`);
+            console.log(`[Miner] ✅ Search completed for ${batchResults.length} queries, returned ${formatted[0].length} results for the first`);
 
         } catch (error) {
             console.error('[Miner] Search error:', error);
@@ -427,7 +941,10 @@ export class WebSocketMiner {
                 type: 'search_response',
                 request_id: request.request_id,
                 node_id: this.config.node_id,
-                results: []
+                results: [],
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
             };
 
             this.send(response);
@@ -494,9 +1011,10 @@ export class WebSocketMiner {
         });
 
         try {
-            const vectors = this.engine.fetchVectors(
+            const vectors = await this.engine.fetchVectors(
                 request.collection_id,
-                request.doc_ids
+                request.doc_ids,
+                { includeMetadata: request.include_metadata === true }
             );
 
             this.send({
@@ -532,19 +1050,26 @@ export class WebSocketMiner {
             doc_count: request.doc_ids.length
         });
 
+        if (this.replayCompleted(request)) {
+            return;
+        }
+
         try {
             const deletedCount = await this.engine.deleteVectors(
                 request.collection_id,
                 request.doc_ids
             );
 
-            this.send({
+            const response = {
                 type: 'delete_response',
                 request_id: request.request_id,
                 node_id: this.config.node_id,
                 deleted_count: deletedCount,
                 status: 'ok'
-            });
+            };
+
+            this.send(response);
+            await this.requestCache.remember(request.request_id, response);
 
             console.log(`[Miner] Deleted ${deletedCount} vectors`);
         } catch (error) {
@@ -561,6 +1086,230 @@ export class WebSocketMiner {
         }
     }
 
+    /**
+     * Handle list collections request (every collection and shard held)
+     */
+    async handleListCollections(request) {
+        console.log('[Miner] Handling list collections request:', { request_id: request.request_id });
+
+        try {
+            const collections = this.engine.listCollections();
+
+            this.send({
+                type: 'list_collections_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                collections,
+                status: 'ok'
+            });
+
+            console.log(`[Miner] Listed ${collections.length} collections`);
+        } catch (error) {
+            console.error('[Miner] List collections error:', error);
+
+            this.send({
+                type: 'list_collections_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                collections: [],
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle describe collection request (one shard's size, layout and checksum)
+     */
+    async handleDescribeCollection(request) {
+        console.log('[Miner] Handling describe collection request:', {
+            request_id: request.request_id,
+            collection_id: request.collection_id,
+            shard_id: request.shard_id
+        });
+
+        try {
+            const collection = await this.engine.describeCollection(request.collection_id, request.shard_id);
+            const key = this.engine.getCollectionKey(request.collection_id, request.shard_id);
+
+            this.send({
+                type: 'describe_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                collection,
+                ...(collection
+                    ? { status: 'ok' }
+                    : { status: 'error', error_code: 'collection_not_found', error_message: `Collection ${key} not found` })
+            });
+        } catch (error) {
+            console.error('[Miner] Describe collection error:', error);
+
+            this.send({
+                type: 'describe_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                collection: null,
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle drop collection request (a shard, or every shard if shard_id is omitted)
+     */
+    async handleDropCollection(request) {
+        console.log('[Miner] Handling drop collection request:', {
+            request_id: request.request_id,
+            collection_id: request.collection_id,
+            shard_id: request.shard_id
+        });
+
+        if (this.replayCompleted(request)) {
+            return;
+        }
+
+        try {
+            const { collections, vectors } = await this.engine.dropCollection(request.collection_id, request.shard_id);
+
+            const response = {
+                type: 'drop_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                dropped_collections: collections,
+                dropped_vectors: vectors,
+                status: 'ok'
+            };
+
+            this.send(response);
+            await this.requestCache.remember(request.request_id, response);
+
+            console.log(`[Miner] Dropped ${collections} collections (${vectors} vectors)`);
+        } catch (error) {
+            console.error('[Miner] Drop collection error:', error);
+
+            this.send({
+                type: 'drop_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                dropped_collections: 0,
+                dropped_vectors: 0,
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle compact collection request (reclaim free slots and headroom)
+     */
+    async handleCompactCollection(request) {
+        console.log('[Miner] Handling compact collection request:', {
+            request_id: request.request_id,
+            collection_id: request.collection_id,
+            shard_id: request.shard_id
+        });
+
+        try {
+            const { collections, bytesReclaimed } = await this.engine.compactCollection(
+                request.collection_id,
+                request.shard_id
+            );
+
+            this.send({
+                type: 'compact_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                compacted_collections: collections,
+                bytes_reclaimed: bytesReclaimed,
+                status: 'ok'
+            });
+
+            console.log(`[Miner] Compacted ${collections} collections, reclaimed ${bytesReclaimed} bytes`);
+        } catch (error) {
+            console.error('[Miner] Compact collection error:', error);
+
+            this.send({
+                type: 'compact_collection_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                compacted_collections: 0,
+                bytes_reclaimed: 0,
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Handle audit request (Merkle root of a shard plus proofs for sampled doc_ids)
+     * Unlike PoRAM challenges, this proves the miner holds the coordinator's actual vectors
+     */
+    async handleAudit(request) {
+        console.log('[Miner] Handling audit request:', {
+            request_id: request.request_id,
+            collection_id: request.collection_id,
+            shard_id: request.shard_id,
+            sample_count: request.doc_ids?.length
+        });
+
+        try {
+            validateAuditDocIds(request.doc_ids);
+
+            const audit = await this.engine.auditCollection(request.collection_id, request.shard_id, request.doc_ids);
+            if (!audit) {
+                const key = this.engine.getCollectionKey(request.collection_id, request.shard_id);
+                throw new ValidationError('collection_not_found', `Collection ${key} not found`);
+            }
+
+            this.send({
+                type: 'audit_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                collection_id: request.collection_id,
+                shard_id: request.shard_id ?? null,
+                algorithm: 'sha256-merkle',
+                root: audit.root,
+                leaf_count: audit.leaf_count,
+                proofs: audit.proofs,
+                status: 'ok'
+            });
+
+            console.log(`[Miner] Audit answered with ${audit.proofs.length} proofs, root ${audit.root.slice(0, 12)}…`);
+        } catch (error) {
+            console.error('[Miner] Audit error:', error);
+
+            this.send({
+                type: 'audit_response',
+                request_id: request.request_id,
+                node_id: this.config.node_id,
+                proofs: [],
+                status: 'error',
+                error_code: errorCode(error),
+                error_message: error.message
+            });
+        }
+    }
+
+    /**
+     * Resend the original response if this request_id already completed
+     * @returns {boolean} true if the request was a duplicate and has been answered
+     */
+    replayCompleted(request) {
+        const response = this.requestCache.get(request.request_id);
+        if (!response) {
+            return false;
+        }
+
+        console.log(`[Miner] 🔁 Duplicate ${request.type} ${request.request_id}, replaying original response`);
+        this.send(response);
+        return true;
+    }
+
     /**
      * Send message to coordinator
      */
@@ -580,25 +1329,35 @@ export class WebSocketMiner {
     /**
      * Decode vectors from base64 + zstd compression
      * Format: base64(zstd(float32_array))
+     * Payloads without a zstd frame magic are treated as raw float32 bytes.
      */
     decodeVectors(vectors_b64, shape) {
+        // shape = [num_vectors, embedding_dim]
+        const { count, dim } = validateShape(shape);
+
         // Decode base64
-        const compressed = atob(vectors_b64);
-        const bytes = new Uint8Array(compressed.length);
-        for (let i = 0; i < compressed.length; i++) {
-            bytes[i] = compressed.charCodeAt(i);
+        let bytes = decodeBase64Payload(vectors_b64);
+
+        // Decompress only when the payload is actually a zstd frame, never past the size shape allows
+        if (isZstdFrame(bytes)) {
+            try {
+                bytes = decompress(bytes, count * dim * 4);
+            } catch (error) {
+                throw new ValidationError('invalid_payload', `Vector payload is not a valid zstd frame: ${error.message}`);
+            }
         }
 
-        // For now, assume uncompressed (TODO: add zstd decompression)
-        // shape = [num_vectors, embedding_dim]
-        const [numVectors, embeddingDim] = shape;
-        const float32Array = new Float32Array(bytes.buffer);
+        validateVectorBytes(bytes, { count, dim });
+
+        // Copy into an aligned buffer (decoded bytes may start at any offset)
+        const float32Array = new Float32Array(bytes.slice().buffer);
+        validateFinite(float32Array);
 
         // Split into individual vectors
         const vectors = [];
-        for (let i = 0; i < numVectors; i++) {
-            const start = i * embeddingDim;
-            const end = start + embeddingDim;
+        for (let i = 0; i < count; i++) {
+            const start = i * dim;
+            const end = start + dim;
             vectors.push(float32Array.slice(start, end));
         }
 
@@ -606,19 +1365,26 @@ export class WebSocketMiner {
     }
 
     /**
-     * Decode query vector from base64
+     * Decode one ([dim]) or several ([q, dim]) query vectors from base64
      */
-    decodeQueryVector(query_b64, shape) {
+    decodeQueryVectors(query_b64, shape) {
         // Decode base64
-        const binary = atob(query_b64);
-        const bytes = new Uint8Array(binary.length);
-        for (let i = 0; i < binary.length; i++) {
-            bytes[i] = binary.charCodeAt(i);
-        }
+        const bytes = decodeBase64Payload(query_b64);
 
-        // Convert to Float32Array
-        const float32Array = new Float32Array(bytes.buffer);
-        return float32Array;
+        // Shape is optional for a single query vector
+        const { count, dim } = validateShape(shape || [Math.floor(bytes.byteLength / 4)]);
+        validateQueryCount(count);
+        validateVectorBytes(bytes, { count, dim });
+
+        // Convert to Float32Arrays
+        const float32Array = new Float32Array(bytes.slice().buffer);
+        validateFinite(float32Array);
+
+        const queries = [];
+        for (let i = 0; i < count; i++) {
+            queries.push(float32Array.subarray(i * dim, (i + 1) * dim));
+        }
+        return queries;
     }
 
     /**
@@ -635,13 +1401,23 @@ export class WebSocketMiner {
             connected: actuallyConnected,
             registered: this.registered,
             ws_state: wsState, // 0=CONNECTING, 1=OPEN, 2=CLOSING, 3=CLOSED
+            connection_state: this.state,
+            active_coordinator: this.coordinators.active,
+            coordinators: this.coordinators.getStats(),
+            reconnect_attempts: this.reconnectAttempts,
+            next_retry_at: this.nextRetryAt ? new Date(this.nextRetryAt).toISOString() : null,
+            next_retry_in_seconds: this.nextRetryAt
+                ? Math.max(0, Math.ceil((this.nextRetryAt - Date.now()) / 1000))
+                : null,
             node_id: this.config.node_id,
             sui_address: this.config.sui_address,
             uptime_seconds: uptimeSeconds,
             uptime_formatted: this.formatUptime(uptimeSeconds),
             ...this.stats,
             engine_stats: this.engine.getStats(),
-            poram_stats: this.poram.getStats()
+            poram_stats: this.poram.getStats(),
+            queue_stats: this.scheduler.getStats(),
+            request_cache_stats: this.requestCache.getStats()
         };
     }
 
@@ -661,13 +1437,22 @@ export class WebSocketMiner {
     async stop() {
         console.log('[Miner] Stopping miner...');
 
+        // Prevent onclose from scheduling a reconnect
+        this.stopped = true;
+
         if (this.heartbeatInterval) {
             clearInterval(this.heartbeatInterval);
+            this.heartbeatInterval = null;
         }
 
         if (this.reconnectTimeout) {
             clearTimeout(this.reconnectTimeout);
+            this.reconnectTimeout = null;
         }
+        this.nextRetryAt = null;
+        this.stopFailbackChecks();
+
+        this.setState(ConnectionState.IDLE);
 
         if (this.ws) {
             this.ws.close();
@@ -121,6 +121,11 @@ function updateUI(stats) {
             minerToggleInput.checked = true;
         }
         isMinerRunning = true;
+    } else if (stats.connection_state === 'backoff' && stats.next_retry_in_seconds !== null) {
+        statusIndicator.classList.remove('online');
+        statusIndicator.querySelector('.status-text').textContent =
+            `Reconnecting in ${stats.next_retry_in_seconds}s`;
+        isMinerRunning = true;
     } else {
         statusIndicator.classList.remove('online');
         statusIndicator.querySelector('.status-text').textContent = 'Offline';
@@ -0,0 +1,444 @@
+/**
+ * Vector Storage Modes
+ * Per-collection encodings of the vectors in a collection (unit-length for cosine):
+ *   float32 - exact, 4 bytes per dimension
+ *   int8    - scalar quantised, 1 byte per dimension plus a per-vector scale
+ *   pq      - product quantised, 1 byte per subvector plus shared codebooks
+ * Queries stay float32 and are scored directly against the encoded vectors
+ * (asymmetric distance computation), so nothing is decoded on the search path.
+ *
+ * Scorers take a kernel: 'dot' (inner product, higher is closer) or 'l2'
+ * (squared Euclidean distance, lower is closer).
+ */
+
+import { BATCH_SIZE, createSlab, resizeSlab } from './simd.js';
+import { dot, l2Squared } from './vector-math.js';
+
+export const STORAGE_MODES = ['float32', 'int8', 'pq'];
+
+// Centroids per PQ subspace (codes are one byte)
+const PQ_CENTROIDS = 256;
+// k-means iterations when training PQ codebooks
+const PQ_ITERATIONS = 10;
+// Training sample cap (k-means cost is linear in it)
+const PQ_MAX_TRAINING = 4096;
+
+/**
+ * Batch scorer built on a per-slot scorer, for modes without SIMD kernels
+ */
+function batchFromScorer(score) {
+    const scores = new Float32Array(BATCH_SIZE);
+    return (start, count) => {
+        for (let i = 0; i < count; i++) {
+            scores[i] = score(start + i);
+        }
+        return scores;
+    };
+}
+
+/**
+ * Exact float32 storage, backed by a SIMD slab when available (see simd.js)
+ */
+export class Float32Storage {
+    constructor(dim, capacity) {
+        this.mode = 'float32';
+        this.dim = dim;
+        this.slab = createSlab(dim, capacity);
+    }
+
+    /**
+     * Current view of the slab (replaced when the slab grows)
+     */
+    get data() {
+        return this.slab.data;
+    }
+
+    get bytesPerVector() {
+        return this.dim * 4;
+    }
+
+    resize(capacity, used) {
+        this.slab = resizeSlab(this.slab, capacity, used);
+    }
+
+    write(slot, vector) {
+        this.data.set(vector, slot * this.dim);
+    }
+
+    /**
+     * View (no copy) of a stored vector
+     */
+    read(slot) {
+        return this.data.subarray(slot * this.dim, (slot + 1) * this.dim);
+    }
+
+    /**
+     * @param {Float32Array} query - Query vector
+     * @param {string} [kernel] - 'dot' or 'l2'
+     * @returns {Function} slot -> kernel(query, vector)
+     */
+    scorer(query, kernel = 'dot') {
+        const { data, dim } = this;
+        const score = kernel === 'l2' ? l2Squared : dot;
+        return slot => score(query, data, slot * dim);
+    }
+
+    /**
+     * @returns {Function} (start, count) -> Float32Array of kernel values for that block
+     */
+    batchScorer(query, kernel = 'dot') {
+        return (start, count) => this.slab.batchScores(query, start, count, kernel);
+    }
+
+    getBytesUsed() {
+        return this.slab.getBytesUsed();
+    }
+
+    getOverheadBytes() {
+        return this.slab.getOverheadBytes();
+    }
+
+    getParams() {
+        return { mode: this.mode };
+    }
+
+    exportRange(start, end) {
+        return { slab: this.data.slice(start * this.dim, end * this.dim).buffer };
+    }
+
+    importRange(start, segment) {
+        this.data.set(new Float32Array(segment.slab), start * this.dim);
+    }
+}
+
+/**
+ * int8 scalar quantisation with one scale per vector (max |x| maps to 127)
+ */
+export class Int8Storage {
+    constructor(dim, capacity) {
+        this.mode = 'int8';
+        this.dim = dim;
+        this.codes = new Int8Array(capacity * dim);
+        this.scales = new Float32Array(capacity);
+    }
+
+    get bytesPerVector() {
+        return this.dim + 4;
+    }
+
+    resize(capacity, used) {
+        const codes = new Int8Array(capacity * this.dim);
+        codes.set(this.codes.subarray(0, used * this.dim));
+        this.codes = codes;
+
+        const scales = new Float32Array(capacity);
+        scales.set(this.scales.subarray(0, used));
+        this.scales = scales;
+    }
+
+    write(slot, vector) {
+        let max = 0;
+        for (let i = 0; i < vector.length; i++) {
+            max = Math.max(max, Math.abs(vector[i]));
+        }
+
+        const scale = max / 127;
+        const offset = slot * this.dim;
+        this.scales[slot] = scale;
+
+        for (let i = 0; i < vector.length; i++) {
+            this.codes[offset + i] = scale === 0 ? 0 : Math.round(vector[i] / scale);
+        }
+    }
+
+    /**
+     * Decoded copy of a stored vector
+     */
+    read(slot) {
+        const vector = new Float32Array(this.dim);
+        const offset = slot * this.dim;
+        const scale = this.scales[slot];
+
+        for (let i = 0; i < this.dim; i++) {
+            vector[i] = this.codes[offset + i] * scale;
+        }
+        return vector;
+    }
+
+    scorer(query, kernel = 'dot') {
+        const { codes, scales, dim } = this;
+
+        if (kernel === 'l2') {
+            return slot => {
+                const offset = slot * dim;
+                const scale = scales[slot];
+                let sum = 0;
+                for (let i = 0; i < dim; i++) {
+                    const diff = query[i] - codes[offset + i] * scale;
+                    sum += diff * diff;
+                }
+                return sum;
+            };
+        }
+
+        return slot => dot(query, codes, slot * dim) * scales[slot];
+    }
+
+    batchScorer(query, kernel = 'dot') {
+        return batchFromScorer(this.scorer(query, kernel));
+    }
+
+    getBytesUsed() {
+        return this.codes.byteLength + this.scales.byteLength;
+    }
+
+    getOverheadBytes() {
+        return 0;
+    }
+
+    getParams() {
+        return { mode: this.mode };
+    }
+
+    exportRange(start, end) {
+        return {
+            codes: this.codes.slice(start * this.dim, end * this.dim).buffer,
+            scales: this.scales.slice(start, end).buffer
+        };
+    }
+
+    importRange(start, segment) {
+        this.codes.set(new Int8Array(segment.codes), start * this.dim);
+        this.scales.set(new Float32Array(segment.scales), start);
+    }
+}
+
+/**
+ * Product quantisation: the vector is split into `subvectors` chunks and each
+ * chunk is replaced by the index of its nearest centroid in that subspace
+ */
+export class PqStorage {
+    /**
+     * @param {number} dim - Vector dimension
+     * @param {number} capacity - Slot capacity
+     * @param {Object} options
+     * @param {number} options.subvectors - Number of subspaces (must divide dim)
+     * @param {Float32Array} options.codebooks - [subvector][centroid][subDim] centroids
+     */
+    constructor(dim, capacity, { subvectors, codebooks }) {
+        this.mode = 'pq';
+        this.dim = dim;
+        this.subvectors = subvectors;
+        this.subDim = dim / subvectors;
+        this.codebooks = codebooks;
+        this.codes = new Uint8Array(capacity * subvectors);
+    }
+
+    get bytesPerVector() {
+        return this.subvectors;
+    }
+
+    resize(capacity, used) {
+        const codes = new Uint8Array(capacity * this.subvectors);
+        codes.set(this.codes.subarray(0, used * this.subvectors));
+        this.codes = codes;
+    }
+
+    write(slot, vector) {
+        const { subvectors, subDim, codebooks } = this;
+
+        for (let s = 0; s < subvectors; s++) {
+            const base = s * PQ_CENTROIDS * subDim;
+            let best = 0;
+            let bestDistance = Infinity;
+
+            for (let c = 0; c < PQ_CENTROIDS; c++) {
+                const distance = squaredDistance(vector, s * subDim, codebooks, base + c * subDim, subDim);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = c;
+                }
+            }
+
+            this.codes[slot * subvectors + s] = best;
+        }
+    }
+
+    /**
+     * Decoded copy (concatenated centroids) of a stored vector
+     */
+    read(slot) {
+        const { subvectors, subDim, codebooks } = this;
+        const vector = new Float32Array(this.dim);
+
+        for (let s = 0; s < subvectors; s++) {
+            const centroid = this.codes[slot * subvectors + s];
+            const start = (s * PQ_CENTROIDS + centroid) * subDim;
+            vector.set(codebooks.subarray(start, start + subDim), s * subDim);
+        }
+        return vector;
+    }
+
+    /**
+     * Precompute query-centroid kernel values, then each vector scores with
+     * one table lookup per subvector (both kernels are sums over subspaces)
+     */
+    scorer(query, kernel = 'dot') {
+        const { subvectors, subDim, codebooks, codes } = this;
+        const table = new Float32Array(subvectors * PQ_CENTROIDS);
+        const partial = kernel === 'l2' ? l2Squared : dot;
+
+        for (let s = 0; s < subvectors; s++) {
+            const chunk = query.subarray(s * subDim, (s + 1) * subDim);
+            for (let c = 0; c < PQ_CENTROIDS; c++) {
+                table[s * PQ_CENTROIDS + c] = partial(chunk, codebooks, (s * PQ_CENTROIDS + c) * subDim);
+            }
+        }
+
+        return slot => {
+            let score = 0;
+            const offset = slot * subvectors;
+            for (let s = 0; s < subvectors; s++) {
+                score += table[s * PQ_CENTROIDS + codes[offset + s]];
+            }
+            return score;
+        };
+    }
+
+    batchScorer(query, kernel = 'dot') {
+        return batchFromScorer(this.scorer(query, kernel));
+    }
+
+    getBytesUsed() {
+        return this.codes.byteLength + this.codebooks.byteLength;
+    }
+
+    getOverheadBytes() {
+        return 0;
+    }
+
+    getParams() {
+        return { mode: this.mode, subvectors: this.subvectors };
+    }
+
+    exportRange(start, end) {
+        return { codes: this.codes.slice(start * this.subvectors, end * this.subvectors).buffer };
+    }
+
+    importRange(start, segment) {
+        this.codes.set(new Uint8Array(segment.codes), start * this.subvectors);
+    }
+
+    /**
+     * Train codebooks with k-means in each subspace
+     * @param {Array<Float32Array>} vectors - Training vectors (sampled down if large)
+     * @param {number} dim - Vector dimension
+     * @param {number} subvectors - Number of subspaces
+     * @returns {Float32Array} Codebooks
+     */
+    static train(vectors, dim, subvectors) {
+        const subDim = dim / subvectors;
+        const sample = sampleVectors(vectors, PQ_MAX_TRAINING);
+        const codebooks = new Float32Array(subvectors * PQ_CENTROIDS * subDim);
+
+        for (let s = 0; s < subvectors; s++) {
+            const centroids = kMeans(sample, s * subDim, subDim, PQ_CENTROIDS, PQ_ITERATIONS);
+            codebooks.set(centroids, s * PQ_CENTROIDS * subDim);
+        }
+
+        return codebooks;
+    }
+}
+
+/**
+ * Create an empty storage for a mode (PQ needs trained codebooks)
+ */
+export function createStorage(mode, dim, capacity, options = {}) {
+    switch (mode) {
+        case 'int8':
+            return new Int8Storage(dim, capacity);
+        case 'pq':
+            return new PqStorage(dim, capacity, options);
+        default:
+            return new Float32Storage(dim, capacity);
+    }
+}
+
+function squaredDistance(a, aOffset, b, bOffset, length) {
+    let sum = 0;
+    for (let i = 0; i < length; i++) {
+        const diff = a[aOffset + i] - b[bOffset + i];
+        sum += diff * diff;
+    }
+    return sum;
+}
+
+function sampleVectors(vectors, max) {
+    if (vectors.length <= max) {
+        return vectors;
+    }
+
+    // Partial Fisher-Yates shuffle
+    const pool = vectors.slice();
+    for (let i = 0; i < max; i++) {
+        const j = i + Math.floor(Math.random() * (pool.length - i));
+        [pool[i], pool[j]] = [pool[j], pool[i]];
+    }
+    return pool.slice(0, max);
+}
+
+/**
+ * Lloyd's k-means over one subspace of the sample
+ * @returns {Float32Array} k centroids of length `length`
+ */
+function kMeans(sample, offset, length, k, iterations) {
+    const centroids = new Float32Array(k * length);
+    const assignments = new Int32Array(sample.length);
+
+    // Seed with random sample points (repeats allowed if the sample is smaller than k)
+    for (let c = 0; c < k; c++) {
+        const source = sample[Math.floor(Math.random() * sample.length)];
+        centroids.set(source.subarray(offset, offset + length), c * length);
+    }
+
+    for (let iteration = 0; iteration < iterations; iteration++) {
+        // Assign each point to its nearest centroid
+        for (let p = 0; p < sample.length; p++) {
+            let best = 0;
+            let bestDistance = Infinity;
+            for (let c = 0; c < k; c++) {
+                const distance = squaredDistance(sample[p], offset, centroids, c * length, length);
+                if (distance < bestDistance) {
+                    bestDistance = distance;
+                    best = c;
+                }
+            }
+            assignments[p] = best;
+        }
+
+        // Move centroids to the mean of their points
+        const sums = new Float64Array(k * length);
+        const counts = new Uint32Array(k);
+        for (let p = 0; p < sample.length; p++) {
+            const c = assignments[p];
+            counts[c]++;
+            for (let i = 0; i < length; i++) {
+                sums[c * length + i] += sample[p][offset + i];
+            }
+        }
+
+        for (let c = 0; c < k; c++) {
+            if (counts[c] === 0) {
+                // Re-seed empty clusters from a random point
+                const source = sample[Math.floor(Math.random() * sample.length)];
+                centroids.set(source.subarray(offset, offset + length), c * length);
+                continue;
+            }
+            for (let i = 0; i < length; i++) {
+                centroids[c * length + i] = sums[c * length + i] / counts[c];
+            }
+        }
+    }
+
+    return centroids;
+}
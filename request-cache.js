@@ -0,0 +1,113 @@
+/**
+ * Completed Request Cache
+ * Remembers responses to recently completed store/delete requests so that
+ * coordinator retries (e.g. after a dropped connection) are answered with the
+ * original response instead of being applied twice.
+ * Persisted in the VectorEngine metadata store so it survives restarts.
+ */
+
+const CACHE_KEY = 'completed_requests';
+const DEFAULT_TTL_MS = 60 * 60 * 1000; // 1 hour
+const DEFAULT_MAX_ENTRIES = 5000;
+
+export class RequestCache {
+    /**
+     * @param {Object} store - Object with async getMeta(key) / setMeta(key, value)
+     * @param {Object} [options]
+     * @param {number} [options.ttlMs] - How long a completed request is remembered
+     * @param {number} [options.maxEntries] - Max remembered requests
+     */
+    constructor(store, options = {}) {
+        this.store = store;
+        this.ttlMs = options.ttlMs || DEFAULT_TTL_MS;
+        this.maxEntries = options.maxEntries || DEFAULT_MAX_ENTRIES;
+        this.entries = new Map(); // request_id -> { response, expiresAt } (insertion ordered)
+        this.hits = 0;
+    }
+
+    /**
+     * Load persisted entries, dropping expired ones
+     */
+    async load() {
+        try {
+            const saved = await this.store.getMeta(CACHE_KEY);
+            const now = Date.now();
+
+            for (const [requestId, entry] of saved || []) {
+                if (entry.expiresAt > now) {
+                    this.entries.set(requestId, entry);
+                }
+            }
+
+            console.log(`[RequestCache] Loaded ${this.entries.size} completed requests`);
+        } catch (error) {
+            console.error('[RequestCache] Failed to load:', error);
+        }
+    }
+
+    /**
+     * Get the original response for a completed request
+     * @param {string} requestId - Request ID
+     * @returns {Object|null} Response, or null if unknown or expired
+     */
+    get(requestId) {
+        if (!requestId) return null;
+
+        const entry = this.entries.get(requestId);
+        if (!entry) return null;
+
+        if (entry.expiresAt <= Date.now()) {
+            this.entries.delete(requestId);
+            return null;
+        }
+
+        this.hits++;
+        return entry.response;
+    }
+
+    /**
+     * Remember the response for a completed request and persist the cache
+     * @param {string} requestId - Request ID
+     * @param {Object} response - Response message that was sent
+     */
+    async remember(requestId, response) {
+        if (!requestId) return;
+
+        this.entries.delete(requestId);
+        this.entries.set(requestId, { response, expiresAt: Date.now() + this.ttlMs });
+        this.prune();
+
+        try {
+            await this.store.setMeta(CACHE_KEY, Array.from(this.entries));
+        } catch (error) {
+            console.error('[RequestCache] Failed to persist:', error);
+        }
+    }
+
+    /**
+     * Drop expired entries and enforce the size limit (oldest first)
+     */
+    prune() {
+        const now = Date.now();
+        for (const [requestId, entry] of this.entries) {
+            if (entry.expiresAt <= now) {
+                this.entries.delete(requestId);
+            }
+        }
+
+        while (this.entries.size > this.maxEntries) {
+            const oldest = this.entries.keys().next().value;
+            this.entries.delete(oldest);
+        }
+    }
+
+    /**
+     * Get cache statistics
+     */
+    getStats() {
+        return {
+            entries: this.entries.size,
+            replayed: this.hits
+        };
+    }
+}
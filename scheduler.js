@@ -0,0 +1,217 @@
+/**
+ * Request Scheduler
+ * Bounded priority queue for coordinator work with per-group concurrency limits.
+ * Challenges run first (they have a deadline), reads before writes.
+ */
+
+/**
+ * Default scheduling policy per message type
+ * priority: lower runs first; group: shares a concurrency limit
+ */
+export const DEFAULT_POLICY = {
+    challenge_request: { priority: 0, group: 'challenge' },
+    search_request: { priority: 1, group: 'read' },
+    fetch_request: { priority: 1, group: 'read' },
+    store_request: { priority: 2, group: 'write' },
+    delete_request: { priority: 2, group: 'write' },
+    list_collections_request: { priority: 1, group: 'read' },
+    describe_collection_request: { priority: 1, group: 'read' },
+    drop_collection_request: { priority: 2, group: 'write' },
+    compact_collection_request: { priority: 2, group: 'write' },
+    audit_request: { priority: 1, group: 'read' }
+};
+
+export const DEFAULT_LIMITS = {
+    challenge: 2,
+    read: 4,
+    write: 1 // Writes mutate collections, keep them serial
+};
+
+const DEFAULT_MAX_QUEUE = 256;
+
+export class RequestScheduler {
+    /**
+     * @param {Object} options
+     * @param {Object} [options.policy] - Message type → { priority, group }
+     * @param {Object} [options.limits] - Group → max concurrent tasks
+     * @param {number} [options.maxQueueSize] - Max queued (not running) tasks
+     */
+    constructor(options = {}) {
+        this.policy = options.policy || DEFAULT_POLICY;
+        this.limits = { ...DEFAULT_LIMITS, ...options.limits };
+        this.maxQueueSize = options.maxQueueSize || DEFAULT_MAX_QUEUE;
+        this.queue = [];
+        this.running = {}; // group -> count
+        this.sequence = 0;
+        this.lastActivityAt = Date.now(); // last time a task was submitted or finished
+        this.metrics = {
+            enqueued: 0,
+            completed: 0,
+            started: 0,
+            rejected: 0,
+            maxDepth: 0,
+            totalWaitMs: 0,
+            maxWaitMs: 0
+        };
+    }
+
+    /**
+     * Whether a message type is scheduled (as opposed to handled inline)
+     */
+    handles(type) {
+        return type in this.policy;
+    }
+
+    /**
+     * Queue a task for a message type
+     * @param {string} type - Message type (e.g. 'store_request')
+     * @param {Function} run - Async function doing the work
+     * @param {Function} reject - Called instead of run if the task is dropped for backpressure
+     * @returns {boolean} false if the task was rejected immediately
+     */
+    submit(type, run, reject) {
+        this.lastActivityAt = Date.now();
+        const { priority, group } = this.policy[type];
+        const task = {
+            type,
+            group,
+            priority,
+            run,
+            reject,
+            seq: this.sequence++,
+            enqueuedAt: Date.now()
+        };
+
+        if (this.queue.length >= this.maxQueueSize) {
+            // Make room by dropping the newest lowest-priority task, if it ranks below this one
+            const victimIndex = this.findVictim();
+            const victim = this.queue[victimIndex];
+
+            if (!victim || victim.priority <= priority) {
+                this.metrics.rejected++;
+                reject();
+                return false;
+            }
+
+            this.queue.splice(victimIndex, 1);
+            this.metrics.rejected++;
+            victim.reject();
+        }
+
+        this.insert(task);
+        this.metrics.enqueued++;
+        this.metrics.maxDepth = Math.max(this.metrics.maxDepth, this.queue.length);
+
+        this.pump();
+        return true;
+    }
+
+    /**
+     * Insert keeping the queue ordered by (priority, arrival)
+     */
+    insert(task) {
+        let i = this.queue.length;
+        while (i > 0 && this.queue[i - 1].priority > task.priority) {
+            i--;
+        }
+        this.queue.splice(i, 0, task);
+    }
+
+    /**
+     * Index of the newest task with the worst priority
+     */
+    findVictim() {
+        let index = -1;
+        for (let i = 0; i < this.queue.length; i++) {
+            const task = this.queue[i];
+            if (index === -1 ||
+                task.priority > this.queue[index].priority ||
+                (task.priority === this.queue[index].priority && task.seq > this.queue[index].seq)) {
+                index = i;
+            }
+        }
+        return index;
+    }
+
+    /**
+     * Start every queued task whose group has spare capacity, in priority order
+     */
+    pump() {
+        for (let i = 0; i < this.queue.length;) {
+            const task = this.queue[i];
+            const running = this.running[task.group] || 0;
+
+            if (running >= (this.limits[task.group] ?? 1)) {
+                i++;
+                continue;
+            }
+
+            this.queue.splice(i, 1);
+            this.start(task);
+        }
+    }
+
+    /**
+     * Run a task and pump the queue when it settles
+     */
+    start(task) {
+        const waitMs = Date.now() - task.enqueuedAt;
+        this.metrics.started++;
+        this.metrics.totalWaitMs += waitMs;
+        this.metrics.maxWaitMs = Math.max(this.metrics.maxWaitMs, waitMs);
+        this.running[task.group] = (this.running[task.group] || 0) + 1;
+
+        Promise.resolve()
+            .then(() => task.run())
+            .catch(error => {
+                console.error(`[Scheduler] Task ${task.type} failed:`, error);
+            })
+            .finally(() => {
+                this.running[task.group]--;
+                this.metrics.completed++;
+                this.lastActivityAt = Date.now();
+                this.pump();
+            });
+    }
+
+    /**
+     * Whether nothing is queued or running
+     */
+    isIdle() {
+        return this.queue.length === 0 &&
+            Object.values(this.running).every(count => count === 0);
+    }
+
+    /**
+     * How long nothing has been queued or running (0 if busy)
+     */
+    idleFor() {
+        return this.isIdle() ? Date.now() - this.lastActivityAt : 0;
+    }
+
+    /**
+     * Drop all queued tasks (running tasks are left to finish)
+     */
+    clear() {
+        const dropped = this.queue.length;
+        this.queue = [];
+        return dropped;
+    }
+
+    /**
+     * Get queue statistics
+     */
+    getStats() {
+        const { started } = this.metrics;
+        return {
+            depth: this.queue.length,
+            max_depth: this.metrics.maxDepth,
+            in_flight: { ...this.running },
+            enqueued: this.metrics.enqueued,
+            completed: this.metrics.completed,
+            rejected: this.metrics.rejected,
+            avg_wait_ms: started > 0 ? Math.round(this.metrics.totalWaitMs / started) : 0,
+            max_wait_ms: this.metrics.maxWaitMs
+        };
+    }
+}
@@ -8,10 +8,14 @@ function generateUUID() {
     return crypto.randomUUID();
 }
 
+// Snapshot export and import can take minutes for a large store; give up waiting after this
+const SERVICE_WORKER_TIMEOUT_MS = 10 * 60 * 1000;
+
 // State
 let currentStep = 1;
 let config = {
     coordinator_url: 'wss://api.getrem.online/miners_ws',
+    coordinator_urls: ['wss://api.getrem.online/miners_ws'],
     max_ram_gb: 4,
     embedding_dim: 384,
     index_version: 1,
@@ -47,6 +51,8 @@ function init() {
  */
 function setupEventListeners() {
     // Step 1: Configuration
+    document.getElementById('coordinatorUrls').value = config.coordinator_urls.join('\n');
+
     const ramSlider = document.getElementById('ramSlider');
     const ramValue = document.getElementById('ramValue');
 
@@ -63,6 +69,17 @@ function setupEventListeners() {
             config.referral_address = referralCode;
         }
 
+        // Save coordinator endpoints
+        const urls = parseCoordinatorUrls(document.getElementById('coordinatorUrls').value);
+        if (urls === null) {
+            alert('Invalid coordinator URL. Each line must start with wss:// (registration sends the miner secret, so unencrypted ws:// is not allowed)');
+            return;
+        }
+        if (urls.length > 0) {
+            config.coordinator_urls = urls;
+            config.coordinator_url = urls[0];
+        }
+
         goToStep(2);
     });
 
@@ -73,6 +90,7 @@ function setupEventListeners() {
     // Step 3: Confirmation
     document.getElementById('backStep3').addEventListener('click', () => goToStep(2));
     document.getElementById('startMining').addEventListener('click', startMining);
+    document.getElementById('exportSnapshot').addEventListener('click', exportSnapshot);
 
     // Copy button
     const copyBtn = document.getElementById('copySuiAddress');
@@ -120,7 +138,12 @@ async function loadExistingConfig() {
             }
             if (response.config.coordinator_url) {
                 config.coordinator_url = response.config.coordinator_url;
+                config.coordinator_urls = [response.config.coordinator_url];
+            }
+            if (response.config.coordinator_urls?.length) {
+                config.coordinator_urls = response.config.coordinator_urls;
             }
+            document.getElementById('coordinatorUrls').value = config.coordinator_urls.join('\n');
 
             // Ask if user wants to reconfigure (only if fully configured)
             if (response.config.sui_address && response.config.node_id) {
@@ -208,12 +231,49 @@ function updateSummary() {
         document.getElementById('summaryReferral').textContent = 'Default (REM Network)';
     }
 
+    updateCoordinatorSummary();
+
     // Calculate estimates (User requested ~10 REM for 15GB)
     const ramMultiplier = config.max_ram_gb * 0.7; // ~10.5 at 15GB
     document.getElementById('estimateEpoch').textContent = `~${formatNumber(ramMultiplier)} REM`;
     document.getElementById('estimateDay').textContent = `~${formatNumber(ramMultiplier * 24)} REM`;
 }
 
+/**
+ * Show the active coordinator (from the running miner) or the preferred one
+ */
+async function updateCoordinatorSummary() {
+    const summary = document.getElementById('summaryCoordinator');
+    summary.textContent = `${config.coordinator_urls[0]} (preferred)`;
+
+    try {
+        const response = await sendMessage({ type: 'getStats' });
+        const active = response.stats?.active_coordinator;
+        if (active && config.coordinator_urls.includes(active)) {
+            summary.textContent = `${active} (active)`;
+        }
+    } catch (error) {
+        console.error('[Setup] Error loading active coordinator:', error);
+    }
+}
+
+/**
+ * Parse coordinator URLs (one per line)
+ * Only wss:// is accepted: registration sends the miner secret to the coordinator
+ * @returns {Array<string>|null} URLs, or null if any line is invalid
+ */
+function parseCoordinatorUrls(text) {
+    const urls = text.split('\n').map(line => line.trim()).filter(Boolean);
+
+    for (const url of urls) {
+        if (!url.startsWith('wss://')) {
+            return null;
+        }
+    }
+
+    return urls;
+}
+
 /**
  * Start mining
  */
@@ -237,6 +297,26 @@ async function startMining() {
         const startResponse = await sendMessage({ type: 'startMiner' });
 
         if (startResponse.success) {
+            const snapshotFile = document.getElementById('snapshotFile').files[0];
+            if (snapshotFile) {
+                showLoading('Restoring vectors from snapshot...');
+                const importResponse = await sendToServiceWorker({
+                    type: 'importSnapshot',
+                    snapshot: snapshotFile
+                }).catch(error => ({ success: false, error: error.message }));
+
+                if (!importResponse.success) {
+                    // The miner is running; only the restore failed
+                    hideLoading();
+                    alert('Miner started, but the snapshot could not be restored: ' + importResponse.error);
+                    return;
+                }
+
+                const { collections, vectors } = importResponse.result;
+                showLoading(`Restored ${formatNumber(vectors)} vectors in ${collections} shards ✅`);
+                await new Promise(resolve => setTimeout(resolve, 2000));
+            }
+
             showLoading('Miner started successfully! ✅');
 
             // Show success for 2 seconds then close
@@ -254,6 +334,63 @@ async function startMining() {
     }
 }
 
+/**
+ * Export all stored vectors to a snapshot file download
+ */
+async function exportSnapshot() {
+    showLoading('Exporting snapshot...');
+
+    try {
+        const response = await sendToServiceWorker({ type: 'exportSnapshot' });
+        if (!response.success) {
+            throw new Error(response.error);
+        }
+
+        const url = URL.createObjectURL(response.snapshot);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `rem-vectors-${new Date().toISOString().slice(0, 10)}.dvmsnap`;
+        link.click();
+        setTimeout(() => URL.revokeObjectURL(url), 60000);
+
+        hideLoading();
+    } catch (error) {
+        console.error('[Setup] Snapshot export failed:', error);
+        hideLoading();
+        alert('Error: ' + error.message);
+    }
+}
+
+/**
+ * Send a message to the service worker directly (not via runtime messaging),
+ * so snapshot files can be passed as Blobs; resolves with its reply
+ * Rejects if there is no active service worker, the reply can't be deserialized,
+ * or no reply comes within SERVICE_WORKER_TIMEOUT_MS
+ */
+async function sendToServiceWorker(message) {
+    const registration = await navigator.serviceWorker.ready;
+    if (!registration.active) {
+        throw new Error('Service worker is not running');
+    }
+
+    const channel = new MessageChannel();
+
+    return new Promise((resolve, reject) => {
+        const settle = (callback, value) => {
+            clearTimeout(timer);
+            channel.port1.close();
+            callback(value);
+        };
+        const timer = setTimeout(() => {
+            settle(reject, new Error(`No reply to ${message.type} after ${SERVICE_WORKER_TIMEOUT_MS / 60000} minutes (it may still complete)`));
+        }, SERVICE_WORKER_TIMEOUT_MS);
+
+        channel.port1.onmessage = event => settle(resolve, event.data);
+        channel.port1.onmessageerror = () => settle(reject, new Error(`Could not read the reply to ${message.type}`));
+        registration.active.postMessage(message, [channel.port2]);
+    });
+}
+
 /**
  * Send message to background script
  */
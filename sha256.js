@@ -0,0 +1,138 @@
+/**
+ * SHA-256
+ * Synchronous and incremental (unlike crypto.subtle): Merkle leaves are
+ * hashed as docs change, and snapshots are hashed chunk by chunk as they
+ * are written or read instead of as one buffer.
+ */
+
+const HASH_BYTES = 32;
+const BLOCK_BYTES = 64;
+
+const K = new Uint32Array([
+    0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5, 0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+    0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3, 0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+    0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc, 0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+    0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7, 0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+    0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13, 0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+    0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3, 0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+    0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5, 0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+    0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208, 0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+]);
+
+const INITIAL_STATE = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+];
+
+const W = new Uint32Array(64);
+
+function rotr(x, n) {
+    return (x >>> n) | (x << (32 - n));
+}
+
+/**
+ * Mix one 64-byte block into the state
+ * @param {Uint32Array} h - State, updated in place
+ * @param {DataView} view - View holding the block
+ * @param {number} offset - Block start in the view
+ */
+function compress(h, view, offset) {
+    for (let i = 0; i < 16; i++) {
+        W[i] = view.getUint32(offset + i * 4);
+    }
+    for (let i = 16; i < 64; i++) {
+        const s0 = rotr(W[i - 15], 7) ^ rotr(W[i - 15], 18) ^ (W[i - 15] >>> 3);
+        const s1 = rotr(W[i - 2], 17) ^ rotr(W[i - 2], 19) ^ (W[i - 2] >>> 10);
+        W[i] = W[i - 16] + s0 + W[i - 7] + s1;
+    }
+
+    let a = h[0], b = h[1], c = h[2], d = h[3], e = h[4], f = h[5], g = h[6], hh = h[7];
+
+    for (let i = 0; i < 64; i++) {
+        const t1 = (hh + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + W[i]) | 0;
+        const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+        hh = g;
+        g = f;
+        f = e;
+        e = (d + t1) | 0;
+        d = c;
+        c = b;
+        b = a;
+        a = (t1 + t2) | 0;
+    }
+
+    h[0] += a; h[1] += b; h[2] += c; h[3] += d;
+    h[4] += e; h[5] += f; h[6] += g; h[7] += hh;
+}
+
+/**
+ * Incremental hash: update() any number of times, then digest() once
+ */
+export class Sha256 {
+    constructor() {
+        this.state = new Uint32Array(INITIAL_STATE);
+        this.block = new Uint8Array(BLOCK_BYTES); // Bytes not yet filling a whole block
+        this.blockView = new DataView(this.block.buffer);
+        this.blockLength = 0;
+        this.length = 0; // Total bytes hashed
+    }
+
+    /**
+     * @param {Uint8Array} bytes
+     * @returns {Sha256} this
+     */
+    update(bytes) {
+        this.length += bytes.length;
+        let offset = 0;
+
+        // Top up a partial block first
+        if (this.blockLength > 0) {
+            offset = Math.min(BLOCK_BYTES - this.blockLength, bytes.length);
+            this.block.set(bytes.subarray(0, offset), this.blockLength);
+            this.blockLength += offset;
+            if (this.blockLength < BLOCK_BYTES) return this;
+
+            compress(this.state, this.blockView, 0);
+            this.blockLength = 0;
+        }
+
+        const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+        for (; offset + BLOCK_BYTES <= bytes.length; offset += BLOCK_BYTES) {
+            compress(this.state, view, offset);
+        }
+
+        this.block.set(bytes.subarray(offset));
+        this.blockLength = bytes.length - offset;
+        return this;
+    }
+
+    /**
+     * Pad and finish; the hash can't be updated afterwards
+     * @returns {Uint8Array} 32-byte digest
+     */
+    digest() {
+        // 0x80, zeros up to 8 bytes short of a block boundary, then the length in bits (big-endian)
+        const { length } = this;
+        const padding = new Uint8Array((this.blockLength < 56 ? 64 : 128) - this.blockLength);
+        padding[0] = 0x80;
+        const view = new DataView(padding.buffer);
+        view.setUint32(padding.length - 8, Math.floor(length / 0x20000000));
+        view.setUint32(padding.length - 4, (length * 8) >>> 0);
+        this.update(padding);
+
+        const digest = new Uint8Array(HASH_BYTES);
+        const out = new DataView(digest.buffer);
+        for (let i = 0; i < 8; i++) {
+            out.setUint32(i * 4, this.state[i]);
+        }
+        return digest;
+    }
+}
+
+/**
+ * SHA-256 of a byte array
+ * @param {Uint8Array} bytes
+ * @returns {Uint8Array} 32-byte digest
+ */
+export function sha256(bytes) {
+    return new Sha256().update(bytes).digest();
+}
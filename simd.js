@@ -0,0 +1,189 @@
+/**
+ * SIMD Distance Kernels
+ * WebAssembly SIMD dot / L2 / cosine kernels (source: kernels.wat) and the
+ * slab backing float32 collections. When SIMD is available the slab lives in
+ * WebAssembly memory, so the kernels score one query against a block of
+ * vectors in place without copying. Otherwise a plain JS slab with the same
+ * interface is used, as it is when WebAssembly memory can't be had: allocating
+ * or growing it throws a RangeError past the engine's limit or when the
+ * address space runs out.
+ */
+
+import { dot, l2Squared } from './vector-math.js';
+
+// kernels.wat assembled with wat2wasm
+const KERNELS_WASM = Uint8Array.from(atob(
+    'AGFzbQEAAAABFQNgAXsBfWADf39/AX1gBX9/f39/AAIPAQNlbnYGbWVtb3J5AgABAwcGAAEBAQICBywFA2RvdAABAmwyAAIGY29zaW5lAAMJZG90X2JhdGNoAAQIbDJfYmF0Y2gABQryAwYZACAA/R8AIAD9HwGSIAD9HwIgAP0fA5KSC4cBAwF7An8BfSAAIAJBfHFBAnRqIQQgACACQQJ0aiEFAkADQCAAIARPDQEgAyAA/QAEACAB/QAEAP3mAf3kASEDIABBEGohACABQRBqIQEMAAsLIAMQACEGAkADQCAAIAVPDQEgBiAAKgIAIAEqAgCUkiEGIABBBGohACABQQRqIQEMAAsLIAYLlwEDAnsCfwJ9IAAgAkF8cUECdGohBSAAIAJBAnRqIQYCQANAIAAgBU8NASAA/QAEACAB/QAEAP3lASEEIAMgBCAE/eYB/eQBIQMgAEEQaiEAIAFBEGohAQwACwsgAxAAIQcCQANAIAAgBk8NASAAKgIAIAEqAgCTIQggByAIIAiUkiEHIABBBGohACABQQRqIQEMAAsLIAcLNAEBfSAAIAAgAhABIAEgASACEAGUkSEDIANDAAAAAFsEfUMAAAAABSAAIAEgAhABIAOVCws/AQJ/IAJBAnQhBSAEIANBAnRqIQYCQANAIAQgBk8NASAEIAAgASACEAE4AgAgASAFaiEBIARBBGohBAwACwsLPwECfyACQQJ0IQUgBCADQQJ0aiEGAkADQCAEIAZPDQEgBCAAIAEgAhACOAIAIAEgBWohASAEQQRqIQQMAAsLCw=='
+), c => c.charCodeAt(0));
+
+const PAGE_SIZE = 65536;
+
+// Vectors scored per batch call
+export const BATCH_SIZE = 4096;
+
+let kernelModule = null;
+
+/**
+ * Whether WebAssembly SIMD kernels can be used in this runtime
+ */
+export const SIMD_AVAILABLE = (() => {
+    try {
+        if (typeof WebAssembly === 'undefined' || !WebAssembly.validate(KERNELS_WASM)) {
+            return false;
+        }
+        kernelModule = new WebAssembly.Module(KERNELS_WASM);
+        return true;
+    } catch (error) {
+        console.warn('[SIMD] WebAssembly SIMD unavailable, using JS kernels:', error.message);
+        return false;
+    }
+})();
+
+/**
+ * Float32 slab in WebAssembly memory
+ * Layout: [query (dim floats)] [scores (BATCH_SIZE floats)] [slab (capacity * dim floats)]
+ */
+export class WasmSlab {
+    constructor(dim, capacity) {
+        this.dim = dim;
+        this.queryPtr = 0;
+        this.scoresPtr = Math.ceil((dim * 4) / 16) * 16;
+        this.slabPtr = this.scoresPtr + BATCH_SIZE * 4;
+        this.capacity = 0;
+
+        this.memory = new WebAssembly.Memory({ initial: this.pagesFor(capacity) });
+        this.kernels = new WebAssembly.Instance(kernelModule, { env: { memory: this.memory } }).exports;
+        this.capacity = capacity;
+        this.refreshViews();
+    }
+
+    pagesFor(capacity) {
+        return Math.max(1, Math.ceil((this.slabPtr + capacity * this.dim * 4) / PAGE_SIZE));
+    }
+
+    /**
+     * Views must be recreated after memory.grow() detaches the old buffer
+     */
+    refreshViews() {
+        const { buffer } = this.memory;
+        this.data = new Float32Array(buffer, this.slabPtr, this.capacity * this.dim);
+        this.query = new Float32Array(buffer, this.queryPtr, this.dim);
+        this.scores = new Float32Array(buffer, this.scoresPtr, BATCH_SIZE);
+    }
+
+    /**
+     * Grow in place (WebAssembly memory keeps its contents when it grows)
+     */
+    resize(capacity) {
+        const extra = this.pagesFor(capacity) - this.memory.buffer.byteLength / PAGE_SIZE;
+        if (extra > 0) {
+            this.memory.grow(extra);
+        }
+        this.capacity = capacity;
+        this.refreshViews();
+    }
+
+    /**
+     * Score a query against rows [start, start + count)
+     * @param {Float32Array} query - Query vector
+     * @param {number} start - First row
+     * @param {number} count - Rows to score (at most BATCH_SIZE)
+     * @param {string} [kernel] - 'dot' or 'l2' (squared distance)
+     * @returns {Float32Array} Scores, valid until the next call
+     */
+    batchScores(query, start, count, kernel = 'dot') {
+        this.query.set(query);
+        const batch = kernel === 'l2' ? this.kernels.l2_batch : this.kernels.dot_batch;
+        batch(this.queryPtr, this.slabPtr + start * this.dim * 4, this.dim, count, this.scoresPtr);
+        return this.scores;
+    }
+
+    /**
+     * Bytes held for vectors (capacity * dim floats)
+     */
+    getBytesUsed() {
+        return this.data.byteLength;
+    }
+
+    /**
+     * Fixed cost of the WebAssembly memory beyond the vectors: the query and
+     * scores areas and the rounding up to whole 64 KB pages
+     */
+    getOverheadBytes() {
+        return this.memory.buffer.byteLength - this.data.byteLength;
+    }
+}
+
+/**
+ * Float32 slab in a plain typed array, scored with JS kernels
+ */
+export class JsSlab {
+    constructor(dim, capacity) {
+        this.dim = dim;
+        this.capacity = capacity;
+        this.data = new Float32Array(capacity * dim);
+        this.scores = new Float32Array(BATCH_SIZE);
+    }
+
+    resize(capacity, used) {
+        const grown = new Float32Array(capacity * this.dim);
+        grown.set(this.data.subarray(0, used * this.dim));
+        this.data = grown;
+        this.capacity = capacity;
+    }
+
+    batchScores(query, start, count, kernel = 'dot') {
+        const score = kernel === 'l2' ? l2Squared : dot;
+        for (let i = 0; i < count; i++) {
+            this.scores[i] = score(query, this.data, (start + i) * this.dim);
+        }
+        return this.scores;
+    }
+
+    getBytesUsed() {
+        return this.data.byteLength;
+    }
+
+    getOverheadBytes() {
+        return this.scores.byteLength;
+    }
+}
+
+/**
+ * Slab for a float32 collection: WebAssembly SIMD if available, JS otherwise
+ * @param {number} dim - Vector dimension
+ * @param {number} capacity - Slot capacity
+ * @param {boolean} [simd] - Override SIMD detection
+ */
+export function createSlab(dim, capacity, simd = SIMD_AVAILABLE) {
+    if (simd) {
+        try {
+            return new WasmSlab(dim, capacity);
+        } catch (error) {
+            if (!(error instanceof RangeError)) throw error;
+            console.warn(`[SIMD] No WebAssembly memory for ${capacity} vectors, using a JS slab:`, error.message);
+        }
+    }
+    return new JsSlab(dim, capacity);
+}
+
+/**
+ * Resize a slab, moving its vectors to a JsSlab if WebAssembly memory can't grow
+ * @param {WasmSlab|JsSlab} slab
+ * @param {number} capacity - New slot capacity
+ * @param {number} used - Slots whose contents must be kept
+ * @returns {WasmSlab|JsSlab} The slab now holding the vectors
+ */
+export function resizeSlab(slab, capacity, used) {
+    try {
+        slab.resize(capacity, used);
+        return slab;
+    } catch (error) {
+        if (!(error instanceof RangeError) || slab instanceof JsSlab) throw error;
+        console.warn(`[SIMD] WebAssembly memory can't grow to ${capacity} vectors, moving to a JS slab:`, error.message);
+    }
+
+    const fallback = new JsSlab(slab.dim, capacity);
+    fallback.data.set(slab.data.subarray(0, used * slab.dim));
+    return fallback;
+}
@@ -0,0 +1,278 @@
+/**
+ * Vector Store Snapshots
+ * One binary file holding every collection, so a miner moving to a new
+ * machine (or reinstalling) keeps its shards instead of re-replicating them.
+ * Layout, integers little-endian:
+ *   0         magic "DVMSNAP\0"
+ *   8         format version (uint32)
+ *   12        chunks, each:
+ *               0   header length in bytes (uint32)
+ *               4   data length in bytes (uint32)
+ *               8   header, UTF-8 JSON
+ *               ..  data: the chunk's buffers, back to back
+ *   end - 32  SHA-256 of everything before it
+ * Chunk headers, in order:
+ *   {kind: 'snapshot', created_at, schema_version}   first, once
+ *   {kind: 'collection', manifest}                   then per collection...
+ *   {kind: 'segment', segment}                       ...followed by its segments
+ * Manifests and segments are the IndexedDB records (see collection.js), with
+ * each ArrayBuffer field of a segment replaced by {$buffer: [offset, length]}
+ * into its chunk's data.
+ *
+ * The file is written and read a chunk (one segment) at a time, hashing as
+ * it goes, so a snapshot never has to fit in memory as a single buffer.
+ * Format 1 (one JSON header for the whole store, then all buffers) can
+ * still be read.
+ */
+
+import { SCHEMA_VERSION } from './migrations.js';
+import { Sha256 } from './sha256.js';
+import { ValidationError } from './validation.js';
+
+export const SNAPSHOT_FORMAT_VERSION = 2;
+
+const MAGIC = new Uint8Array([0x44, 0x56, 0x4d, 0x53, 0x4e, 0x41, 0x50, 0x00]); // "DVMSNAP\0"
+const PREAMBLE_BYTES = 12;
+const CHUNK_PREFIX_BYTES = 8;
+const HASH_BYTES = 32;
+// Written chunks are folded into the snapshot Blob once this many bytes have piled up
+const BLOB_FLUSH_BYTES = 16 * 1024 * 1024;
+
+// Format 1: magic, version, header length (uint32), header, 8-byte aligned buffers, hash
+const V1_PREAMBLE_BYTES = 16;
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+function align8(offset) {
+    return Math.ceil(offset / 8) * 8;
+}
+
+function equalBytes(a, b) {
+    return a.length === b.length && a.every((byte, i) => byte === b[i]);
+}
+
+/**
+ * Write a snapshot
+ * Segments are pulled from each collection's iterable one at a time, so they
+ * can be built lazily; nothing in between yields, so the store can't change mid-write
+ * @param {Iterable<{manifest: Object, segments: Iterable<Object>}>} collections - Records as stored in IndexedDB
+ * @returns {Promise<Blob>}
+ */
+export async function encodeSnapshot(collections) {
+    const hash = new Sha256();
+    let blob = new Blob([]);
+    let parts = [];
+    let pending = 0;
+
+    const write = bytes => {
+        hash.update(bytes);
+        parts.push(bytes);
+        pending += bytes.length;
+        if (pending >= BLOB_FLUSH_BYTES) {
+            // Blobs compose without copying, and the browser may keep large ones on disk
+            blob = new Blob([blob, ...parts]);
+            parts = [];
+            pending = 0;
+        }
+    };
+
+    const writeChunk = (header, buffers = []) => {
+        const json = encoder.encode(JSON.stringify(header));
+        const dataLength = buffers.reduce((sum, buffer) => sum + buffer.byteLength, 0);
+        const prefix = new Uint8Array(CHUNK_PREFIX_BYTES);
+        const view = new DataView(prefix.buffer);
+        view.setUint32(0, json.length, true);
+        view.setUint32(4, dataLength, true);
+
+        write(prefix);
+        write(json);
+        buffers.forEach(buffer => write(new Uint8Array(buffer)));
+    };
+
+    const preamble = new Uint8Array(PREAMBLE_BYTES);
+    preamble.set(MAGIC);
+    new DataView(preamble.buffer).setUint32(8, SNAPSHOT_FORMAT_VERSION, true);
+    write(preamble);
+
+    writeChunk({ kind: 'snapshot', created_at: new Date().toISOString(), schema_version: SCHEMA_VERSION });
+
+    for (const { manifest, segments } of collections) {
+        writeChunk({ kind: 'collection', manifest });
+
+        for (const segment of segments) {
+            const buffers = [];
+            let offset = 0;
+            const outline = Object.fromEntries(Object.entries(segment).map(([field, value]) => {
+                if (!(value instanceof ArrayBuffer)) {
+                    return [field, value];
+                }
+                buffers.push(value);
+                offset += value.byteLength;
+                return [field, { $buffer: [offset - value.byteLength, value.byteLength] }];
+            }));
+            writeChunk({ kind: 'segment', segment: outline }, buffers);
+        }
+    }
+
+    return new Blob([blob, ...parts, hash.digest()], { type: 'application/octet-stream' });
+}
+
+/**
+ * Read and verify a snapshot
+ * @param {Blob|ArrayBuffer} file
+ * @returns {Promise<{createdAt: string, collections: Array<{manifest: Object, segments: Array<Object>}>}>}
+ * @throws {ValidationError} invalid_snapshot if the file is not a snapshot, is corrupt or is from a newer version
+ */
+export async function decodeSnapshot(file) {
+    if (file instanceof ArrayBuffer) {
+        file = new Blob([file]);
+    }
+    if (!(file instanceof Blob)) {
+        throw invalid('Snapshot must be a Blob or an ArrayBuffer');
+    }
+
+    const bodyLength = file.size - HASH_BYTES;
+    const preamble = new Uint8Array(await file.slice(0, PREAMBLE_BYTES).arrayBuffer());
+    if (bodyLength < PREAMBLE_BYTES || !equalBytes(preamble.subarray(0, MAGIC.length), MAGIC)) {
+        throw invalid('Not a vector store snapshot');
+    }
+
+    const version = new DataView(preamble.buffer).getUint32(8, true);
+    if (version === 1) {
+        return decodeV1(await file.arrayBuffer());
+    }
+    if (version !== SNAPSHOT_FORMAT_VERSION) {
+        throw invalid(`Unsupported snapshot format version ${version}`);
+    }
+
+    const hash = new Sha256().update(preamble);
+    let position = PREAMBLE_BYTES;
+
+    // Read the next `length` bytes of the body, hashing them
+    const read = async length => {
+        if (position + length > bodyLength) {
+            throw invalid('Snapshot chunk runs past the end of the file: it is corrupt or truncated');
+        }
+        const bytes = new Uint8Array(await file.slice(position, position + length).arrayBuffer());
+        position += length;
+        hash.update(bytes);
+        return bytes;
+    };
+
+    let createdAt = null;
+    const collections = [];
+    while (position < bodyLength) {
+        const prefix = new DataView((await read(CHUNK_PREFIX_BYTES)).buffer);
+        const headerLength = prefix.getUint32(0, true);
+        const dataLength = prefix.getUint32(4, true);
+
+        let header;
+        try {
+            header = JSON.parse(decoder.decode(await read(headerLength)));
+        } catch (error) {
+            if (error instanceof ValidationError) throw error;
+            throw invalid(`Snapshot chunk header is not valid JSON: ${error.message}`);
+        }
+        const data = (await read(dataLength)).buffer;
+
+        if (createdAt === null) {
+            if (header?.kind !== 'snapshot') {
+                throw invalid('Snapshot does not start with a snapshot chunk');
+            }
+            checkSchemaVersion(header.schema_version);
+            createdAt = header.created_at;
+        } else if (header?.kind === 'collection' && typeof header.manifest?.id === 'string') {
+            collections.push({ manifest: header.manifest, segments: [] });
+        } else if (header?.kind === 'segment' && header.segment && collections.length > 0) {
+            collections[collections.length - 1].segments.push(inlineBuffers(header.segment, data, 0, data.byteLength));
+        } else {
+            throw invalid(`Unexpected snapshot chunk ${JSON.stringify(header?.kind)}`);
+        }
+    }
+
+    // Nothing is returned, so nothing gets imported, unless the whole file checks out
+    const expected = new Uint8Array(await file.slice(bodyLength).arrayBuffer());
+    if (!equalBytes(hash.digest(), expected)) {
+        throw invalid('Snapshot checksum mismatch: the file is corrupt or truncated');
+    }
+    if (createdAt === null) {
+        throw invalid('Snapshot has no snapshot chunk');
+    }
+
+    return { createdAt, collections };
+}
+
+/**
+ * Format 1: the whole store in one buffer
+ */
+async function decodeV1(buffer) {
+    const bytes = new Uint8Array(buffer);
+    if (bytes.length < V1_PREAMBLE_BYTES + HASH_BYTES) {
+        throw invalid('Not a vector store snapshot');
+    }
+
+    const bodyLength = bytes.length - HASH_BYTES;
+    const actual = new Uint8Array(await crypto.subtle.digest('SHA-256', bytes.subarray(0, bodyLength)));
+    if (!equalBytes(actual, bytes.subarray(bodyLength))) {
+        throw invalid('Snapshot checksum mismatch: the file is corrupt or truncated');
+    }
+
+    const headerLength = new DataView(buffer).getUint32(12, true);
+    if (V1_PREAMBLE_BYTES + headerLength > bodyLength) {
+        throw invalid('Snapshot header runs past the end of the file');
+    }
+
+    let header;
+    try {
+        header = JSON.parse(decoder.decode(bytes.subarray(V1_PREAMBLE_BYTES, V1_PREAMBLE_BYTES + headerLength)));
+    } catch (error) {
+        throw invalid(`Snapshot header is not valid JSON: ${error.message}`);
+    }
+
+    checkSchemaVersion(header.schema_version);
+    if (!Array.isArray(header.collections) ||
+        !header.collections.every(entry => typeof entry?.manifest?.id === 'string' && Array.isArray(entry.segments))) {
+        throw invalid('Snapshot header has no valid collection list');
+    }
+
+    const dataStart = align8(V1_PREAMBLE_BYTES + headerLength);
+    return {
+        createdAt: header.created_at,
+        collections: header.collections.map(({ manifest, segments }) => ({
+            manifest,
+            segments: segments.map(segment => inlineBuffers(segment, buffer, dataStart, bodyLength))
+        }))
+    };
+}
+
+function checkSchemaVersion(schemaVersion) {
+    if (!Number.isInteger(schemaVersion) || schemaVersion > SCHEMA_VERSION) {
+        throw invalid(`Snapshot schema v${schemaVersion} is newer than this extension's (v${SCHEMA_VERSION})`);
+    }
+}
+
+/**
+ * Replace each {$buffer: [offset, length]} field of a segment with a copy of those bytes
+ * @param {ArrayBuffer} buffer - Holds the data
+ * @param {number} dataStart - Where offsets count from
+ * @param {number} dataEnd - No buffer may run past this
+ */
+function inlineBuffers(segment, buffer, dataStart, dataEnd) {
+    return Object.fromEntries(Object.entries(segment).map(([field, value]) => {
+        if (!value?.$buffer) {
+            return [field, value];
+        }
+        const [offset, length] = value.$buffer;
+        const start = dataStart + offset;
+        if (!Number.isInteger(offset) || !Number.isInteger(length) || offset < 0 || length < 0 ||
+            start + length > dataEnd) {
+            throw invalid(`Snapshot buffer ${JSON.stringify(value.$buffer)} is out of range`);
+        }
+        return [field, buffer.slice(start, start + length)];
+    }));
+}
+
+function invalid(message) {
+    return new ValidationError('invalid_snapshot', message);
+}
@@ -0,0 +1,89 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { Bm25Index, DEFAULT_BM25_PARAMS, termFrequencies, tokenize } from '../bm25.js';
+import { VectorEngine } from '../engine.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    return () => mock.restoreAll();
+});
+
+function indexOf(texts) {
+    const index = new Bm25Index();
+    texts.forEach((text, slot) => index.add(slot, termFrequencies(text)));
+    return index;
+}
+
+test('tokenize lowercases, splits on non-alphanumerics and drops overlong tokens', () => {
+    assert.deepEqual(tokenize('Hello, World! Ünïcode-42 x_y'), ['hello', 'world', 'ünïcode', '42', 'x', 'y']);
+    assert.deepEqual(tokenize(`short ${'a'.repeat(65)}`), ['short']);
+    assert.deepEqual(termFrequencies('the cat the hat'), [['the', 2], ['cat', 1], ['hat', 1]]);
+});
+
+test('scores match the BM25 formula', () => {
+    const texts = ['apple banana', 'apple apple cherry date', 'cherry'];
+    const index = indexOf(texts);
+    const { k1, b } = DEFAULT_BM25_PARAMS;
+    const averageLength = 7 / 3;
+
+    const idf = df => Math.log(1 + (3 - df + 0.5) / (df + 0.5));
+    const term = (tf, length, df) => idf(df) * tf * (k1 + 1) / (tf + k1 * (1 - b + b * length / averageLength));
+
+    const results = index.search('apple cherry', 10);
+    assert.deepEqual(results.map(({ slot }) => slot), [1, 2, 0]);
+    const expected = [term(2, 4, 2) + term(1, 4, 2), term(1, 1, 2), term(1, 2, 2)];
+    results.forEach(({ score }, i) => assert.ok(Math.abs(score - expected[i]) < 1e-12));
+});
+
+test('rare terms, repeated terms and short docs rank higher', () => {
+    // "common" is in every doc, "rare" in one
+    assert.equal(indexOf(['common filler', 'common rare', 'common filler']).search('common rare', 1)[0].slot, 1);
+    // Same length, more occurrences
+    assert.equal(indexOf(['fox dog dog', 'fox fox dog', 'dog dog dog']).search('fox', 1)[0].slot, 1);
+    // One occurrence each, shorter doc wins
+    assert.equal(indexOf(['fox a b c d e', 'fox a', 'other']).search('fox', 1)[0].slot, 1);
+});
+
+test('removing and re-adding slots keeps the statistics right', () => {
+    const index = indexOf(['red fish', 'blue fish', 'red car']);
+    index.remove(0);
+    index.remove(0);
+    assert.deepEqual(index.getStats(), { docs: 2, terms: 4 });
+    assert.deepEqual(index.search('red', 10).map(({ slot }) => slot), [2]);
+
+    index.add(1, termFrequencies('green'));
+    assert.deepEqual(index.getStats(), { docs: 2, terms: 3 });
+    assert.deepEqual(index.search('fish', 10), []);
+
+    // A fresh index over the same texts scores identically
+    assert.deepEqual(index.search('red green', 10), indexOf(['', 'green', 'red car']).search('red green', 10));
+});
+
+test('search skips slots the filter rejects and handles empty indexes', () => {
+    const index = indexOf(['a b', 'a c', 'a d']);
+    assert.deepEqual(index.search('a', 10, slot => slot !== 1).map(({ slot }) => slot).sort(), [0, 2]);
+    assert.deepEqual(index.search('missing', 10), []);
+    assert.deepEqual(new Bm25Index().search('a', 10), []);
+});
+
+test('hybrid search orders docs by reciprocal rank fusion', async () => {
+    const engine = new VectorEngine(1);
+    const vectors = [[1, 0], [0.9, 0.3], [0.5, 0.8], [0, 1]].map(vector => new Float32Array(vector));
+    await engine.addVectors('docs', vectors, ['a', 'b', 'c', 'd'], null, {
+        texts: ['banana', 'red apple', null, 'red apple pie crumble']
+    });
+
+    // Vector ranking a, b, c, d; keyword ranking b, d
+    const results = await engine.hybridSearch('docs', new Float32Array([1, 0]), 'apple', 4);
+    assert.deepEqual(results.map(({ docId }) => docId), ['b', 'd', 'a', 'c']);
+
+    const [b, d, a] = results;
+    assert.ok(Math.abs(b.score - (1 / 62 + 1 / 61)) < 1e-12);
+    assert.ok(Math.abs(d.score - (1 / 64 + 1 / 62)) < 1e-12);
+    assert.ok(a.vectorScore > b.vectorScore);
+    assert.equal(a.keywordScore, null);
+    assert.ok(b.keywordScore > d.keywordScore);
+
+    const paged = await engine.hybridSearch('docs', new Float32Array([1, 0]), 'apple', 2, null, { offset: 1 });
+    assert.deepEqual(paged.map(({ docId }) => docId), ['d', 'a']);
+});
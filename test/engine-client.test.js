@@ -0,0 +1,104 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setTimeout as sleep } from 'node:timers/promises';
+import { EngineClient } from '../engine-client.js';
+
+const TIMEOUT_MS = 20;
+
+/**
+ * Client on a fake port that records calls; `host.alive` decides whether findHost sees the host
+ */
+function connectedClient() {
+    const client = new EngineClient(1);
+    const sent = [];
+    const host = { alive: true };
+    client.port = { postMessage: message => sent.push(message), close() {} };
+    client.findHost = async () => (host.alive ? {} : null);
+    return { client, sent, host };
+}
+
+beforeEach(() => {
+    mock.method(console, 'warn', () => {});
+    return () => mock.restoreAll();
+});
+
+test('a read that times out is failed', async () => {
+    const { client } = connectedClient();
+
+    await assert.rejects(
+        client.call('fetchVectors', ['docs', ['a'], {}], TIMEOUT_MS),
+        error => error.code === 'engine_timeout'
+    );
+    assert.ok(client.port, 'a live host is not disconnected');
+});
+
+test('a write past its timeout keeps waiting while the host is alive', async () => {
+    const { client, sent } = connectedClient();
+    let settled = false;
+
+    const write = client.call('addVectors', ['docs', [], [], null, {}], TIMEOUT_MS);
+    write.finally(() => { settled = true; }).catch(() => {});
+
+    await sleep(TIMEOUT_MS * 5);
+    assert.equal(settled, false);
+
+    client.handleMessage({ id: sent[0].id, result: { inserted: 0, updated: 0 } });
+    assert.deepEqual(await write, { inserted: 0, updated: 0 });
+});
+
+test('a read timing out does not fail writes in flight', async () => {
+    const { client, sent } = connectedClient();
+
+    const write = client.call('addVectors', ['docs', [], [], null, {}], 0);
+    await assert.rejects(client.call('searchBatch', ['docs', [], 10, null, {}], TIMEOUT_MS));
+
+    client.handleMessage({ id: sent[0].id, result: { inserted: 1, updated: 0 } });
+    assert.deepEqual(await write, { inserted: 1, updated: 0 });
+});
+
+test('calls fail once the host has gone away', async () => {
+    const { client, host } = connectedClient();
+    host.alive = false;
+
+    const write = client.call('addVectors', ['docs', [], [], null, {}], TIMEOUT_MS);
+    const other = client.call('deleteVectors', ['docs', ['a']], 0);
+
+    await assert.rejects(write, /disconnected/);
+    await assert.rejects(other, /disconnected/);
+    assert.equal(client.port, null);
+});
+
+test('a restarted worker fails pending calls, writes included, with a structured error', async () => {
+    mock.method(console, 'error', () => {});
+    const { client } = connectedClient();
+
+    const write = client.call('addVectors', ['docs', [], [], null, {}], 0);
+    const read = client.call('fetchVectors', ['docs', ['a'], {}]);
+    client.handleHostMessage({ type: 'engine_restarted', reason: 'no reply to pings for 120s' });
+
+    for (const call of [write, read]) {
+        await assert.rejects(call, error => error.code === 'engine_restarted' && /may not have completed/.test(error.message));
+    }
+    assert.equal(client.port, null);
+    assert.equal(client.pending.size, 0);
+});
+
+test('init gives up instead of hanging the connection', async () => {
+    mock.timers.enable({ apis: ['setTimeout'] });
+    const { client } = connectedClient();
+    const port = client.port;
+    client.port = null;
+    client.openChannel = async () => {
+        client.port = port;
+    };
+
+    const connecting = client.connect();
+    const failed = assert.rejects(connecting, error => error.code === 'engine_timeout');
+    await sleep(0);
+    mock.timers.tick(5 * 60 * 1000);
+    await failed;
+
+    // The next call starts a fresh connection
+    assert.equal(client.connecting, null);
+    mock.timers.reset();
+});
@@ -0,0 +1,99 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { VectorEngine } from '../engine.js';
+import { ValidationError } from '../validation.js';
+import { randomVectors } from './helpers/vectors.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    return () => mock.restoreAll();
+});
+
+// No init(): the engine runs in memory without IndexedDB
+
+test('addVectors rejects a dimension other than the collection\'s', async () => {
+    const engine = new VectorEngine(1);
+    await engine.addVectors('docs', randomVectors(3, 8, 1), ['a', 'b', 'c']);
+
+    await assert.rejects(
+        engine.addVectors('docs', randomVectors(1, 4, 2), ['d']),
+        error => error instanceof ValidationError && error.code === 'dimension_mismatch'
+    );
+    assert.equal(engine.collections.get('docs').size, 3);
+});
+
+test('addVectors rejects a metric other than the collection\'s', async () => {
+    const engine = new VectorEngine(1);
+    await engine.addVectors('docs', randomVectors(2, 8, 1), ['a', 'b'], null, { metric: 'l2' });
+
+    await assert.rejects(
+        engine.addVectors('docs', randomVectors(1, 8, 2), ['c'], null, { metric: 'dot' }),
+        error => error instanceof ValidationError && error.code === 'metric_mismatch'
+    );
+    // Not declaring a metric keeps the collection's
+    await engine.addVectors('docs', randomVectors(1, 8, 3), ['c']);
+    assert.equal(engine.getCollectionMetric('docs'), 'l2');
+});
+
+test('a batch of mixed dimensions does not leave a new collection behind', async () => {
+    const engine = new VectorEngine(1);
+    const vectors = [...randomVectors(1, 8, 1), ...randomVectors(1, 4, 2)];
+
+    await assert.rejects(
+        engine.addVectors('docs', vectors, ['a', 'b']),
+        error => error.code === 'dimension_mismatch'
+    );
+    assert.equal(engine.collections.has('docs'), false);
+});
+
+test('defaultStorage only applies when the collection is created', async () => {
+    const engine = new VectorEngine(1);
+    const defaultStorage = { mode: 'int8' };
+    await engine.addVectors('docs', randomVectors(2, 8, 1), ['a', 'b'], null, { defaultStorage });
+    assert.equal(engine.collections.get('docs').storage.mode, 'int8');
+
+    await engine.addVectors('other', randomVectors(2, 8, 1), ['a', 'b']);
+    await engine.addVectors('other', randomVectors(1, 8, 2), ['c'], null, { defaultStorage });
+    assert.equal(engine.collections.get('other').storage.mode, 'float32');
+});
+
+test('searchBatch rejects queries of the wrong dimension', async () => {
+    const engine = new VectorEngine(1);
+    await engine.addVectors('docs', randomVectors(3, 8, 1), ['a', 'b', 'c']);
+
+    await assert.rejects(
+        engine.searchBatch('docs', randomVectors(1, 4, 2), 2),
+        error => error instanceof ValidationError && error.code === 'dimension_mismatch'
+    );
+});
+
+test('a ttl insert that expires its whole collection to make room still lands', async () => {
+    globalThis.indexedDB = new IDBFactory();
+    let now = Date.now();
+    mock.method(Date, 'now', () => now);
+
+    const engine = new VectorEngine(1);
+    engine.evictionPolicy = 'ttl';
+    await engine.init();
+
+    // Fill the initial slab exactly, then cap RAM so the next insert has to make room
+    const docIds = Array.from({ length: 64 }, (_, i) => `old-${i}`);
+    await engine.addVectors('docs', randomVectors(64, 8, 1), docIds, null, { ttlSeconds: 1 });
+    engine.maxRAM = engine.getBytesUsed();
+
+    now += 2000;
+    const result = await engine.addVectors('docs', randomVectors(1, 8, 2), ['new']);
+    assert.deepEqual(result, { inserted: 1, updated: 0 });
+    assert.equal(engine.collections.get('docs')?.size, 1);
+
+    // ...and is persisted
+    await engine.saveAll();
+    engine.db.close();
+    const reopened = new VectorEngine(1);
+    await reopened.init();
+    assert.deepEqual(reopened.fetchVectors('docs', ['new', 'old-0']).map(({ doc_id: docId }) => docId), ['new']);
+    reopened.db.close();
+});
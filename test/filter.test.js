@@ -0,0 +1,92 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { compileFilter } from '../filter.js';
+import { ValidationError } from '../validation.js';
+
+const DOCS = {
+    news: { genre: 'news', year: 2021, lang: 'en', tags: ['world', 'politics'], author: { name: 'kim' } },
+    draft: { genre: 'news', year: 2024, lang: 'de', status: 'draft', tags: [] },
+    essay: { genre: 'essay', year: 2019, lang: 'fr', author: { name: 'lee' } },
+    bare: null
+};
+
+/**
+ * Names of the docs a filter matches
+ */
+function matching(filter) {
+    const predicate = compileFilter(filter);
+    return Object.keys(DOCS).filter(name => predicate(DOCS[name]));
+}
+
+function invalidFilter(error) {
+    return error instanceof ValidationError && error.code === 'invalid_filter';
+}
+
+test('no filter compiles to null', () => {
+    assert.equal(compileFilter(undefined), null);
+    assert.equal(compileFilter(null), null);
+});
+
+test('equality, shorthand and $eq, including array fields and nested paths', () => {
+    assert.deepEqual(matching({ genre: 'news' }), ['news', 'draft']);
+    assert.deepEqual(matching({ genre: { $eq: 'essay' } }), ['essay']);
+    assert.deepEqual(matching({ tags: 'politics' }), ['news']);
+    assert.deepEqual(matching({ 'author.name': 'lee' }), ['essay']);
+    assert.deepEqual(matching({ genre: 'news', lang: 'de' }), ['draft']);
+});
+
+test('missing fields and docs without metadata only satisfy $ne and $nin', () => {
+    assert.deepEqual(matching({ status: 'draft' }), ['draft']);
+    assert.deepEqual(matching({ status: { $ne: 'draft' } }), ['news', 'essay', 'bare']);
+    assert.deepEqual(matching({ status: { $in: ['draft', 'live'] } }), ['draft']);
+    assert.deepEqual(matching({ status: { $nin: ['draft'] } }), ['news', 'essay', 'bare']);
+    assert.deepEqual(matching({ year: { $gte: 0 } }), ['news', 'draft', 'essay']);
+    assert.deepEqual(matching({ 'author.name.first': 'kim' }), []);
+});
+
+test('$in and $nin, with array fields matching on any element', () => {
+    assert.deepEqual(matching({ lang: { $in: ['en', 'fr'] } }), ['news', 'essay']);
+    assert.deepEqual(matching({ lang: { $nin: ['en', 'fr'] } }), ['draft', 'bare']);
+    assert.deepEqual(matching({ tags: { $in: ['world'] } }), ['news']);
+    assert.deepEqual(matching({ tags: { $nin: ['world'] } }), ['draft', 'essay', 'bare']);
+    assert.deepEqual(matching({ lang: { $in: [] } }), []);
+});
+
+test('ranges compare only values of the operand type', () => {
+    assert.deepEqual(matching({ year: { $gte: 2020, $lt: 2024 } }), ['news']);
+    assert.deepEqual(matching({ year: { $gt: 2021 } }), ['draft']);
+    assert.deepEqual(matching({ year: { $lte: 2021 } }), ['news', 'essay']);
+    assert.deepEqual(matching({ year: { $gt: '2000' } }), []);
+    assert.deepEqual(matching({ lang: { $lt: 'en' } }), ['draft']);
+});
+
+test('nested $and, $or and $not', () => {
+    assert.deepEqual(matching({ $or: [{ lang: 'fr' }, { $and: [{ genre: 'news' }, { year: { $lt: 2022 } }] }] }), ['news', 'essay']);
+    assert.deepEqual(matching({ $and: [{ $or: [{ lang: 'en' }, { lang: 'de' }] }, { $not: { status: 'draft' } }] }), ['news']);
+    assert.deepEqual(matching({ $not: { genre: 'news' } }), ['essay', 'bare']);
+    assert.deepEqual(matching({ genre: 'news', $or: [{ year: 2024 }, { year: 2019 }] }), ['draft']);
+});
+
+test('rejects malformed filters', () => {
+    const bad = [
+        'news',
+        [{ genre: 'news' }],
+        { $and: [] },
+        { $or: {} },
+        { $nor: [] },
+        { year: { $between: [1, 2] } },
+        { lang: { $in: 'en' } },
+        { lang: { $in: [['en']] } },
+        { year: { $gt: null } },
+        { genre: { $eq: { nested: true } } }
+    ];
+    for (const filter of bad) {
+        assert.throws(() => compileFilter(filter), invalidFilter, JSON.stringify(filter));
+    }
+
+    let deep = { genre: 'news' };
+    for (let i = 0; i < 20; i++) {
+        deep = { $not: deep };
+    }
+    assert.throws(() => compileFilter(deep), invalidFilter);
+});
@@ -0,0 +1,54 @@
+/**
+ * Regenerates the zstd fixtures with the reference zstd CLI (v1.5):
+ *   node test/fixtures/zstd/generate.js
+ * Each fixture compresses gridVectorBytes(count, dim, seed); fixtures.json
+ * records those parameters and the SHA-256 of the uncompressed bytes.
+ */
+
+import { execFileSync } from 'node:child_process';
+import { createHash } from 'node:crypto';
+import { mkdtempSync, rmSync, writeFileSync } from 'node:fs';
+import { tmpdir } from 'node:os';
+import { dirname, join } from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { gridVectorBytes } from '../../helpers/vectors.js';
+
+const DIR = dirname(fileURLToPath(import.meta.url));
+
+const FIXTURES = [
+    { file: 'level1.zst', count: 32, dim: 384, seed: 1, args: ['-1'] },
+    { file: 'level3.zst', count: 32, dim: 384, seed: 3, args: ['-3'] },
+    { file: 'level19.zst', count: 32, dim: 384, seed: 19, args: ['-19'] },
+    { file: 'no-checksum.zst', count: 32, dim: 384, seed: 4, args: ['-3', '--no-check'] },
+    // 384 KB: several 128 KB blocks
+    { file: 'multi-block.zst', count: 256, dim: 384, seed: 5, args: ['-3'] },
+    // Compressed from a pipe, so the frame header has no content size
+    { file: 'streamed.zst', count: 32, dim: 384, seed: 6, args: ['-3'], stream: true }
+];
+
+const scratch = mkdtempSync(join(tmpdir(), 'zstd-fixtures-'));
+
+const manifest = FIXTURES.map(({ file, count, dim, seed, args, stream }) => {
+    const raw = gridVectorBytes(count, dim, seed);
+    const rawPath = join(scratch, 'input');
+    writeFileSync(rawPath, raw);
+
+    // From a file, zstd writes the content size into the frame header; from stdin it can't
+    const compressed = stream
+        ? execFileSync('zstd', ['-q', '-c', ...args], { input: raw })
+        : execFileSync('zstd', ['-q', '-c', ...args, rawPath]);
+
+    writeFileSync(join(DIR, file), compressed);
+    return {
+        file,
+        count,
+        dim,
+        seed,
+        zstd_args: args,
+        sha256: createHash('sha256').update(raw).digest('hex')
+    };
+});
+
+rmSync(scratch, { recursive: true });
+writeFileSync(join(DIR, 'fixtures.json'), JSON.stringify(manifest, null, 2) + '\n');
+console.log(`Wrote ${manifest.length} fixtures to ${DIR}`);
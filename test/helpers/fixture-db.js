@@ -0,0 +1,73 @@
+/**
+ * Fixture IndexedDB databases as earlier versions of the extension left them
+ * Needs an IndexedDB implementation on the global scope (fake-indexeddb in tests).
+ */
+
+// Object stores each past version created (keyPaths as they were)
+const STORES_BY_VERSION = {
+    1: { collections: { keyPath: 'id' }, metadata: { keyPath: 'key' } },
+    2: {
+        collections: { keyPath: 'id' },
+        metadata: { keyPath: 'key' },
+        segments: { keyPath: ['collectionKey', 'index'] }
+    }
+};
+
+/**
+ * Binary fields are written in fixtures as {"$float32": [...]}
+ */
+function decodeValue(value) {
+    if (Array.isArray(value)) {
+        return value.map(decodeValue);
+    }
+    if (value && typeof value === 'object') {
+        if (value.$float32) {
+            return Float32Array.from(value.$float32).buffer;
+        }
+        return Object.fromEntries(Object.entries(value).map(([key, field]) => [key, decodeValue(field)]));
+    }
+    return value;
+}
+
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+/**
+ * Create a database at the fixture's version holding its records
+ * @param {string} name - Database name
+ * @param {{version: number, stores: Object<string, Array<Object>>}} fixture
+ */
+export async function createFixtureDb(name, fixture) {
+    const request = indexedDB.open(name, fixture.version);
+    request.onupgradeneeded = () => {
+        for (const [store, options] of Object.entries(STORES_BY_VERSION[fixture.version])) {
+            request.result.createObjectStore(store, options);
+        }
+    };
+    const db = await promisify(request);
+
+    const storeNames = Object.keys(fixture.stores);
+    const transaction = db.transaction(storeNames, 'readwrite');
+    for (const store of storeNames) {
+        for (const record of fixture.stores[store]) {
+            transaction.objectStore(store).put(decodeValue(record));
+        }
+    }
+    await new Promise((resolve, reject) => {
+        transaction.oncomplete = resolve;
+        transaction.onerror = () => reject(transaction.error);
+    });
+
+    db.close();
+}
+
+/**
+ * Every record in a store of an open database
+ */
+export function readStore(db, store) {
+    return promisify(db.transaction(store, 'readonly').objectStore(store).getAll());
+}
@@ -0,0 +1,39 @@
+/**
+ * Deterministic test data, so fixtures and recall thresholds are reproducible
+ */
+
+/**
+ * Park-Miller generator in (0, 1)
+ * @param {number} seed - Positive integer
+ * @returns {Function} () -> number
+ */
+export function seededRandom(seed) {
+    let state = seed % 2147483647;
+    if (state <= 0) state += 2147483646;
+    return () => {
+        state = (state * 16807) % 2147483647;
+        return state / 2147483647;
+    };
+}
+
+/**
+ * Random vectors with components in [-1, 1)
+ * @returns {Array<Float32Array>}
+ */
+export function randomVectors(count, dim, seed) {
+    const random = seededRandom(seed);
+    return Array.from({ length: count }, () =>
+        Float32Array.from({ length: dim }, () => random() * 2 - 1)
+    );
+}
+
+/**
+ * Vectors with components on a 1/4 grid, concatenated as float32 bytes
+ * The repeated byte patterns compress well, so zstd fixtures stay small
+ * @returns {Uint8Array}
+ */
+export function gridVectorBytes(count, dim, seed) {
+    const random = seededRandom(seed);
+    const values = Float32Array.from({ length: count * dim }, () => Math.round(random() * 8 - 4) / 4);
+    return new Uint8Array(values.buffer);
+}
@@ -0,0 +1,76 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorEngine } from '../engine.js';
+import { randomVectors, seededRandom } from './helpers/vectors.js';
+
+const COUNT = 2000;
+const DIM = 48;
+const K = 10;
+const INDEX = { m: 12, efConstruction: 100, efSearch: 48 };
+// Measured recall@10 is 0.97-1.0 for this data; a regression in linking or search drops well below
+const MIN_RECALL = 0.95;
+
+/**
+ * Mean recall@k of the HNSW search against the exact (brute-force) search
+ * @returns {Promise<{recall: number, returned: Set<string>}>}
+ */
+async function measureRecall(engine, queries) {
+    let hits = 0;
+    let wanted = 0;
+    const returned = new Set();
+
+    for (const query of queries) {
+        const approximate = await engine.search('docs', query, K);
+        const exact = await engine.search('docs', query, K, null, { exact: true });
+        const exactIds = new Set(exact.map(({ docId }) => docId));
+
+        approximate.forEach(({ docId }) => returned.add(docId));
+        hits += approximate.filter(({ docId }) => exactIds.has(docId)).length;
+        wanted += exact.length;
+    }
+
+    return { recall: hits / wanted, returned };
+}
+
+for (const metric of ['cosine', 'l2']) {
+    test(`HNSW recall@${K} against brute force (${metric}), after tombstones and after a rebuild`, async () => {
+        // Layer assignment draws from Math.random: seed it so the graph is the same every run
+        mock.method(Math, 'random', seededRandom(42));
+        mock.method(console, 'log', () => {});
+
+        try {
+            const vectors = randomVectors(COUNT, DIM, 1);
+            const queries = randomVectors(50, DIM, 2);
+            const docIds = vectors.map((_, i) => `doc-${i}`);
+
+            // No init(): the engine runs in memory without IndexedDB
+            const engine = new VectorEngine(1);
+            await engine.addVectors('docs', vectors, docIds, null, { metric, index: INDEX });
+            const { index } = engine.collections.get('docs');
+
+            const fresh = await measureRecall(engine, queries);
+            assert.ok(fresh.recall >= MIN_RECALL, `recall ${fresh.recall} < ${MIN_RECALL}`);
+
+            // A third deleted: tombstoned, below the rebuild threshold
+            const firstDeleted = docIds.filter((_, i) => i % 3 === 0);
+            await engine.deleteVectors('docs', firstDeleted);
+            assert.equal(index.deleted.size, firstDeleted.length);
+            assert.equal(engine.collections.get('docs').index, index);
+
+            const tombstoned = await measureRecall(engine, queries);
+            assert.ok(tombstoned.recall >= MIN_RECALL, `recall ${tombstoned.recall} < ${MIN_RECALL} with tombstones`);
+            assert.ok(firstDeleted.every(docId => !tombstoned.returned.has(docId)), 'a deleted doc was returned');
+
+            // Past half the graph: needsRebuild() triggers a rebuild without tombstones
+            await engine.deleteVectors('docs', docIds.filter((_, i) => i % 3 === 1));
+            const rebuilt = engine.collections.get('docs').index;
+            assert.equal(rebuilt.deleted.size, 0);
+            assert.equal(rebuilt.nodeCount, docIds.filter((_, i) => i % 3 === 2).length);
+
+            const afterRebuild = await measureRecall(engine, queries);
+            assert.ok(afterRebuild.recall >= MIN_RECALL, `recall ${afterRebuild.recall} < ${MIN_RECALL} after rebuild`);
+        } finally {
+            mock.restoreAll();
+        }
+    });
+}
@@ -0,0 +1,104 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { MerkleTree, leafHash, nodeHash, toHex } from '../merkle.js';
+import { randomVectors } from './helpers/vectors.js';
+
+function fromHex(hex) {
+    return Uint8Array.from(hex.match(/../g), byte => parseInt(byte, 16));
+}
+
+/**
+ * A tree over slots of an in-memory store; deleted slots keep their number
+ */
+function treeOver(docs) {
+    const slots = docs.map(doc => ({ ...doc }));
+    const tree = new MerkleTree({
+        getSlots: () => slots.flatMap((doc, slot) => (doc.docId === null ? [] : [slot])),
+        getDocId: slot => slots[slot]?.docId ?? null,
+        getVector: slot => slots[slot].vector
+    });
+    return { tree, slots };
+}
+
+function docs(count, seed = 1) {
+    // Slot order is the reverse of doc_id order, so positions differ from slots
+    return randomVectors(count, 4, seed).map((vector, i) => ({ docId: `doc-${String(count - i).padStart(4, '0')}`, vector }));
+}
+
+/**
+ * Walk a proof from the leaf to the root, as the coordinator does
+ */
+function verify(root, docId, vector, proof) {
+    let hash = leafHash(docId, vector);
+    for (const { side, hash: sibling } of proof) {
+        hash = side === 'left' ? nodeHash(fromHex(sibling), hash) : nodeHash(hash, fromHex(sibling));
+    }
+    return toHex(hash) === root;
+}
+
+function verifiesEverySlot(tree, slots) {
+    return slots.every(({ docId, vector }, slot) => docId === null || verify(tree.root, docId, vector, tree.prove(slot)));
+}
+
+test('every proof verifies against the root, whatever the leaf count', async () => {
+    for (const count of [1, 2, 3, 7, 8, 33]) {
+        const { tree, slots } = treeOver(docs(count));
+        await tree.refresh();
+        assert.equal(tree.leafCount, count);
+        assert.ok(verifiesEverySlot(tree, slots), `${count} leaves`);
+    }
+});
+
+test('a proof fails for a different vector or doc_id', async () => {
+    const { tree, slots } = treeOver(docs(5));
+    await tree.refresh();
+    const proof = tree.prove(2);
+
+    const tampered = slots[2].vector.slice();
+    tampered[0] += 1;
+    assert.equal(verify(tree.root, slots[2].docId, tampered, proof), false);
+    assert.equal(verify(tree.root, slots[3].docId, slots[2].vector, proof), false);
+});
+
+test('the root depends on doc_ids and vectors, not on slot layout', async () => {
+    const entries = docs(9);
+    const a = treeOver(entries);
+    const b = treeOver([...entries].reverse());
+    await a.tree.refresh();
+    await b.tree.refresh();
+    assert.equal(a.tree.root, b.tree.root);
+});
+
+test('a rolling refresh matches a tree built from scratch', async () => {
+    const { tree, slots } = treeOver(docs(20));
+    await tree.refresh();
+
+    // Overwrite a vector in place
+    slots[4].vector = randomVectors(1, 4, 99)[0];
+    tree.invalidate(4);
+    await tree.refresh();
+
+    let fresh = treeOver(slots);
+    await fresh.tree.refresh();
+    assert.equal(tree.root, fresh.tree.root);
+    assert.ok(verifiesEverySlot(tree, slots));
+
+    // Delete one doc and add another
+    slots[7].docId = null;
+    tree.invalidate(7, true);
+    slots.push({ docId: 'doc-new', vector: randomVectors(1, 4, 100)[0] });
+    tree.invalidate(slots.length - 1, true);
+    await tree.refresh();
+
+    fresh = treeOver(slots);
+    await fresh.tree.refresh();
+    assert.equal(tree.leafCount, 20);
+    assert.equal(tree.root, fresh.tree.root);
+    assert.ok(verifiesEverySlot(tree, slots));
+});
+
+test('an empty tree has the hash of nothing as its root', async () => {
+    const { tree } = treeOver([]);
+    await tree.refresh();
+    assert.equal(tree.root, 'e3b0c44298fc1c149afbf4c8996fb92427ae41e4649b934ca495991b7852b855');
+});
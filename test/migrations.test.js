@@ -0,0 +1,236 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import 'fake-indexeddb/auto';
+import { IDBFactory } from 'fake-indexeddb';
+import { VectorEngine } from '../engine.js';
+import { runMigrations, SCHEMA_KEY, SCHEMA_VERSION } from '../migrations.js';
+import { createFixtureDb, readStore } from './helpers/fixture-db.js';
+
+const DB_NAME = 'dvm-vectors';
+const EMBEDDING_DIM = 8;
+
+function loadFixture(name) {
+    return JSON.parse(readFileSync(new URL(`./fixtures/migrations/${name}`, import.meta.url)));
+}
+
+function assertClose(actual, expected, message) {
+    assert.equal(actual.length, expected.length, message);
+    expected.forEach((value, i) => {
+        assert.ok(Math.abs(actual[i] - value) < 1e-6, `${message}: [${Array.from(actual)}] != [${expected}]`);
+    });
+}
+
+/**
+ * Open the database through the engine, which runs the migrations
+ */
+async function openEngine() {
+    const engine = new VectorEngine(1);
+    engine.embeddingDim = EMBEDDING_DIM;
+    await engine.init();
+    return engine;
+}
+
+/**
+ * Only run the migrations, as the engine's onupgradeneeded does, without loading
+ * (loading rewrites un-normalised segments, which would hide what the upgrade wrote)
+ * @returns {Promise<IDBDatabase>}
+ */
+function migrate() {
+    return new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+        request.onupgradeneeded = event => {
+            runMigrations(request.result, request.transaction, event.oldVersion, { embeddingDim: EMBEDDING_DIM });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+async function readAll(db) {
+    const byId = records => new Map(records.map(record => [record.id ?? record.key, record]));
+    const segments = await readStore(db, 'segments');
+    return {
+        manifests: byId(await readStore(db, 'collections')),
+        metadata: byId(await readStore(db, 'metadata')),
+        segmentsOf: key => segments.filter(segment => segment.collectionKey === key)
+    };
+}
+
+/**
+ * Check a collection converted from a whole record by the v3 step
+ */
+function assertConverted(manifest, segments, { dim, docIds, metadata, unitVectors, norms }) {
+    assert.equal(manifest.dim, dim);
+    assert.equal(manifest.metric, 'cosine');
+    assert.equal(manifest.highWater, docIds.length);
+    assert.equal(manifest.segmentSize, 1024);
+    assert.equal(manifest.segmentCount, docIds.length > 0 ? 1 : 0);
+    assert.equal(manifest.normalized, true);
+    assert.deepEqual(manifest.storage, { mode: 'float32', encoded: 'float32' });
+    assert.equal(manifest.index, null);
+    assert.equal(manifest.slab, undefined);
+    assert.equal(manifest.vectors, undefined);
+
+    assert.equal(segments.length, manifest.segmentCount);
+    if (segments.length === 0) return;
+
+    const [segment] = segments;
+    assert.equal(segment.index, 0);
+    assert.deepEqual(segment.docIds, docIds);
+    assert.deepEqual(segment.metadata, metadata);
+    assertClose(new Float32Array(segment.slab), unitVectors.flat(), `${manifest.id} slab`);
+    assertClose(new Float32Array(segment.norms), norms, `${manifest.id} norms`);
+    assert.equal(segment.links, null);
+}
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    mock.method(console, 'log', () => {});
+    return () => mock.restoreAll();
+});
+
+test('fresh install creates every store and records the schema version', async () => {
+    const engine = await openEngine();
+
+    assert.deepEqual([...engine.db.objectStoreNames].sort(), ['collections', 'metadata', 'segments']);
+    assert.equal(engine.db.version, SCHEMA_VERSION);
+
+    const { metadata } = await readAll(engine.db);
+    assert.equal(metadata.get(SCHEMA_KEY).value.version, SCHEMA_VERSION);
+    assert.equal(metadata.get(SCHEMA_KEY).value.upgradedFrom, 0);
+    engine.db.close();
+});
+
+test('upgrades a v1 database of whole-collection records', async () => {
+    await createFixtureDb(DB_NAME, loadFixture('v1.json'));
+    const db = await migrate();
+    const { manifests, metadata, segmentsOf } = await readAll(db);
+    db.close();
+
+    assert.equal(db.version, SCHEMA_VERSION);
+    assert.deepEqual(metadata.get(SCHEMA_KEY).value.version, SCHEMA_VERSION);
+    assert.equal(metadata.get(SCHEMA_KEY).value.upgradedFrom, 1);
+    assert.deepEqual(metadata.get('node_state').value, { registered: true });
+
+    // Number arrays: the repeated doc_id "a" keeps its first slot, with the later vector and metadata
+    assertConverted(manifests.get('legacy'), segmentsOf('legacy'), {
+        dim: 4,
+        docIds: ['a', 'b', 'c'],
+        metadata: [{ n: 2 }, { n: 1 }, null],
+        unitVectors: [[0.6, 0.8, 0, 0], [0, 0, 1, 0], [0, 0, 0, 1]],
+        norms: [10, 5, 2]
+    });
+
+    // Slab record: the free slot stays free
+    assertConverted(manifests.get('slabbed:s1'), segmentsOf('slabbed:s1'), {
+        dim: 2,
+        docIds: ['x', null, 'z'],
+        metadata: [{ k: 1 }, null, null],
+        unitVectors: [[0.6, 0.8], [0, 0], [0, 1]],
+        norms: [5, 0, 2]
+    });
+    assert.equal(manifests.get('slabbed:s1').collectionId, 'slabbed');
+    assert.equal(manifests.get('slabbed:s1').shardId, 's1');
+
+    // No vectors and no dim: the configured embedding dimension
+    assertConverted(manifests.get('empty'), segmentsOf('empty'), {
+        dim: EMBEDDING_DIM,
+        docIds: [],
+        metadata: [],
+        unitVectors: [],
+        norms: []
+    });
+
+    // The engine serves the original vectors from the converted records
+    const engine = await openEngine();
+    const fetched = engine.fetchVectors('legacy', ['a', 'b', 'c'], { includeMetadata: true });
+    assertClose(fetched[0].vector, [6, 8, 0, 0], 'a');
+    assertClose(fetched[1].vector, [0, 0, 5, 0], 'b');
+    assert.deepEqual(fetched.map(({ metadata: meta }) => meta), [{ n: 2 }, { n: 1 }, null]);
+    assert.equal(engine.collections.get('slabbed:s1').size, 2);
+    assert.deepEqual(engine.collections.get('slabbed:s1').freeSlots, [1]);
+    engine.db.close();
+});
+
+test('upgrades a v2 database, converting leftover whole records and keeping segmented ones', async () => {
+    const fixture = loadFixture('v2.json');
+    await createFixtureDb(DB_NAME, fixture);
+    const db = await migrate();
+    const { manifests, metadata, segmentsOf } = await readAll(db);
+    db.close();
+
+    assert.equal(metadata.get(SCHEMA_KEY).value.upgradedFrom, 2);
+
+    assertConverted(manifests.get('old'), segmentsOf('old'), {
+        dim: 3,
+        docIds: ['u', 'v'],
+        metadata: [null, { tag: 'v' }],
+        unitVectors: [[0, 0, 1], [1, 0, 0]],
+        norms: [7, 1]
+    });
+
+    // Already segmented: the upgrade leaves the records as they were
+    const [manifest] = fixture.stores.collections;
+    assert.deepEqual(manifests.get('segmented'), manifest);
+    const [segment] = segmentsOf('segmented');
+    assert.deepEqual(segment.docIds, ['p', null, 'q']);
+    assert.equal(segment.norms, undefined);
+    assertClose(new Float32Array(segment.slab), [3, 4, 0, 0, 1, 0], 'segmented slab');
+
+    // ...and loading normalises them
+    const engine = await openEngine();
+    const fetched = engine.fetchVectors('segmented', ['p', 'q'], { includeMetadata: true });
+    assertClose(fetched[0].vector, [3, 4], 'p');
+    assertClose(fetched[1].vector, [1, 0], 'q');
+    assert.deepEqual(fetched[1].metadata, { t: 1 });
+    assertClose(engine.fetchVectors('old', ['u'])[0].vector, [0, 0, 7], 'u');
+    engine.db.close();
+});
+
+test('splits a large whole record into 1024-slot segments', async () => {
+    const count = 1500;
+    const fixture = {
+        version: 1,
+        stores: {
+            collections: [{
+                id: 'big',
+                collectionId: 'big',
+                shardId: null,
+                dim: 2,
+                highWater: count,
+                slab: { $float32: Array.from({ length: count * 2 }, (_, i) => (i % 2 === 0 ? i / 2 + 1 : 0)) },
+                docIds: Array.from({ length: count }, (_, i) => `doc-${i}`),
+                freeSlots: [],
+                metadata: []
+            }],
+            metadata: []
+        }
+    };
+    await createFixtureDb(DB_NAME, fixture);
+    const db = await migrate();
+    const { manifests, segmentsOf } = await readAll(db);
+    db.close();
+
+    assert.equal(manifests.get('big').segmentCount, 2);
+    const segments = segmentsOf('big').sort((a, b) => a.index - b.index);
+    assert.deepEqual(segments.map(({ docIds }) => docIds.length), [1024, 476]);
+    assert.equal(segments[1].docIds[0], 'doc-1024');
+    assertClose(new Float32Array(segments[1].norms).subarray(0, 2), [1025, 1026], 'norms');
+    const engine = await openEngine();
+    assertClose(engine.fetchVectors('big', ['doc-1499'])[0].vector, [1500, 0], 'doc-1499');
+    engine.db.close();
+});
+
+test('reopening an upgraded database runs no migrations', async () => {
+    await createFixtureDb(DB_NAME, loadFixture('v1.json'));
+    const first = await openEngine();
+    const { metadata } = await readAll(first.db);
+    first.db.close();
+
+    const second = await openEngine();
+    const reopened = await readAll(second.db);
+    assert.deepEqual(reopened.metadata.get(SCHEMA_KEY), metadata.get(SCHEMA_KEY));
+    assert.equal(second.collections.get('legacy').size, 3);
+    second.db.close();
+});
@@ -0,0 +1,59 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { WebSocketMiner } from '../miner.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    return () => mock.restoreAll();
+});
+
+function disconnectedMiner() {
+    const miner = new WebSocketMiner({
+        node_id: 'node-1',
+        coordinator_url: 'wss://coordinator.example',
+        max_ram_gb: 1
+    }, () => {});
+    const sent = [];
+    miner.send = message => sent.push(message);
+    return { miner, sent };
+}
+
+const ttlEviction = (collectionId, docIds, dropped = false) =>
+    ({ reason: 'ttl', collectionId, shardId: 's1', count: docIds.length, docIds, dropped });
+
+test('evictions while disconnected are merged per collection and reason', () => {
+    const { miner, sent } = disconnectedMiner();
+
+    for (let i = 0; i < 100; i++) {
+        miner.reportEviction(ttlEviction('docs', [`doc-${i}`]));
+    }
+    miner.reportEviction(ttlEviction('docs', ['last'], true));
+    miner.reportEviction(ttlEviction('images', ['img-1', 'img-2']));
+    miner.reportEviction({ reason: 'lru', collectionId: 'docs', shardId: 's1', count: 7, docIds: null, dropped: true });
+    assert.equal(miner.pendingEvictionNotices.size, 3);
+
+    miner.sendPendingEvictionNotices();
+    assert.equal(miner.pendingEvictionNotices.size, 0);
+    assert.deepEqual(sent.map(({ reason, collection_id: id, evicted_count: count, collection_dropped: dropped }) =>
+        ({ reason, id, count, dropped })), [
+        { reason: 'ttl', id: 'docs', count: 101, dropped: true },
+        { reason: 'ttl', id: 'images', count: 2, dropped: false },
+        { reason: 'lru', id: 'docs', count: 7, dropped: true }
+    ]);
+    assert.equal(sent[0].doc_ids.length, 101);
+    assert.deepEqual(sent[0].doc_ids.slice(-2), ['doc-99', 'last']);
+});
+
+test('a merged notice stops listing doc ids past the cap', () => {
+    const { miner, sent } = disconnectedMiner();
+    const batch = start => Array.from({ length: 4000 }, (_, i) => `doc-${start + i}`);
+
+    for (let i = 0; i < 3; i++) {
+        miner.reportEviction(ttlEviction('docs', batch(i * 4000)));
+    }
+    miner.sendPendingEvictionNotices();
+
+    assert.equal(sent.length, 1);
+    assert.equal(sent[0].evicted_count, 12000);
+    assert.equal(sent[0].doc_ids, null);
+});
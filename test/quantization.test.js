@@ -0,0 +1,136 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { PqStorage, createStorage } from '../quantization.js';
+import { randomVectors, seededRandom } from './helpers/vectors.js';
+
+const DIM = 32;
+const COUNT = 1000;
+const SUBVECTORS = 8;
+
+function normalize(vector) {
+    const norm = Math.hypot(...vector);
+    return vector.map(x => x / norm);
+}
+
+const vectors = randomVectors(COUNT, DIM, 5).map(normalize);
+const queries = randomVectors(20, DIM, 6).map(normalize);
+
+const KERNELS = {
+    dot: (a, b) => a.reduce((sum, x, i) => sum + x * b[i], 0),
+    l2: (a, b) => a.reduce((sum, x, i) => sum + (x - b[i]) ** 2, 0)
+};
+
+beforeEach(() => {
+    // k-means seeds its centroids with Math.random
+    mock.method(Math, 'random', seededRandom(42));
+    return () => mock.restoreAll();
+});
+
+function filled(mode, options = {}) {
+    const storage = createStorage(mode, DIM, COUNT, options);
+    vectors.forEach((vector, slot) => storage.write(slot, vector));
+    return storage;
+}
+
+/**
+ * Top 10 slots by a score function
+ */
+function top10(score, kernel) {
+    const slots = Array.from({ length: COUNT }, (_, slot) => slot);
+    const scores = slots.map(score);
+    return slots.sort((a, b) => (kernel === 'dot' ? scores[b] - scores[a] : scores[a] - scores[b])).slice(0, 10);
+}
+
+/**
+ * Mean absolute score error against exact float32, and mean recall of the exact top 10
+ */
+function compareToExact(storage, kernel) {
+    let error = 0;
+    let recall = 0;
+    for (const query of queries) {
+        const score = storage.scorer(query, kernel);
+        const exact = slot => KERNELS[kernel](query, vectors[slot]);
+        for (let slot = 0; slot < COUNT; slot++) {
+            error += Math.abs(score(slot) - exact(slot));
+        }
+        const truth = new Set(top10(exact, kernel));
+        recall += top10(score, kernel).filter(slot => truth.has(slot)).length / 10;
+    }
+    return { error: error / (queries.length * COUNT), recall: recall / queries.length };
+}
+
+test('float32 scores are exact', () => {
+    const storage = filled('float32');
+    for (const kernel of ['dot', 'l2']) {
+        const score = storage.scorer(queries[0], kernel);
+        const batch = storage.batchScorer(queries[0], kernel)(0, 16);
+        for (let slot = 0; slot < 16; slot++) {
+            const exact = KERNELS[kernel](queries[0], vectors[slot]);
+            assert.ok(Math.abs(score(slot) - exact) < 1e-5);
+            assert.ok(Math.abs(batch[slot] - exact) < 1e-5);
+        }
+    }
+});
+
+test('int8 dot scores stay within the quantisation bound', () => {
+    const storage = filled('int8');
+    for (const query of queries) {
+        const score = storage.scorer(query);
+        const queryL1 = query.reduce((sum, x) => sum + Math.abs(x), 0);
+        for (let slot = 0; slot < COUNT; slot++) {
+            // Each component is off by at most half a step
+            const bound = queryL1 * storage.scales[slot] / 2 + 1e-6;
+            assert.ok(Math.abs(score(slot) - KERNELS.dot(query, vectors[slot])) <= bound);
+        }
+    }
+});
+
+test('int8 scores are close to float32 and keep the ranking', () => {
+    const storage = filled('int8');
+    for (const kernel of ['dot', 'l2']) {
+        const { error, recall } = compareToExact(storage, kernel);
+        assert.ok(error < 0.005, `${kernel} mean error ${error}`);
+        assert.ok(recall >= 0.95, `${kernel} recall ${recall}`);
+    }
+});
+
+test('pq scores are close to float32 and mostly keep the ranking', () => {
+    const codebooks = PqStorage.train(vectors, DIM, SUBVECTORS);
+    const storage = filled('pq', { subvectors: SUBVECTORS, codebooks });
+
+    const dot = compareToExact(storage, 'dot');
+    assert.ok(dot.error < 0.05, `dot mean error ${dot.error}`);
+    assert.ok(dot.recall >= 0.6, `dot recall ${dot.recall}`);
+
+    const l2 = compareToExact(storage, 'l2');
+    assert.ok(l2.error < 0.15, `l2 mean error ${l2.error}`);
+    assert.ok(l2.recall >= 0.6, `l2 recall ${l2.recall}`);
+});
+
+test('pq table lookups equal the kernel against the decoded vector', () => {
+    const codebooks = PqStorage.train(vectors, DIM, SUBVECTORS);
+    const storage = filled('pq', { subvectors: SUBVECTORS, codebooks });
+    for (const kernel of ['dot', 'l2']) {
+        const score = storage.scorer(queries[0], kernel);
+        const batch = storage.batchScorer(queries[0], kernel)(0, 16);
+        for (let slot = 0; slot < 16; slot++) {
+            const decoded = KERNELS[kernel](queries[0], storage.read(slot));
+            assert.ok(Math.abs(score(slot) - decoded) < 1e-5);
+            assert.equal(batch[slot], Math.fround(score(slot)));
+        }
+    }
+});
+
+test('encoded ranges survive export, import and resize', () => {
+    const codebooks = PqStorage.train(vectors, DIM, SUBVECTORS);
+    for (const [mode, options] of [['float32', {}], ['int8', {}], ['pq', { subvectors: SUBVECTORS, codebooks }]]) {
+        const source = filled(mode, options);
+        const target = createStorage(mode, DIM, 4, options);
+        target.resize(20, 0);
+        target.importRange(10, source.exportRange(100, 110));
+        target.resize(30, 20);
+        for (let i = 0; i < 10; i++) {
+            assert.deepEqual(target.read(10 + i), source.read(100 + i), mode);
+        }
+    }
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { RequestCache } from '../request-cache.js';
+import { WebSocketMiner } from '../miner.js';
+
+let now;
+
+beforeEach(() => {
+    now = 1_000_000;
+    mock.method(Date, 'now', () => now);
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'error', () => {});
+    return () => mock.restoreAll();
+});
+
+/**
+ * Stand-in for the engine's metadata store
+ */
+function metaStore() {
+    const meta = new Map();
+    return {
+        meta,
+        getMeta: async key => meta.get(key),
+        setMeta: async (key, value) => { meta.set(key, structuredClone(value)); }
+    };
+}
+
+const response = id => ({ type: 'store_response', request_id: id, status: 'ok' });
+
+test('replays a remembered response until its ttl runs out', async () => {
+    const cache = new RequestCache(metaStore(), { ttlMs: 1000 });
+    await cache.remember('r1', response('r1'));
+
+    assert.equal(cache.get('r2'), null);
+    assert.equal(cache.get(undefined), null);
+    now += 999;
+    assert.deepEqual(cache.get('r1'), response('r1'));
+    now += 1;
+    assert.equal(cache.get('r1'), null);
+    assert.deepEqual(cache.getStats(), { entries: 0, replayed: 1 });
+});
+
+test('remembering again restarts the ttl', async () => {
+    const cache = new RequestCache(metaStore(), { ttlMs: 1000 });
+    await cache.remember('r1', response('r1'));
+    now += 800;
+    await cache.remember('r1', { ...response('r1'), updated_count: 3 });
+    now += 800;
+    assert.equal(cache.get('r1').updated_count, 3);
+});
+
+test('keeps at most maxEntries, dropping the oldest first', async () => {
+    const cache = new RequestCache(metaStore(), { maxEntries: 2 });
+    await cache.remember('r1', response('r1'));
+    await cache.remember('r2', response('r2'));
+    await cache.remember('r1', response('r1'));
+    await cache.remember('r3', response('r3'));
+    assert.equal(cache.get('r2'), null);
+    assert.ok(cache.get('r1'));
+    assert.ok(cache.get('r3'));
+});
+
+test('persists entries and reloads only the unexpired ones', async () => {
+    const store = metaStore();
+    const cache = new RequestCache(store, { ttlMs: 1000 });
+    await cache.remember('old', response('old'));
+    now += 600;
+    await cache.remember('new', response('new'));
+
+    now += 500;
+    const reloaded = new RequestCache(store, { ttlMs: 1000 });
+    await reloaded.load();
+    assert.deepEqual(reloaded.getStats(), { entries: 1, replayed: 0 });
+    assert.deepEqual(reloaded.get('new'), response('new'));
+});
+
+test('a store failure does not lose the in-memory entry', async () => {
+    const store = metaStore();
+    store.setMeta = async () => { throw new Error('quota'); };
+    const cache = new RequestCache(store);
+    await cache.remember('r1', response('r1'));
+    assert.deepEqual(cache.get('r1'), response('r1'));
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('the miner replays a retried store instead of applying it twice', async () => {
+    const miner = new WebSocketMiner({
+        node_id: 'node-1',
+        coordinator_url: 'wss://coordinator.example',
+        max_ram_gb: 1
+    }, () => {});
+    const sent = [];
+    miner.send = message => sent.push(message);
+    miner.requestCache = new RequestCache(metaStore());
+    const addVectors = mock.fn(async () => ({ inserted: 1, updated: 0 }));
+    miner.engine.addVectors = addVectors;
+
+    const request = {
+        type: 'store_request',
+        request_id: 'r1',
+        collection_id: 'docs',
+        doc_ids: ['a'],
+        shape: [1, 2],
+        vectors_b64: Buffer.from(new Float32Array([1, 2]).buffer).toString('base64')
+    };
+    await miner.handleStore(request);
+    await miner.handleStore(request);
+
+    assert.equal(addVectors.mock.callCount(), 1);
+    assert.equal(sent.length, 2);
+    assert.equal(sent[0].status, 'ok');
+    assert.deepEqual(sent[1], sent[0]);
+    assert.equal(miner.requestCache.getStats().replayed, 1);
+
+    // Past the ttl a retry is a new request again
+    now += 60 * 60 * 1000;
+    await miner.handleStore(request);
+    assert.equal(addVectors.mock.callCount(), 2);
+});
@@ -0,0 +1,153 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setImmediate as tick } from 'node:timers/promises';
+import { DEFAULT_POLICY, RequestScheduler } from '../scheduler.js';
+import { WebSocketMiner } from '../miner.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    mock.method(console, 'warn', () => {});
+    mock.method(console, 'error', () => {});
+    return () => mock.restoreAll();
+});
+
+/**
+ * A task that runs until released
+ */
+function gate() {
+    let release;
+    const done = new Promise(resolve => { release = resolve; });
+    return { run: () => done, release };
+}
+
+// One shared group, so only priority decides what runs next
+const POLICY = {
+    urgent: { priority: 0, group: 'shared' },
+    normal: { priority: 1, group: 'shared' },
+    bulk: { priority: 2, group: 'shared' }
+};
+
+test('the default policy runs challenges, then reads, then writes', () => {
+    const { challenge_request: challenge, search_request: search, store_request: store } = DEFAULT_POLICY;
+    assert.ok(challenge.priority < search.priority && search.priority < store.priority);
+    assert.equal(DEFAULT_POLICY.fetch_request.priority, search.priority);
+    assert.equal(DEFAULT_POLICY.delete_request.priority, store.priority);
+});
+
+test('queued tasks start by priority, then in arrival order', async () => {
+    const scheduler = new RequestScheduler({ policy: POLICY, limits: { shared: 1 } });
+    const blocker = gate();
+    const started = [];
+    const task = name => () => { started.push(name); };
+
+    scheduler.submit('bulk', blocker.run, () => {});
+    scheduler.submit('bulk', task('bulk-1'), () => {});
+    scheduler.submit('normal', task('normal-1'), () => {});
+    scheduler.submit('bulk', task('bulk-2'), () => {});
+    scheduler.submit('urgent', task('urgent'), () => {});
+    scheduler.submit('normal', task('normal-2'), () => {});
+    assert.equal(scheduler.getStats().depth, 5);
+
+    blocker.release();
+    for (let i = 0; i < 10; i++) await tick();
+    assert.deepEqual(started, ['urgent', 'normal-1', 'normal-2', 'bulk-1', 'bulk-2']);
+    assert.ok(scheduler.isIdle());
+});
+
+test('each group runs up to its own limit', async () => {
+    const scheduler = new RequestScheduler({ limits: { read: 2, write: 1 } });
+    const gates = Array.from({ length: 5 }, gate);
+    ['search_request', 'search_request', 'fetch_request', 'store_request', 'store_request']
+        .forEach((type, i) => scheduler.submit(type, gates[i].run, () => {}));
+    await tick();
+
+    assert.deepEqual(scheduler.getStats().in_flight, { read: 2, write: 1 });
+    assert.equal(scheduler.getStats().depth, 2);
+
+    gates[0].release();
+    await tick();
+    await tick();
+    assert.deepEqual(scheduler.getStats().in_flight, { read: 2, write: 1 });
+    assert.equal(scheduler.getStats().depth, 1);
+});
+
+test('a full queue rejects equal or lower priority work and drops the newest worst task for better work', async () => {
+    const scheduler = new RequestScheduler({ policy: POLICY, limits: { shared: 1 }, maxQueueSize: 2 });
+    const rejected = [];
+    const reject = name => () => rejected.push(name);
+    const blocker = gate();
+
+    scheduler.submit('normal', blocker.run, reject('running'));
+    assert.equal(scheduler.submit('bulk', () => {}, reject('bulk-1')), true);
+    assert.equal(scheduler.submit('bulk', () => {}, reject('bulk-2')), true);
+
+    assert.equal(scheduler.submit('bulk', () => {}, reject('bulk-3')), false);
+    assert.equal(scheduler.submit('normal', () => {}, reject('normal')), true);
+    assert.equal(scheduler.submit('urgent', () => {}, reject('urgent')), true);
+    assert.equal(scheduler.submit('urgent', () => {}, reject('urgent-2')), true);
+    assert.equal(scheduler.submit('urgent', () => {}, reject('urgent-3')), false);
+
+    assert.deepEqual(rejected, ['bulk-3', 'bulk-2', 'bulk-1', 'normal', 'urgent-3']);
+    assert.equal(scheduler.getStats().rejected, 5);
+    assert.equal(scheduler.getStats().depth, 2);
+    blocker.release();
+});
+
+test('a failing task does not stall the queue', async () => {
+    const scheduler = new RequestScheduler({ policy: POLICY, limits: { shared: 1 } });
+    let ran = false;
+    scheduler.submit('normal', async () => { throw new Error('boom'); }, () => {});
+    scheduler.submit('normal', () => { ran = true; }, () => {});
+
+    for (let i = 0; i < 5; i++) await tick();
+    assert.ok(ran);
+    assert.equal(scheduler.getStats().completed, 2);
+    assert.equal(console.error.mock.callCount(), 1);
+});
+
+test('the miner answers "busy" for requests the full queue rejects', async () => {
+    const miner = new WebSocketMiner({
+        node_id: 'node-1',
+        coordinator_url: 'wss://coordinator.example',
+        max_ram_gb: 1,
+        max_queue_size: 1
+    }, () => {});
+    const sent = [];
+    miner.send = message => sent.push(message);
+    const write = gate();
+    miner.handleStore = write.run;
+    miner.handleChallenge = () => {};
+
+    const store = id => ({ type: 'store_request', request_id: id, collection_id: 'docs' });
+    await miner.handleMessage(store('r1')); // runs
+    await miner.handleMessage(store('r2')); // queued
+    await miner.handleMessage(store('r3')); // queue full
+    assert.deepEqual(sent, [{
+        type: 'store_response',
+        request_id: 'r3',
+        node_id: 'node-1',
+        status: 'busy',
+        error_code: 'busy',
+        error_message: 'Miner request queue is full',
+        queue_depth: 1
+    }]);
+
+    // A challenge outranks the queued store, which is dropped to make room
+    await miner.handleMessage({ type: 'challenge_request', challenge_id: 'c1' });
+    assert.equal(sent.length, 2);
+    assert.equal(sent[1].request_id, 'r2');
+    assert.equal(sent[1].status, 'busy');
+
+    // Once the queue is full of challenges, another one is answered busy too
+    miner.scheduler.limits.challenge = 0;
+    await miner.handleMessage({ type: 'challenge_request', challenge_id: 'c2' });
+    await miner.handleMessage({ type: 'challenge_request', challenge_id: 'c3' });
+    assert.deepEqual(sent[2], {
+        type: 'challenge_response',
+        challenge_id: 'c3',
+        chunks: [],
+        response_time_ms: 0,
+        status: 'busy'
+    });
+    write.release();
+});
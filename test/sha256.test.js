@@ -0,0 +1,38 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { Sha256, sha256 } from '../sha256.js';
+import { seededRandom } from './helpers/vectors.js';
+
+function randomBytes(length, seed) {
+    const random = seededRandom(seed);
+    return Uint8Array.from({ length }, () => Math.floor(random() * 256));
+}
+
+function expected(bytes) {
+    return new Uint8Array(createHash('sha256').update(bytes).digest());
+}
+
+test('matches node:crypto around every padding boundary', () => {
+    for (const length of [0, 1, 3, 55, 56, 57, 63, 64, 65, 119, 120, 127, 128, 129, 1000, 4096]) {
+        const bytes = randomBytes(length, length + 1);
+        assert.deepEqual(sha256(bytes), expected(bytes), `${length} bytes`);
+    }
+});
+
+test('hashes a subarray without reading past its view', () => {
+    const buffer = randomBytes(300, 7);
+    const view = buffer.subarray(13, 213);
+    assert.deepEqual(sha256(view), expected(view));
+});
+
+test('incremental updates of any split give the one-shot digest', () => {
+    const bytes = randomBytes(1500, 3);
+    for (const step of [1, 7, 63, 64, 65, 500]) {
+        const hash = new Sha256();
+        for (let offset = 0; offset < bytes.length; offset += step) {
+            hash.update(bytes.subarray(offset, offset + step));
+        }
+        assert.deepEqual(hash.digest(), expected(bytes), `step ${step}`);
+    }
+});
@@ -0,0 +1,163 @@
+import { test, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import wabtInit from 'wabt';
+import { BATCH_SIZE, JsSlab, SIMD_AVAILABLE, WasmSlab, createSlab } from '../simd.js';
+import { Float32Storage } from '../quantization.js';
+import { cosine, normalized } from '../vector-math.js';
+import { randomVectors } from './helpers/vectors.js';
+
+// Not multiples of 4 included: the SIMD kernels finish those with a scalar tail
+const DIMS = [1, 3, 4, 5, 17, 384];
+// Above BATCH_SIZE, so scoring needs more than one batch
+const COUNT = BATCH_SIZE + 37;
+
+/**
+ * JS and WebAssembly slabs holding the same vectors
+ */
+function slabPair(vectors, dim) {
+    const js = new JsSlab(dim, vectors.length);
+    const wasm = new WasmSlab(dim, vectors.length);
+    vectors.forEach((vector, slot) => {
+        js.data.set(vector, slot * dim);
+        wasm.data.set(vector, slot * dim);
+    });
+    return { js, wasm };
+}
+
+/**
+ * Score every slot, batch by batch, copying out of the reused scores buffer
+ */
+function scoreAll(slab, query, kernel) {
+    const scores = new Float32Array(slab.capacity);
+    for (let start = 0; start < slab.capacity; start += BATCH_SIZE) {
+        const count = Math.min(BATCH_SIZE, slab.capacity - start);
+        scores.set(slab.batchScores(query, start, count, kernel).subarray(0, count), start);
+    }
+    return scores;
+}
+
+/**
+ * The kernels sum in a different order than JS: compare with a tolerance scaled to the dimension
+ */
+function assertScoresClose(actual, expected, dim, message) {
+    const tolerance = 1e-5 * Math.max(1, dim);
+    for (let i = 0; i < expected.length; i++) {
+        assert.ok(Math.abs(actual[i] - expected[i]) <= tolerance, `${message} slot ${i}: ${actual[i]} != ${expected[i]}`);
+    }
+}
+
+test('WebAssembly SIMD is available in the test runtime', () => {
+    assert.equal(SIMD_AVAILABLE, true);
+});
+
+for (const dim of DIMS) {
+    test(`WasmSlab scores match JsSlab at dim ${dim} (dot, cosine, l2)`, () => {
+        const vectors = randomVectors(COUNT, dim, dim);
+        const [query] = randomVectors(1, dim, dim + 1000);
+
+        for (const kernel of ['dot', 'l2']) {
+            const { js, wasm } = slabPair(vectors, dim);
+            assertScoresClose(scoreAll(wasm, query, kernel), scoreAll(js, query, kernel), dim, kernel);
+        }
+
+        // Cosine collections store unit vectors and score with the dot kernel
+        const unitVectors = vectors.map(normalized);
+        const unitQuery = normalized(query);
+        const { js, wasm } = slabPair(unitVectors, dim);
+        const expected = Float32Array.from(vectors, vector => cosine(query, vector));
+        assertScoresClose(scoreAll(wasm, unitQuery, 'dot'), expected, dim, 'cosine (wasm)');
+        assertScoresClose(scoreAll(js, unitQuery, 'dot'), expected, dim, 'cosine (js)');
+
+        // The standalone cosine export normalises itself
+        vectors.slice(0, 50).forEach((vector, slot) => wasm.data.set(vector, slot * dim));
+        wasm.query.set(query);
+        for (let slot = 0; slot < 50; slot++) {
+            const score = wasm.kernels.cosine(wasm.queryPtr, wasm.slabPtr + slot * dim * 4, dim);
+            assertScoresClose([score], [cosine(query, vectors[slot])], dim, `cosine export slot ${slot}`);
+        }
+    });
+}
+
+test('WasmSlab keeps its vectors and scores when it grows', () => {
+    const dim = 17;
+    const vectors = randomVectors(300, dim, 7);
+    const [query] = randomVectors(1, dim, 8);
+    const { js, wasm } = slabPair(vectors.slice(0, 100), dim);
+
+    js.resize(300, 100);
+    wasm.resize(300);
+    vectors.slice(100).forEach((vector, i) => {
+        js.data.set(vector, (100 + i) * dim);
+        wasm.data.set(vector, (100 + i) * dim);
+    });
+    assertScoresClose(scoreAll(wasm, query, 'l2'), scoreAll(js, query, 'l2'), dim, 'l2 after resize');
+});
+
+test('float32 storage moves to a JS slab when WebAssembly memory cannot grow', t => {
+    const dim = 17;
+    const vectors = randomVectors(2000, dim, 9);
+    const [query] = randomVectors(1, dim, 10);
+    const storage = new Float32Storage(dim, 100);
+    assert.ok(storage.slab instanceof WasmSlab);
+    vectors.slice(0, 100).forEach((vector, slot) => storage.write(slot, vector));
+
+    // 2000 vectors need more pages than 100 do
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(WebAssembly.Memory.prototype, 'grow', () => {
+        throw new RangeError('WebAssembly.Memory.grow(): Maximum memory size exceeded');
+    });
+    storage.resize(2000, 100);
+
+    assert.ok(storage.slab instanceof JsSlab);
+    assert.equal(storage.slab.capacity, 2000);
+    assert.equal(console.warn.mock.callCount(), 1);
+    vectors.slice(100).forEach((vector, i) => storage.write(100 + i, vector));
+    for (let slot = 0; slot < 2000; slot++) {
+        assert.deepEqual(storage.read(slot), vectors[slot]);
+    }
+
+    const expected = new WasmSlab(dim, 2000);
+    vectors.forEach((vector, slot) => expected.data.set(vector, slot * dim));
+    assertScoresClose(scoreAll(storage.slab, query, 'dot'), scoreAll(expected, query, 'dot'), dim, 'dot after fallback');
+});
+
+test('createSlab falls back to a JS slab when WebAssembly memory cannot be allocated', t => {
+    t.mock.method(console, 'warn', () => {});
+    t.mock.method(WebAssembly, 'Memory', function () {
+        throw new RangeError('WebAssembly.Memory(): could not allocate memory');
+    });
+
+    const slab = createSlab(8, 1000);
+    assert.ok(slab instanceof JsSlab);
+    assert.equal(slab.getBytesUsed(), 8 * 1000 * 4);
+});
+
+test('getBytesUsed counts vector bytes only, with the fixed overhead reported apart', () => {
+    const dim = 32;
+    const capacity = 1500;
+    const js = new JsSlab(dim, capacity);
+    const wasm = new WasmSlab(dim, capacity);
+
+    assert.equal(js.getBytesUsed(), capacity * dim * 4);
+    assert.equal(wasm.getBytesUsed(), capacity * dim * 4);
+
+    // Query area (dim floats, 16-byte aligned), the scores area and page rounding
+    assert.equal(js.getOverheadBytes(), BATCH_SIZE * 4);
+    const overhead = wasm.getOverheadBytes();
+    assert.equal(overhead, wasm.memory.buffer.byteLength - capacity * dim * 4);
+    assert.ok(overhead >= dim * 4 + BATCH_SIZE * 4);
+    assert.ok(overhead < dim * 4 + BATCH_SIZE * 4 + 16 + 65536);
+});
+
+test('embedded kernels binary is kernels.wat assembled', async () => {
+    const wabt = await wabtInit();
+    const source = readFileSync(new URL('../kernels.wat', import.meta.url), 'utf8');
+    const { buffer } = wabt.parseWat('kernels.wat', source, { simd: true }).toBinary({});
+
+    // KERNELS_WASM is module-private: read the base64 literal from simd.js
+    const simdSource = readFileSync(new URL('../simd.js', import.meta.url), 'utf8');
+    const [, embedded] = simdSource.match(/const KERNELS_WASM = Uint8Array\.from\(atob\(\s*'([A-Za-z0-9+/=]+)'/);
+
+    assert.equal(Buffer.from(buffer).toString('base64'), embedded);
+});
@@ -0,0 +1,117 @@
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { VectorEngine } from '../engine.js';
+import { decodeSnapshot, encodeSnapshot, SNAPSHOT_FORMAT_VERSION } from '../snapshot.js';
+import { ValidationError } from '../validation.js';
+import { randomVectors } from './helpers/vectors.js';
+
+beforeEach(() => {
+    mock.method(console, 'log', () => {});
+    return () => mock.restoreAll();
+});
+
+function invalidSnapshot(pattern) {
+    return error => error instanceof ValidationError && error.code === 'invalid_snapshot' && pattern.test(error.message);
+}
+
+/**
+ * Two collections: one over several segments with metadata and text, one indexed shard
+ * (no init(): the engines run in memory without IndexedDB)
+ */
+async function populatedEngine() {
+    const engine = new VectorEngine(1);
+    const docIds = Array.from({ length: 2500 }, (_, i) => `doc-${i}`);
+    await engine.addVectors('docs', randomVectors(2500, 16, 1), docIds, null, {
+        metadata: docIds.map((_, i) => ({ n: i })),
+        texts: docIds.map((_, i) => (i % 2 === 0 ? 'even vector' : null))
+    });
+    await engine.deleteVectors('docs', ['doc-7', 'doc-1500']);
+    await engine.addVectors('images', randomVectors(300, 8, 2), docIds.slice(0, 300), 's1', {
+        metric: 'l2',
+        index: { m: 8, efConstruction: 40 }
+    });
+    return engine;
+}
+
+test('a snapshot round-trips every collection', async () => {
+    const source = await populatedEngine();
+    const snapshot = await source.exportSnapshot();
+    assert.ok(snapshot instanceof Blob);
+
+    const target = new VectorEngine(1);
+    const result = await target.importSnapshot(snapshot);
+    assert.deepEqual({ collections: result.collections, vectors: result.vectors }, { collections: 2, vectors: 2798 });
+
+    assert.deepEqual(target.listCollections(), source.listCollections());
+    const sample = ['doc-0', 'doc-7', 'doc-1024', 'doc-2499'];
+    assert.deepEqual(
+        target.fetchVectors('docs', sample, { includeMetadata: true }),
+        source.fetchVectors('docs', sample, { includeMetadata: true })
+    );
+
+    const [query] = randomVectors(1, 8, 3);
+    assert.deepEqual(
+        await target.search('images', query, 5, 's1'),
+        await source.search('images', query, 5, 's1')
+    );
+    assert.ok(target.collections.get('images:s1').index);
+    assert.deepEqual(
+        await target.hybridSearch('docs', null, 'even', 3),
+        await source.hybridSearch('docs', null, 'even', 3)
+    );
+});
+
+test('a snapshot is written as chunks, not one header for the whole store', async () => {
+    const snapshot = await (await populatedEngine()).exportSnapshot();
+    const bytes = new Uint8Array(await snapshot.arrayBuffer());
+    const view = new DataView(bytes.buffer);
+
+    assert.equal(view.getUint32(8, true), SNAPSHOT_FORMAT_VERSION);
+
+    // Walk the chunks: a snapshot chunk, then each collection followed by its segments
+    const kinds = [];
+    let position = 12;
+    while (position < bytes.length - 32) {
+        const headerLength = view.getUint32(position, true);
+        const dataLength = view.getUint32(position + 4, true);
+        const header = JSON.parse(new TextDecoder().decode(bytes.subarray(position + 8, position + 8 + headerLength)));
+        kinds.push(header.kind);
+        position += 8 + headerLength + dataLength;
+    }
+    assert.equal(position, bytes.length - 32);
+    assert.deepEqual(kinds, ['snapshot', 'collection', 'segment', 'segment', 'segment', 'collection', 'segment']);
+});
+
+test('decodes a snapshot given as an ArrayBuffer', async () => {
+    const snapshot = await encodeSnapshot([{ manifest: { id: 'empty' }, segments: [] }]);
+    const { collections } = await decodeSnapshot(await snapshot.arrayBuffer());
+    assert.deepEqual(collections, [{ manifest: { id: 'empty' }, segments: [] }]);
+});
+
+test('rejects a corrupted trailer, a corrupted body and a truncated file', async () => {
+    const snapshot = await (await populatedEngine()).exportSnapshot();
+    const bytes = new Uint8Array(await snapshot.arrayBuffer());
+
+    const badTrailer = bytes.slice();
+    badTrailer[badTrailer.length - 1] ^= 0xFF;
+    await assert.rejects(decodeSnapshot(new Blob([badTrailer])), invalidSnapshot(/checksum mismatch/));
+
+    // A vector byte inside the last segment's data
+    const badBody = bytes.slice();
+    badBody[badBody.length - 100] ^= 0xFF;
+    await assert.rejects(decodeSnapshot(new Blob([badBody])), invalidSnapshot(/checksum mismatch/));
+
+    await assert.rejects(decodeSnapshot(new Blob([bytes.subarray(0, bytes.length - 1000)])), invalidSnapshot(/corrupt or truncated/));
+    await assert.rejects(decodeSnapshot(new Blob([bytes.subarray(0, 20)])), invalidSnapshot(/Not a vector store snapshot/));
+});
+
+test('a failed import leaves the store unchanged', async () => {
+    const snapshot = await (await populatedEngine()).exportSnapshot();
+    const bytes = new Uint8Array(await snapshot.arrayBuffer());
+    bytes[bytes.length - 1] ^= 0xFF;
+
+    const target = new VectorEngine(1);
+    await target.addVectors('docs', randomVectors(1, 16, 4), ['kept']);
+    await assert.rejects(target.importSnapshot(new Blob([bytes])), invalidSnapshot(/checksum mismatch/));
+    assert.deepEqual(target.fetchVectors('docs', ['kept', 'doc-0']).map(({ doc_id: docId }) => docId), ['kept']);
+});
@@ -0,0 +1,100 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+    ValidationError,
+    decodeBase64Payload,
+    errorCode,
+    validateDocIds,
+    validateFinite,
+    validateShape,
+    validateVectorBytes
+} from '../validation.js';
+import { WebSocketMiner } from '../miner.js';
+
+/**
+ * Matcher for assert.throws: a ValidationError with this code
+ */
+function withCode(code) {
+    return error => error instanceof ValidationError && error.code === code;
+}
+
+function toBase64(bytes) {
+    return Buffer.from(bytes).toString('base64');
+}
+
+function floatsBase64(values) {
+    return toBase64(new Uint8Array(new Float32Array(values).buffer));
+}
+
+// decodeVectors / decodeQueryVectors only use their arguments
+const decodeVectors = (b64, shape) => WebSocketMiner.prototype.decodeVectors.call(null, b64, shape);
+const decodeQueryVectors = (b64, shape) => WebSocketMiner.prototype.decodeQueryVectors.call(null, b64, shape);
+
+test('validateShape accepts [dim] and [count, dim]', () => {
+    assert.deepEqual(validateShape([384]), { count: 1, dim: 384 });
+    assert.deepEqual(validateShape([3, 8]), { count: 3, dim: 8 });
+});
+
+test('validateShape rejects malformed shapes', () => {
+    for (const shape of [undefined, [], [1, 2, 3], [0], [2, -1], [2.5, 4], ['4'], [1, 4097]]) {
+        assert.throws(() => validateShape(shape), withCode('invalid_shape'), JSON.stringify(shape));
+    }
+});
+
+test('validateVectorBytes checks the length against the shape', () => {
+    validateVectorBytes(new Uint8Array(24), { count: 2, dim: 3 });
+    assert.throws(() => validateVectorBytes(new Uint8Array(23), { count: 2, dim: 3 }), withCode('invalid_payload'));
+    assert.throws(() => validateVectorBytes(new Uint8Array(20), { count: 2, dim: 3 }), withCode('length_mismatch'));
+    assert.throws(() => validateVectorBytes(new Uint8Array(28), { count: 2, dim: 3 }), withCode('length_mismatch'));
+});
+
+test('validateFinite rejects NaN and infinities', () => {
+    validateFinite(new Float32Array([0, -1.5, 3e38]));
+    for (const bad of [NaN, Infinity, -Infinity]) {
+        assert.throws(() => validateFinite(new Float32Array([1, bad])), withCode('non_finite_values'));
+    }
+});
+
+test('validateDocIds checks type, count and each id', () => {
+    validateDocIds(['a', 'b'], 2);
+    assert.throws(() => validateDocIds('a', 1), withCode('invalid_doc_ids'));
+    assert.throws(() => validateDocIds(['a'], 2), withCode('doc_count_mismatch'));
+    assert.throws(() => validateDocIds(['a', ''], 2), withCode('invalid_doc_ids'));
+    assert.throws(() => validateDocIds(['a', 7], 2), withCode('invalid_doc_ids'));
+    assert.throws(() => validateDocIds(['a', null], 2), withCode('invalid_doc_ids'));
+});
+
+test('decodeBase64Payload rejects non-strings and invalid base64', () => {
+    assert.deepEqual(decodeBase64Payload(toBase64([1, 2, 255])), new Uint8Array([1, 2, 255]));
+    assert.throws(() => decodeBase64Payload(null), withCode('invalid_payload'));
+    assert.throws(() => decodeBase64Payload('not base64!'), withCode('invalid_payload'));
+    assert.throws(() => decodeBase64Payload('abcde'), withCode('invalid_payload'));
+});
+
+test('decodeVectors reports payload errors as validation errors', () => {
+    assert.deepEqual(decodeVectors(floatsBase64([1, 2, 3, 4]), [2, 2]).map(vector => Array.from(vector)), [[1, 2], [3, 4]]);
+
+    assert.throws(() => decodeVectors('%%%', [1, 2]), withCode('invalid_payload'));
+    assert.throws(() => decodeVectors(floatsBase64([1, 2, 3]), [2, 2]), withCode('length_mismatch'));
+    assert.throws(() => decodeVectors(floatsBase64([1, NaN]), [1, 2]), withCode('non_finite_values'));
+    assert.throws(() => decodeVectors(floatsBase64([1, 2]), [1, 0]), withCode('invalid_shape'));
+
+    // zstd magic followed by garbage
+    const corrupt = toBase64([0x28, 0xB5, 0x2F, 0xFD, 0xFF, 0xFF, 0xFF, 0xFF]);
+    assert.throws(() => decodeVectors(corrupt, [1, 2]), withCode('invalid_payload'));
+});
+
+test('decodeQueryVectors reports payload errors as validation errors', () => {
+    assert.deepEqual(Array.from(decodeQueryVectors(floatsBase64([1, 2]))[0]), [1, 2]);
+    assert.throws(() => decodeQueryVectors('%%%'), withCode('invalid_payload'));
+    assert.throws(() => decodeQueryVectors(floatsBase64([1, 2, 3]), [2, 2]), withCode('length_mismatch'));
+});
+
+test('errorCode only forwards ValidationError codes', () => {
+    assert.equal(errorCode(new ValidationError('invalid_shape', 'bad')), 'invalid_shape');
+
+    const domError = new Error('The string to be decoded is not correctly encoded.');
+    domError.code = 5;
+    assert.equal(errorCode(domError), 'internal_error');
+    assert.equal(errorCode(new Error('zstd: truncated input')), 'internal_error');
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createHash } from 'node:crypto';
+import { readFileSync } from 'node:fs';
+import { decompress, isZstdFrame } from '../zstd.js';
+import { gridVectorBytes } from './helpers/vectors.js';
+
+const FIXTURE_DIR = new URL('./fixtures/zstd/', import.meta.url);
+const FIXTURES = JSON.parse(readFileSync(new URL('fixtures.json', FIXTURE_DIR)));
+
+function readFixture(file) {
+    return new Uint8Array(readFileSync(new URL(file, FIXTURE_DIR)));
+}
+
+function expectedBytes({ count, dim, seed }) {
+    return gridVectorBytes(count, dim, seed);
+}
+
+/**
+ * Hand-built frame: single segment with a 4-byte content size if given,
+ * otherwise a 4 MB window and no content size
+ * @param {Array<{type: number, size: number, body: Array<number>}>} blocks
+ */
+function buildFrame({ contentSize = null, blocks }) {
+    const bytes = [0x28, 0xB5, 0x2F, 0xFD];
+    if (contentSize !== null) {
+        bytes.push(0xA0); // 4-byte content size, single segment
+        for (let i = 0; i < 4; i++) bytes.push(Math.floor(contentSize / 2 ** (8 * i)) & 0xFF);
+    } else {
+        bytes.push(0x00, 0x60); // no content size; window 2^(10 + 12)
+    }
+    blocks.forEach(({ type, size, body = [] }, i) => {
+        const header = (i === blocks.length - 1 ? 1 : 0) | (type << 1) | (size << 3);
+        bytes.push(header & 0xFF, (header >> 8) & 0xFF, (header >> 16) & 0xFF, ...body);
+    });
+    return new Uint8Array(bytes);
+}
+
+const RAW = 0;
+const RLE = 1;
+
+for (const fixture of FIXTURES) {
+    test(`decodes ${fixture.file} (zstd ${fixture.zstd_args.join(' ')})`, () => {
+        const compressed = readFixture(fixture.file);
+        assert.ok(isZstdFrame(compressed));
+
+        const expected = expectedBytes(fixture);
+        assert.equal(createHash('sha256').update(expected).digest('hex'), fixture.sha256);
+
+        const decoded = decompress(compressed, expected.length);
+        assert.equal(decoded.length, expected.length);
+        assert.deepEqual(decoded, expected);
+    });
+}
+
+test('streamed fixture has no content size in its frame header', () => {
+    const descriptor = readFixture('streamed.zst')[4];
+    assert.equal(descriptor >> 6, 0);
+    assert.equal((descriptor >> 5) & 1, 0);
+});
+
+test('decodes concatenated frames and skips skippable frames', () => {
+    const [a, b] = FIXTURES.slice(0, 2);
+    const skippable = new Uint8Array([0x50, 0x2A, 0x4D, 0x18, 3, 0, 0, 0, 9, 9, 9]);
+    const input = new Uint8Array([...skippable, ...readFixture(a.file), ...readFixture(b.file)]);
+
+    assert.ok(isZstdFrame(input));
+    assert.deepEqual(decompress(input), new Uint8Array([...expectedBytes(a), ...expectedBytes(b)]));
+});
+
+test('does not mistake raw float32 bytes for a frame', () => {
+    assert.equal(isZstdFrame(new Uint8Array(new Float32Array([0.5, -1, 2]).buffer)), false);
+    assert.equal(isZstdFrame(new Uint8Array([0x28, 0xB5])), false);
+});
+
+test('decodes hand-built raw and RLE blocks', () => {
+    const frame = buildFrame({
+        contentSize: 7,
+        blocks: [
+            { type: RAW, size: 3, body: [1, 2, 3] },
+            { type: RLE, size: 4, body: [0x41] }
+        ]
+    });
+    assert.deepEqual(decompress(frame), new Uint8Array([1, 2, 3, 0x41, 0x41, 0x41, 0x41]));
+});
+
+test('rejects truncated and corrupted fixtures', () => {
+    const fixture = FIXTURES.find(({ file }) => file === 'level3.zst');
+    const compressed = readFixture(fixture.file);
+
+    assert.throws(() => decompress(compressed.subarray(0, compressed.length - 100)), /zstd:/);
+    assert.throws(() => decompress(compressed.subarray(0, 6)), /zstd:/);
+
+    const badChecksum = compressed.slice();
+    badChecksum[badChecksum.length - 1] ^= 0xFF;
+    assert.throws(() => decompress(badChecksum), /checksum mismatch/);
+
+    const badMagic = compressed.slice();
+    badMagic[0] ^= 0xFF;
+    assert.throws(() => decompress(badMagic), /bad frame magic/);
+});
+
+test('rejects a frame whose content size disagrees with its blocks', () => {
+    const frame = buildFrame({ contentSize: 5, blocks: [{ type: RLE, size: 4, body: [7] }] });
+    assert.throws(() => decompress(frame), /content size mismatch/);
+});
+
+test('enforces maxOutput exactly', () => {
+    const fixture = FIXTURES.find(({ file }) => file === 'streamed.zst');
+    const compressed = readFixture(fixture.file);
+    const size = expectedBytes(fixture).length;
+
+    assert.equal(decompress(compressed, size).length, size);
+    assert.throws(() => decompress(compressed, size - 1), /output exceeds/);
+});
+
+test('rejects a declared content size over the limit before allocating it', () => {
+    // Claims 1 GB but carries a single 1-byte RLE block
+    const frame = buildFrame({ contentSize: 2 ** 30, blocks: [{ type: RLE, size: 1, body: [0] }] });
+    assert.throws(() => decompress(frame, 1024 * 1024), /exceeds the 1048576 byte output limit/);
+});
+
+test('rejects an RLE bomb', () => {
+    // 50 RLE blocks of 128 KB: about 6 MB from a 206-byte input
+    const blocks = Array.from({ length: 50 }, () => ({ type: RLE, size: 128 * 1024, body: [0xAA] }));
+    const frame = buildFrame({ blocks });
+    assert.equal(frame.length, 206);
+    assert.throws(() => decompress(frame, 1024 * 1024), /output exceeds/);
+});
+
+test('checks raw and RLE block sizes against the block maximum', () => {
+    const oversizedRle = buildFrame({ blocks: [{ type: RLE, size: 2 * 1024 * 1024 - 1, body: [0] }] });
+    assert.throws(() => decompress(oversizedRle), /exceeds the 131072 byte maximum/);
+
+    const oversizedRaw = buildFrame({ blocks: [{ type: RAW, size: 128 * 1024 + 1 }] });
+    assert.throws(() => decompress(oversizedRaw), /exceeds the 131072 byte maximum/);
+
+    // Single segment: the block maximum is the content size
+    const pastWindow = buildFrame({ contentSize: 8, blocks: [{ type: RLE, size: 9, body: [0] }] });
+    assert.throws(() => decompress(pastWindow), /exceeds the 8 byte maximum/);
+});
+
+test('treats a missing RLE byte as truncation', () => {
+    const frame = buildFrame({ contentSize: 4, blocks: [{ type: RLE, size: 4 }] });
+    assert.throws(() => decompress(frame), /truncated RLE block/);
+});
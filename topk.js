@@ -0,0 +1,78 @@
+/**
+ * Top-K Selection
+ * Bounded min-heap keeping the k highest-scoring items seen so far.
+ * The weakest kept score sits at the root, so most candidates are rejected
+ * with a single comparison and nothing is allocated per candidate.
+ */
+
+export class TopK {
+    /**
+     * @param {number} k - Number of results to keep
+     */
+    constructor(k) {
+        this.k = Math.max(0, k);
+        this.scores = new Float64Array(this.k);
+        this.items = new Array(this.k);
+        this.size = 0;
+    }
+
+    /**
+     * Lowest kept score (candidates must beat this once the heap is full)
+     */
+    get threshold() {
+        return this.size < this.k ? -Infinity : this.scores[0];
+    }
+
+    /**
+     * Offer a candidate
+     * @param {number} score - Higher is better
+     * @param {*} item - Payload returned with the score
+     */
+    push(score, item) {
+        if (this.size < this.k) {
+            this.siftUp(this.size++, score, item);
+        } else if (this.k > 0 && score > this.scores[0]) {
+            this.siftDown(0, score, item);
+        }
+    }
+
+    siftUp(index, score, item) {
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (this.scores[parent] <= score) break;
+            this.scores[index] = this.scores[parent];
+            this.items[index] = this.items[parent];
+            index = parent;
+        }
+        this.scores[index] = score;
+        this.items[index] = item;
+    }
+
+    siftDown(index, score, item) {
+        const half = this.size >> 1;
+        while (index < half) {
+            let child = 2 * index + 1;
+            if (child + 1 < this.size && this.scores[child + 1] < this.scores[child]) {
+                child++;
+            }
+            if (this.scores[child] >= score) break;
+            this.scores[index] = this.scores[child];
+            this.items[index] = this.items[child];
+            index = child;
+        }
+        this.scores[index] = score;
+        this.items[index] = item;
+    }
+
+    /**
+     * Kept items, best first
+     * @returns {Array<{item: *, score: number}>}
+     */
+    results() {
+        const results = [];
+        for (let i = 0; i < this.size; i++) {
+            results.push({ item: this.items[i], score: this.scores[i] });
+        }
+        return results.sort((a, b) => b.score - a.score);
+    }
+}
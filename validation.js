@@ -0,0 +1,477 @@
+/**
+ * Request Validation
+ * Checks decoded coordinator payloads before they reach the VectorEngine,
+ * so malformed requests are rejected instead of corrupting a collection
+ */
+
+// Serialised size limit for one doc's metadata
+const MAX_METADATA_BYTES = 16 * 1024;
+// Deepest result a search can page to (offset + top_k)
+const MAX_SEARCH_DEPTH = 10000;
+// Query vectors per batched search_request
+const MAX_BATCH_QUERIES = 256;
+// Largest embedding dimension a collection may use
+const MAX_DIMENSION = 4096;
+// Longest TTL a store request may set (one year)
+const MAX_TTL_SECONDS = 365 * 24 * 60 * 60;
+// Docs an audit_request may sample
+const MAX_AUDIT_SAMPLES = 256;
+// Longest text field a stored doc may carry for keyword search
+const MAX_TEXT_LENGTH = 4096;
+// Longest keyword query a search_request may send
+const MAX_TEXT_QUERY_LENGTH = 1024;
+
+/**
+ * Validation failure with a machine-readable code for *_response messages
+ */
+export class ValidationError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.name = 'ValidationError';
+        this.code = code;
+    }
+}
+
+/**
+ * Decode a base64 vector payload into bytes
+ * @param {string} b64 - Payload from the request
+ * @returns {Uint8Array}
+ */
+export function decodeBase64Payload(b64) {
+    if (typeof b64 !== 'string') {
+        throw new ValidationError('invalid_payload', 'Vector payload must be a base64 string');
+    }
+
+    let binary;
+    try {
+        binary = atob(b64);
+    } catch (error) {
+        throw new ValidationError('invalid_payload', 'Vector payload is not valid base64');
+    }
+
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return bytes;
+}
+
+/**
+ * Machine-readable code for a *_response error: only ValidationErrors carry one
+ * the coordinator can act on; anything else (including engine and DOM errors) is internal
+ * @param {Error} error
+ * @returns {string}
+ */
+export function errorCode(error) {
+    return error instanceof ValidationError ? error.code : 'internal_error';
+}
+
+/**
+ * Validate a vector shape and return it as [count, dim]
+ * Accepts [dim] for a single vector or [count, dim] for a batch
+ * @param {Array<number>} shape - Shape from the request
+ * @returns {{count: number, dim: number}}
+ */
+export function validateShape(shape) {
+    if (!Array.isArray(shape) || shape.length < 1 || shape.length > 2) {
+        throw new ValidationError('invalid_shape', `Shape must be [dim] or [count, dim], got ${JSON.stringify(shape)}`);
+    }
+
+    for (const value of shape) {
+        if (!Number.isInteger(value) || value <= 0) {
+            throw new ValidationError('invalid_shape', `Shape values must be positive integers, got ${JSON.stringify(shape)}`);
+        }
+    }
+
+    if (shape[shape.length - 1] > MAX_DIMENSION) {
+        throw new ValidationError('invalid_shape', `Dimension ${shape[shape.length - 1]} exceeds the maximum of ${MAX_DIMENSION}`);
+    }
+
+    return shape.length === 1
+        ? { count: 1, dim: shape[0] }
+        : { count: shape[0], dim: shape[1] };
+}
+
+/**
+ * Check that a decoded byte payload holds exactly count * dim float32 values
+ * @param {Uint8Array} bytes - Decoded (and decompressed) payload
+ * @param {{count: number, dim: number}} shape - Validated shape
+ */
+export function validateVectorBytes(bytes, { count, dim }) {
+    if (bytes.byteLength % 4 !== 0) {
+        throw new ValidationError('invalid_payload', `Payload length ${bytes.byteLength} is not a multiple of 4 bytes`);
+    }
+
+    const expectedBytes = count * dim * 4;
+    if (bytes.byteLength !== expectedBytes) {
+        throw new ValidationError(
+            'length_mismatch',
+            `Decoded vector payload is ${bytes.byteLength} bytes, expected ${expectedBytes} for shape [${count}, ${dim}]`
+        );
+    }
+}
+
+/**
+ * Reject NaN and +/-Infinity components
+ * @param {Float32Array} values - Decoded float32 values
+ */
+export function validateFinite(values) {
+    for (let i = 0; i < values.length; i++) {
+        if (!Number.isFinite(values[i])) {
+            throw new ValidationError('non_finite_values', `Vector data contains ${values[i]} at index ${i}`);
+        }
+    }
+}
+
+/**
+ * Check that doc_ids is a list of non-empty strings matching the vector count
+ * @param {Array<string>} docIds - Document IDs from the request
+ * @param {number} count - Number of decoded vectors
+ */
+export function validateDocIds(docIds, count) {
+    if (!Array.isArray(docIds)) {
+        throw new ValidationError('invalid_doc_ids', 'doc_ids must be an array');
+    }
+
+    if (docIds.length !== count) {
+        throw new ValidationError('doc_count_mismatch', `Got ${docIds.length} doc_ids for ${count} vectors`);
+    }
+
+    for (const docId of docIds) {
+        if (typeof docId !== 'string' || docId.length === 0) {
+            throw new ValidationError('invalid_doc_ids', `Invalid doc_id: ${JSON.stringify(docId)}`);
+        }
+    }
+}
+
+/**
+ * Check that metadata, if given, is a list of JSON objects (or null) matching the vector count
+ * @param {Array<Object|null>|undefined} metadata - Per-doc metadata from the request
+ * @param {number} count - Number of decoded vectors
+ * @returns {Array<Object|null>|null} null if not given
+ */
+export function validateMetadata(metadata, count) {
+    if (metadata === undefined || metadata === null) {
+        return null;
+    }
+
+    if (!Array.isArray(metadata)) {
+        throw new ValidationError('invalid_metadata', 'metadata must be an array');
+    }
+
+    if (metadata.length !== count) {
+        throw new ValidationError('metadata_count_mismatch', `Got ${metadata.length} metadata entries for ${count} vectors`);
+    }
+
+    metadata.forEach((entry, i) => {
+        if (entry === null) return;
+
+        if (typeof entry !== 'object' || Array.isArray(entry)) {
+            throw new ValidationError('invalid_metadata', `Metadata for doc ${i} must be an object or null`);
+        }
+
+        const bytes = JSON.stringify(entry).length;
+        if (bytes > MAX_METADATA_BYTES) {
+            throw new ValidationError('invalid_metadata', `Metadata for doc ${i} is ${bytes} bytes, limit is ${MAX_METADATA_BYTES}`);
+        }
+    });
+
+    return metadata;
+}
+
+/**
+ * Check that texts, if given, is a list of strings (or null) matching the vector count
+ * @param {Array<string|null>|undefined} texts - Per-doc text fields from the request
+ * @param {number} count - Number of decoded vectors
+ * @returns {Array<string|null>|null} null if not given
+ */
+export function validateTexts(texts, count) {
+    if (texts === undefined || texts === null) {
+        return null;
+    }
+
+    if (!Array.isArray(texts)) {
+        throw new ValidationError('invalid_text', 'texts must be an array');
+    }
+
+    if (texts.length !== count) {
+        throw new ValidationError('text_count_mismatch', `Got ${texts.length} texts for ${count} vectors`);
+    }
+
+    texts.forEach((text, i) => {
+        if (text === null) return;
+
+        if (typeof text !== 'string') {
+            throw new ValidationError('invalid_text', `Text for doc ${i} must be a string or null`);
+        }
+
+        if (text.length > MAX_TEXT_LENGTH) {
+            throw new ValidationError('invalid_text', `Text for doc ${i} is ${text.length} characters, limit is ${MAX_TEXT_LENGTH}`);
+        }
+    });
+
+    return texts;
+}
+
+/**
+ * Check the sampled doc_ids of an audit request
+ * @param {Array<string>} docIds - Document IDs to prove
+ */
+export function validateAuditDocIds(docIds) {
+    if (!Array.isArray(docIds) || docIds.length > MAX_AUDIT_SAMPLES) {
+        throw new ValidationError('invalid_doc_ids', `doc_ids must be an array of at most ${MAX_AUDIT_SAMPLES} IDs`);
+    }
+
+    validateDocIds(docIds, docIds.length);
+}
+
+/**
+ * Validate ANN index options from a store request or the miner config
+ * Accepts { type: 'flat' } or { type: 'hnsw', m?, ef_construction?, ef_search? }
+ * @param {Object|null|undefined} index - Index options
+ * @returns {{m: number, efConstruction: number, efSearch: number}|null} HNSW params, or null for brute force
+ */
+export function validateIndexOptions(index) {
+    if (index === undefined || index === null) {
+        return null;
+    }
+
+    if (typeof index !== 'object' || !['flat', 'hnsw'].includes(index.type)) {
+        throw new ValidationError('invalid_index_options', `Index type must be 'flat' or 'hnsw', got ${JSON.stringify(index?.type ?? index)}`);
+    }
+
+    if (index.type === 'flat') {
+        return null;
+    }
+
+    const params = {
+        m: index.m ?? 16,
+        efConstruction: index.ef_construction ?? 200,
+        efSearch: index.ef_search ?? 64
+    };
+
+    checkIntegerRange('m', params.m, 2, 128);
+    checkIntegerRange('ef_construction', params.efConstruction, params.m, 4096);
+    checkIntegerRange('ef_search', params.efSearch, 1, 4096);
+
+    return params;
+}
+
+/**
+ * Validate collection storage options from a store request or the miner config
+ * Accepts { mode: 'float32' | 'int8' } or { mode: 'pq', subvectors?, training_size? }
+ * @param {Object|null|undefined} storage - Storage options
+ * @param {number} dim - Vector dimension of the collection
+ * @returns {{mode: string, subvectors?: number, trainingSize?: number}|null} null if not given
+ */
+export function validateStorageOptions(storage, dim) {
+    if (storage === undefined || storage === null) {
+        return null;
+    }
+
+    if (typeof storage !== 'object' || !['float32', 'int8', 'pq'].includes(storage.mode)) {
+        throw new ValidationError('invalid_storage_options', `Storage mode must be 'float32', 'int8' or 'pq', got ${JSON.stringify(storage?.mode ?? storage)}`);
+    }
+
+    if (storage.mode !== 'pq') {
+        return { mode: storage.mode };
+    }
+
+    // Default to 4 dimensions per subvector (16x smaller than float32)
+    const subvectors = storage.subvectors ?? (dim % 4 === 0 ? dim / 4 : undefined);
+    if (!Number.isInteger(subvectors) || subvectors < 1 || dim % subvectors !== 0) {
+        throw new ValidationError('invalid_storage_options', `subvectors must be an integer dividing dimension ${dim}, got ${JSON.stringify(storage.subvectors)}`);
+    }
+
+    const trainingSize = storage.training_size ?? 2048;
+    if (!Number.isInteger(trainingSize) || trainingSize < 256 || trainingSize > 100000) {
+        throw new ValidationError('invalid_storage_options', `training_size must be an integer in [256, 100000], got ${JSON.stringify(trainingSize)}`);
+    }
+
+    return { mode: 'pq', subvectors, trainingSize };
+}
+
+/**
+ * Validate the distance metric declared by a store request
+ * @param {string|null|undefined} metric - 'cosine', 'dot' or 'l2'
+ * @returns {string|null} null if not given
+ */
+export function validateMetric(metric) {
+    if (metric === undefined || metric === null) {
+        return null;
+    }
+
+    if (!['cosine', 'dot', 'l2'].includes(metric)) {
+        throw new ValidationError('invalid_metric', `Metric must be 'cosine', 'dot' or 'l2', got ${JSON.stringify(metric)}`);
+    }
+
+    return metric;
+}
+
+/**
+ * Validate a store request's ttl_seconds
+ * @returns {number|null} null if not given
+ */
+export function validateTtl(ttlSeconds) {
+    if (ttlSeconds === undefined || ttlSeconds === null) {
+        return null;
+    }
+
+    checkInteger('invalid_ttl', 'ttl_seconds', ttlSeconds, 1, MAX_TTL_SECONDS);
+    return ttlSeconds;
+}
+
+/**
+ * Validate the eviction policy from the miner config
+ * @returns {string} 'reject' (the default), 'lru' or 'ttl'
+ */
+export function validateEvictionPolicy(policy) {
+    if (policy === undefined || policy === null) {
+        return 'reject';
+    }
+
+    if (!['reject', 'lru', 'ttl'].includes(policy)) {
+        throw new ValidationError('invalid_eviction_policy', `Eviction policy must be 'reject', 'lru' or 'ttl', got ${JSON.stringify(policy)}`);
+    }
+
+    return policy;
+}
+
+/**
+ * Validate a per-query ef_search override
+ * @returns {number|undefined}
+ */
+export function validateEfSearch(efSearch) {
+    if (efSearch === undefined || efSearch === null) {
+        return undefined;
+    }
+
+    checkIntegerRange('ef_search', efSearch, 1, 4096);
+    return efSearch;
+}
+
+function checkIntegerRange(name, value, min, max) {
+    checkInteger('invalid_index_options', name, value, min, max);
+}
+
+function checkInteger(code, name, value, min, max) {
+    if (!Number.isInteger(value) || value < min || value > max) {
+        throw new ValidationError(code, `${name} must be an integer in [${min}, ${max}], got ${JSON.stringify(value)}`);
+    }
+}
+
+/**
+ * Validate the search paging fields: top_k plus either offset or a cursor from a previous page
+ * @param {Object} request - search_request
+ * @returns {{topK: number, offset: number}}
+ */
+export function validatePaging({ top_k: topK = 10, offset, cursor }) {
+    checkInteger('invalid_top_k', 'top_k', topK, 1, MAX_SEARCH_DEPTH);
+
+    if (offset !== undefined && cursor !== undefined) {
+        throw new ValidationError('invalid_paging', 'Give either offset or cursor, not both');
+    }
+
+    let start = offset ?? 0;
+    if (cursor !== undefined) {
+        try {
+            start = JSON.parse(atob(cursor)).offset;
+        } catch (error) {
+            throw new ValidationError('invalid_cursor', `Malformed cursor: ${JSON.stringify(cursor)}`);
+        }
+    }
+
+    checkInteger('invalid_paging', 'offset', start, 0, MAX_SEARCH_DEPTH - topK);
+    return { topK, offset: start };
+}
+
+/**
+ * Opaque cursor for the page starting at offset (see validatePaging)
+ */
+export function encodeCursor(offset) {
+    return btoa(JSON.stringify({ offset }));
+}
+
+/**
+ * Validate a search score threshold
+ * @returns {number|undefined}
+ */
+export function validateScoreThreshold(threshold) {
+    if (threshold === undefined || threshold === null) {
+        return undefined;
+    }
+
+    if (typeof threshold !== 'number' || !Number.isFinite(threshold)) {
+        throw new ValidationError('invalid_score_threshold', `score_threshold must be a finite number, got ${JSON.stringify(threshold)}`);
+    }
+
+    return threshold;
+}
+
+/**
+ * Validate a search_request's keyword query
+ * @returns {string|null} null if not given
+ */
+export function validateTextQuery(textQuery) {
+    if (textQuery === undefined || textQuery === null) {
+        return null;
+    }
+
+    if (typeof textQuery !== 'string' || textQuery.trim() === '' || textQuery.length > MAX_TEXT_QUERY_LENGTH) {
+        throw new ValidationError('invalid_text_query', `text_query must be a non-empty string of at most ${MAX_TEXT_QUERY_LENGTH} characters`);
+    }
+
+    return textQuery;
+}
+
+/**
+ * Validate how a hybrid search fuses its vector and keyword rankings
+ * @param {string|undefined} fusion - Fusion method; only 'rrf' (reciprocal rank fusion) for now
+ * @param {number|undefined} rrfK - RRF damping constant
+ * @returns {{method: string, k: number}}
+ */
+export function validateFusion(fusion = 'rrf', rrfK = 60) {
+    if (fusion !== 'rrf') {
+        throw new ValidationError('invalid_fusion', `Fusion must be 'rrf', got ${JSON.stringify(fusion)}`);
+    }
+
+    checkInteger('invalid_fusion', 'rrf_k', rrfK, 1, 1000);
+    return { method: fusion, k: rrfK };
+}
+
+/**
+ * Check the number of query vectors in a search_request
+ */
+export function validateQueryCount(count) {
+    checkInteger('invalid_shape', 'Query count', count, 1, MAX_BATCH_QUERIES);
+}
+
+/**
+ * Check a vector dimension against the dimension the collection was created with
+ * @param {number} dim - Dimension of the incoming vectors
+ * @param {number|null} collectionDim - Existing collection dimension (null if new)
+ * @param {string} key - Collection key for the error message
+ */
+export function validateDimension(dim, collectionDim, key) {
+    if (collectionDim !== null && dim !== collectionDim) {
+        throw new ValidationError(
+            'dimension_mismatch',
+            `Collection ${key} has dimension ${collectionDim}, got ${dim}`
+        );
+    }
+}
+
+/**
+ * Check a declared metric against the metric the collection was created with
+ * @param {string|null} metric - Metric from the request (null if not declared)
+ * @param {string|null} collectionMetric - Existing collection metric (null if new)
+ * @param {string} key - Collection key for the error message
+ */
+export function validateMetricMatch(metric, collectionMetric, key) {
+    if (metric !== null && collectionMetric !== null && metric !== collectionMetric) {
+        throw new ValidationError(
+            'metric_mismatch',
+            `Collection ${key} uses metric ${collectionMetric}, got ${metric}`
+        );
+    }
+}
@@ -0,0 +1,70 @@
+/**
+ * Vector Math
+ * Small float32 kernels shared by the engine and the HNSW index
+ * (plain JS; simd.js has WebAssembly SIMD versions of the batched ones)
+ */
+
+/**
+ * Dot product of `a` with the `a.length` floats of `b` starting at `bOffset`
+ * (lets callers score slab rows without creating subarray views)
+ * @param {Float32Array} a - First vector
+ * @param {Float32Array} b - Second vector or slab
+ * @param {number} [bOffset] - Start of the row in `b`
+ */
+export function dot(a, b, bOffset = 0) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        sum += a[i] * b[bOffset + i];
+    }
+    return sum;
+}
+
+/**
+ * Squared Euclidean distance between `a` and the row of `b` at `bOffset`
+ */
+export function l2Squared(a, b, bOffset = 0) {
+    let sum = 0;
+    for (let i = 0; i < a.length; i++) {
+        const diff = a[i] - b[bOffset + i];
+        sum += diff * diff;
+    }
+    return sum;
+}
+
+/**
+ * Cosine similarity (0 if either vector is all zeros)
+ */
+export function cosine(a, b) {
+    const denominator = Math.sqrt(dot(a, a) * dot(b, b));
+    return denominator === 0 ? 0 : dot(a, b) / denominator;
+}
+
+/**
+ * Euclidean norm
+ */
+export function norm(a) {
+    return Math.sqrt(dot(a, a));
+}
+
+/**
+ * Scale a vector to unit length in place (zero vectors are left as is)
+ * @returns {number} The original norm
+ */
+export function normalizeInPlace(a) {
+    const length = norm(a);
+    if (length > 0) {
+        for (let i = 0; i < a.length; i++) {
+            a[i] /= length;
+        }
+    }
+    return length;
+}
+
+/**
+ * Unit-length copy of a vector
+ */
+export function normalized(a) {
+    const copy = Float32Array.from(a);
+    normalizeInPlace(copy);
+    return copy;
+}
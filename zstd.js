@@ -0,0 +1,1046 @@
+/**
+ * Zstandard Decoder
+ * Pure JavaScript decompressor for zstd frames (RFC 8878), small enough to
+ * run inside the MV3 service worker without WASM or native bindings.
+ * Only decompression is implemented; dictionaries are not supported.
+ */
+
+const ZSTD_MAGIC = 0xFD2FB528;
+const SKIPPABLE_MAGIC_MASK = 0xFFFFFFF0;
+const SKIPPABLE_MAGIC = 0x184D2A50;
+
+const MAX_BLOCK_SIZE = 128 * 1024;
+
+// Literal length codes: [baseline, extra bits]
+const LL_BASE = [
+    0, 1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15,
+    16, 18, 20, 22, 24, 28, 32, 40, 48, 64, 128, 256, 512, 1024, 2048, 4096,
+    8192, 16384, 32768, 65536
+];
+const LL_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 6, 7, 8, 9, 10, 11, 12,
+    13, 14, 15, 16
+];
+
+// Match length codes: [baseline, extra bits]
+const ML_BASE = [
+    3, 4, 5, 6, 7, 8, 9, 10, 11, 12, 13, 14, 15, 16, 17, 18,
+    19, 20, 21, 22, 23, 24, 25, 26, 27, 28, 29, 30, 31, 32, 33, 34,
+    35, 37, 39, 41, 43, 47, 51, 59, 67, 83, 99, 131, 259, 515, 1027, 2051,
+    4099, 8195, 16387, 32771, 65539
+];
+const ML_BITS = [
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0, 0,
+    1, 1, 1, 1, 2, 2, 3, 3, 4, 4, 5, 7, 8, 9, 10, 11,
+    12, 13, 14, 15, 16
+];
+
+// Predefined FSE distributions (RFC 8878 section 3.1.1.3.2.2)
+const LL_DEFAULT_NORM = [
+    4, 3, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 2, 1, 1, 1,
+    2, 2, 2, 2, 2, 2, 2, 2, 2, 3, 2, 1, 1, 1, 1, 1,
+    -1, -1, -1, -1
+];
+const ML_DEFAULT_NORM = [
+    1, 4, 3, 2, 2, 2, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, 1, -1, -1,
+    -1, -1, -1, -1, -1
+];
+const OF_DEFAULT_NORM = [
+    1, 1, 1, 1, 1, 1, 2, 2, 2, 1, 1, 1, 1, 1, 1, 1,
+    1, 1, 1, 1, 1, 1, 1, 1, -1, -1, -1, -1, -1
+];
+
+const LL_MAX_SYMBOL = 35;
+const ML_MAX_SYMBOL = 52;
+const OF_MAX_SYMBOL = 31;
+const LL_MAX_LOG = 9;
+const ML_MAX_LOG = 9;
+const OF_MAX_LOG = 8;
+const HUF_MAX_LOG = 11;
+
+let defaultTables = null;
+
+/**
+ * Check whether bytes start with a zstd frame (or a skippable frame)
+ * @param {Uint8Array} bytes - Candidate payload
+ * @returns {boolean}
+ */
+export function isZstdFrame(bytes) {
+    if (!bytes || bytes.length < 4) return false;
+    const magic = readU32(bytes, 0);
+    return magic === ZSTD_MAGIC || (magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC;
+}
+
+/**
+ * Decompress one or more concatenated zstd frames
+ * @param {Uint8Array} bytes - Compressed data
+ * @param {number} [maxOutput] - Fail as soon as the output would grow past this many bytes
+ *     (a tiny frame can declare or expand to gigabytes)
+ * @returns {Uint8Array} Decompressed data
+ */
+export function decompress(bytes, maxOutput = Infinity) {
+    const out = new OutputBuffer(Math.min(bytes.length * 4, maxOutput), maxOutput);
+    let pos = 0;
+
+    while (pos < bytes.length) {
+        if (bytes.length - pos < 4) {
+            throw new Error('zstd: truncated frame header');
+        }
+
+        const magic = readU32(bytes, pos);
+
+        if ((magic & SKIPPABLE_MAGIC_MASK) >>> 0 === SKIPPABLE_MAGIC) {
+            const frameSize = readU32(bytes, pos + 4);
+            pos += 8 + frameSize;
+            continue;
+        }
+
+        if (magic !== ZSTD_MAGIC) {
+            throw new Error(`zstd: bad frame magic 0x${magic.toString(16)}`);
+        }
+
+        pos = decodeFrame(bytes, pos + 4, out);
+    }
+
+    return out.result();
+}
+
+/**
+ * Decode a single frame starting just after its magic number
+ * @returns {number} Position of the first byte after the frame
+ */
+function decodeFrame(src, pos, out) {
+    const descriptor = src[pos++];
+    const fcsFlag = descriptor >> 6;
+    const singleSegment = (descriptor >> 5) & 1;
+    const hasChecksum = (descriptor >> 2) & 1;
+    const dictIdFlag = descriptor & 3;
+
+    if (descriptor & 0x08) {
+        throw new Error('zstd: reserved frame header bit set');
+    }
+
+    let windowSize = 0;
+    if (!singleSegment) {
+        const windowDescriptor = src[pos++];
+        const exponent = windowDescriptor >> 3;
+        const mantissa = windowDescriptor & 7;
+        const windowBase = 2 ** (10 + exponent);
+        windowSize = windowBase + (windowBase / 8) * mantissa;
+    }
+
+    const dictIdSize = [0, 1, 2, 4][dictIdFlag];
+    let dictId = 0;
+    for (let i = 0; i < dictIdSize; i++) {
+        dictId += src[pos + i] * 2 ** (8 * i);
+    }
+    pos += dictIdSize;
+
+    if (dictId !== 0) {
+        throw new Error(`zstd: dictionary ${dictId} required but dictionaries are not supported`);
+    }
+
+    const fcsSize = [singleSegment ? 1 : 0, 2, 4, 8][fcsFlag];
+    let contentSize = -1;
+    if (fcsSize > 0) {
+        contentSize = 0;
+        for (let i = 0; i < fcsSize; i++) {
+            contentSize += src[pos + i] * 2 ** (8 * i);
+        }
+        if (fcsSize === 2) contentSize += 256;
+        pos += fcsSize;
+    }
+
+    if (singleSegment) {
+        windowSize = contentSize;
+    }
+
+    const frameStart = out.length;
+    if (contentSize > 0) {
+        // Checked before reserving, so a declared size can't allocate past the limit
+        if (contentSize > out.limit - out.length) {
+            throw new Error(`zstd: frame content size ${contentSize} exceeds the ${out.limit} byte output limit`);
+        }
+        out.reserve(contentSize);
+    }
+
+    const state = {
+        windowSize,
+        blockMax: Math.min(MAX_BLOCK_SIZE, windowSize || MAX_BLOCK_SIZE),
+        reps: [1, 4, 8],
+        huffTable: null,
+        llTable: null,
+        ofTable: null,
+        mlTable: null
+    };
+
+    let lastBlock = false;
+    while (!lastBlock) {
+        if (pos + 3 > src.length) {
+            throw new Error('zstd: truncated block header');
+        }
+
+        const header = src[pos] | (src[pos + 1] << 8) | (src[pos + 2] << 16);
+        pos += 3;
+
+        lastBlock = (header & 1) === 1;
+        const blockType = (header >> 1) & 3;
+        const blockSize = header >>> 3;
+
+        if (blockSize > state.blockMax) {
+            throw new Error(`zstd: block size ${blockSize} exceeds the ${state.blockMax} byte maximum`);
+        }
+
+        switch (blockType) {
+            case 0: // Raw
+                if (pos + blockSize > src.length) {
+                    throw new Error('zstd: truncated raw block');
+                }
+                out.append(src.subarray(pos, pos + blockSize));
+                pos += blockSize;
+                break;
+
+            case 1: // RLE
+                if (pos >= src.length) {
+                    throw new Error('zstd: truncated RLE block');
+                }
+                out.fill(src[pos], blockSize);
+                pos += 1;
+                break;
+
+            case 2: // Compressed
+                if (pos + blockSize > src.length) {
+                    throw new Error('zstd: invalid compressed block size');
+                }
+                decodeCompressedBlock(src.subarray(pos, pos + blockSize), state, out);
+                pos += blockSize;
+                break;
+
+            default:
+                throw new Error('zstd: reserved block type');
+        }
+    }
+
+    const frameLength = out.length - frameStart;
+
+    if (contentSize >= 0 && frameLength !== contentSize) {
+        throw new Error(`zstd: frame content size mismatch (${frameLength} != ${contentSize})`);
+    }
+
+    if (hasChecksum) {
+        if (pos + 4 > src.length) {
+            throw new Error('zstd: truncated content checksum');
+        }
+        const expected = readU32(src, pos);
+        const actual = xxh64Low32(out.view(frameStart, out.length));
+        if (expected !== actual) {
+            throw new Error('zstd: content checksum mismatch');
+        }
+        pos += 4;
+    }
+
+    return pos;
+}
+
+/**
+ * Decode a compressed block: literals section followed by sequences section
+ */
+function decodeCompressedBlock(block, state, out) {
+    const { literals, consumed } = decodeLiterals(block, state);
+    const sequences = decodeSequences(block, consumed, state);
+    executeSequences(sequences, literals, state, out);
+}
+
+/**
+ * Decode the literals section of a compressed block
+ */
+function decodeLiterals(block, state) {
+    const b0 = block[0];
+    const literalsType = b0 & 3;
+    const sizeFormat = (b0 >> 2) & 3;
+
+    if (literalsType === 0 || literalsType === 1) {
+        let regenSize;
+        let headerSize;
+
+        if (sizeFormat === 0 || sizeFormat === 2) {
+            regenSize = b0 >> 3;
+            headerSize = 1;
+        } else if (sizeFormat === 1) {
+            regenSize = (b0 >> 4) + (block[1] << 4);
+            headerSize = 2;
+        } else {
+            regenSize = (b0 >> 4) + (block[1] << 4) + (block[2] << 12);
+            headerSize = 3;
+        }
+
+        if (literalsType === 0) {
+            if (headerSize + regenSize > block.length) {
+                throw new Error('zstd: truncated raw literals');
+            }
+            return {
+                literals: block.subarray(headerSize, headerSize + regenSize),
+                consumed: headerSize + regenSize
+            };
+        }
+
+        const literals = new Uint8Array(regenSize);
+        literals.fill(block[headerSize]);
+        return { literals, consumed: headerSize + 1 };
+    }
+
+    // Compressed (2) or treeless (3) Huffman literals
+    let regenSize;
+    let compressedSize;
+    let headerSize;
+    let streams = 4;
+
+    if (sizeFormat === 0 || sizeFormat === 1) {
+        const h = b0 | (block[1] << 8) | (block[2] << 16);
+        regenSize = (h >>> 4) & 0x3FF;
+        compressedSize = (h >>> 14) & 0x3FF;
+        headerSize = 3;
+        if (sizeFormat === 0) streams = 1;
+    } else if (sizeFormat === 2) {
+        const h = readU32(block, 0);
+        regenSize = (h >>> 4) & 0x3FFF;
+        compressedSize = (h >>> 18) & 0x3FFF;
+        headerSize = 4;
+    } else {
+        const h = readU32(block, 0);
+        regenSize = (h >>> 4) & 0x3FFFF;
+        compressedSize = ((h >>> 22) + block[4] * 1024) & 0x3FFFF;
+        headerSize = 5;
+    }
+
+    if (headerSize + compressedSize > block.length) {
+        throw new Error('zstd: truncated compressed literals');
+    }
+
+    let data = block.subarray(headerSize, headerSize + compressedSize);
+
+    if (literalsType === 2) {
+        const { table, consumed } = readHuffmanTable(data);
+        state.huffTable = table;
+        data = data.subarray(consumed);
+    } else if (!state.huffTable) {
+        throw new Error('zstd: treeless literals without a previous Huffman table');
+    }
+
+    const literals = new Uint8Array(regenSize);
+
+    if (streams === 1) {
+        decodeHuffmanStream(data, state.huffTable, literals, 0, regenSize);
+    } else {
+        if (data.length < 6) {
+            throw new Error('zstd: truncated literals jump table');
+        }
+        const size1 = data[0] | (data[1] << 8);
+        const size2 = data[2] | (data[3] << 8);
+        const size3 = data[4] | (data[5] << 8);
+        const size4 = data.length - 6 - size1 - size2 - size3;
+        if (size4 < 1) {
+            throw new Error('zstd: invalid literals jump table');
+        }
+
+        const segment = Math.ceil(regenSize / 4);
+        let srcPos = 6;
+        let dstPos = 0;
+        const sizes = [size1, size2, size3, size4];
+
+        for (let i = 0; i < 4; i++) {
+            const count = i < 3 ? Math.min(segment, regenSize - dstPos) : regenSize - dstPos;
+            decodeHuffmanStream(data.subarray(srcPos, srcPos + sizes[i]), state.huffTable, literals, dstPos, count);
+            srcPos += sizes[i];
+            dstPos += count;
+        }
+    }
+
+    return { literals, consumed: headerSize + compressedSize };
+}
+
+/**
+ * Read a Huffman tree description and build its decoding table
+ */
+function readHuffmanTable(data) {
+    const headerByte = data[0];
+    let weights;
+    let consumed;
+
+    if (headerByte < 128) {
+        // FSE-compressed weights
+        consumed = 1 + headerByte;
+        if (consumed > data.length) {
+            throw new Error('zstd: truncated Huffman weights');
+        }
+        weights = decodeHuffmanWeights(data.subarray(1, consumed));
+    } else {
+        // Direct 4-bit weights
+        const count = headerByte - 127;
+        consumed = 1 + Math.ceil(count / 2);
+        if (consumed > data.length) {
+            throw new Error('zstd: truncated Huffman weights');
+        }
+        weights = new Uint8Array(count);
+        for (let i = 0; i < count; i++) {
+            const byte = data[1 + (i >> 1)];
+            weights[i] = i % 2 === 0 ? byte >> 4 : byte & 15;
+        }
+    }
+
+    // Derive the implied last weight
+    let total = 0;
+    for (const w of weights) {
+        if (w > HUF_MAX_LOG) {
+            throw new Error('zstd: Huffman weight too large');
+        }
+        if (w > 0) total += 1 << (w - 1);
+    }
+    if (total === 0) {
+        throw new Error('zstd: empty Huffman weights');
+    }
+
+    const tableLog = highBit(total) + 1;
+    if (tableLog > HUF_MAX_LOG) {
+        throw new Error('zstd: Huffman table log too large');
+    }
+
+    const remainder = (1 << tableLog) - total;
+    if (remainder & (remainder - 1)) {
+        throw new Error('zstd: invalid Huffman weights');
+    }
+
+    const allWeights = new Uint8Array(weights.length + 1);
+    allWeights.set(weights);
+    allWeights[weights.length] = highBit(remainder) + 1;
+
+    // Build the decoding table (canonical: lower weights fill lower indices)
+    const rankCount = new Uint32Array(tableLog + 2);
+    for (const w of allWeights) rankCount[w]++;
+
+    const rankStart = new Uint32Array(tableLog + 2);
+    let next = 0;
+    for (let w = 1; w <= tableLog; w++) {
+        rankStart[w] = next;
+        next += rankCount[w] << (w - 1);
+    }
+
+    const size = 1 << tableLog;
+    const symbols = new Uint8Array(size);
+    const nbBits = new Uint8Array(size);
+
+    for (let s = 0; s < allWeights.length; s++) {
+        const w = allWeights[s];
+        if (w === 0) continue;
+        const length = 1 << (w - 1);
+        const start = rankStart[w];
+        symbols.fill(s, start, start + length);
+        nbBits.fill(tableLog + 1 - w, start, start + length);
+        rankStart[w] += length;
+    }
+
+    return { table: { tableLog, symbols, nbBits }, consumed };
+}
+
+/**
+ * Decode FSE-compressed Huffman weights (two interleaved states)
+ */
+function decodeHuffmanWeights(data) {
+    const reader = new ForwardBitReader(data);
+    const { norm, accuracyLog } = readFseDistribution(reader, 255, 6);
+    const table = buildFseTable(norm, accuracyLog);
+
+    const stream = new BackwardBitReader(data.subarray(reader.bytesConsumed()));
+    const weights = [];
+
+    let state1 = stream.read(accuracyLog);
+    let state2 = stream.read(accuracyLog);
+
+    while (true) {
+        weights.push(table.symbols[state1]);
+        state1 = table.baselines[state1] + stream.read(table.nbBits[state1]);
+        if (stream.overflowed()) {
+            weights.push(table.symbols[state2]);
+            break;
+        }
+
+        weights.push(table.symbols[state2]);
+        state2 = table.baselines[state2] + stream.read(table.nbBits[state2]);
+        if (stream.overflowed()) {
+            weights.push(table.symbols[state1]);
+            break;
+        }
+
+        if (weights.length > 255) {
+            throw new Error('zstd: too many Huffman weights');
+        }
+    }
+
+    return Uint8Array.from(weights);
+}
+
+/**
+ * Decode one Huffman-coded literals stream
+ */
+function decodeHuffmanStream(data, table, dst, dstPos, count) {
+    const stream = new BackwardBitReader(data);
+    const { tableLog, symbols, nbBits } = table;
+
+    for (let i = 0; i < count; i++) {
+        const index = stream.peek(tableLog);
+        dst[dstPos + i] = symbols[index];
+        stream.skip(nbBits[index]);
+    }
+
+    if (stream.remaining() !== 0) {
+        throw new Error('zstd: Huffman stream not fully consumed');
+    }
+}
+
+/**
+ * Decode the sequences section of a compressed block
+ */
+function decodeSequences(block, pos, state) {
+    let nbSeq = block[pos++];
+
+    if (nbSeq === 0) {
+        return [];
+    }
+    if (nbSeq === 255) {
+        nbSeq = block[pos] + (block[pos + 1] << 8) + 0x7F00;
+        pos += 2;
+    } else if (nbSeq >= 128) {
+        nbSeq = ((nbSeq - 128) << 8) + block[pos];
+        pos += 1;
+    }
+
+    const modes = block[pos++];
+    if (modes & 3) {
+        throw new Error('zstd: reserved sequence compression mode bits set');
+    }
+
+    const defaults = getDefaultTables();
+
+    let result = selectFseTable(block, pos, (modes >> 6) & 3, defaults.ll, state.llTable, LL_MAX_SYMBOL, LL_MAX_LOG);
+    state.llTable = result.table;
+    pos = result.pos;
+
+    result = selectFseTable(block, pos, (modes >> 4) & 3, defaults.of, state.ofTable, OF_MAX_SYMBOL, OF_MAX_LOG);
+    state.ofTable = result.table;
+    pos = result.pos;
+
+    result = selectFseTable(block, pos, (modes >> 2) & 3, defaults.ml, state.mlTable, ML_MAX_SYMBOL, ML_MAX_LOG);
+    state.mlTable = result.table;
+    pos = result.pos;
+
+    const stream = new BackwardBitReader(block.subarray(pos));
+    const llTable = state.llTable;
+    const ofTable = state.ofTable;
+    const mlTable = state.mlTable;
+
+    let llState = stream.read(llTable.accuracyLog);
+    let ofState = stream.read(ofTable.accuracyLog);
+    let mlState = stream.read(mlTable.accuracyLog);
+
+    const sequences = new Array(nbSeq);
+
+    for (let i = 0; i < nbSeq; i++) {
+        const llCode = llTable.symbols[llState];
+        const ofCode = ofTable.symbols[ofState];
+        const mlCode = mlTable.symbols[mlState];
+
+        if (llCode > LL_MAX_SYMBOL || mlCode > ML_MAX_SYMBOL || ofCode > OF_MAX_SYMBOL) {
+            throw new Error('zstd: invalid sequence code');
+        }
+
+        const offsetValue = 2 ** ofCode + stream.read(ofCode);
+        const matchLength = ML_BASE[mlCode] + stream.read(ML_BITS[mlCode]);
+        const literalLength = LL_BASE[llCode] + stream.read(LL_BITS[llCode]);
+
+        sequences[i] = { literalLength, matchLength, offsetValue };
+
+        if (i < nbSeq - 1) {
+            llState = llTable.baselines[llState] + stream.read(llTable.nbBits[llState]);
+            mlState = mlTable.baselines[mlState] + stream.read(mlTable.nbBits[mlState]);
+            ofState = ofTable.baselines[ofState] + stream.read(ofTable.nbBits[ofState]);
+        }
+    }
+
+    if (stream.remaining() !== 0) {
+        throw new Error('zstd: sequence bitstream not fully consumed');
+    }
+
+    return sequences;
+}
+
+/**
+ * Resolve the FSE table for one sequence symbol type
+ */
+function selectFseTable(block, pos, mode, defaultTable, previousTable, maxSymbol, maxLog) {
+    switch (mode) {
+        case 0: // Predefined
+            return { table: defaultTable, pos };
+
+        case 1: { // RLE
+            const symbols = new Uint8Array([block[pos]]);
+            return {
+                table: {
+                    accuracyLog: 0,
+                    symbols,
+                    nbBits: new Uint8Array(1),
+                    baselines: new Uint16Array(1)
+                },
+                pos: pos + 1
+            };
+        }
+
+        case 2: { // FSE compressed
+            const reader = new ForwardBitReader(block.subarray(pos));
+            const { norm, accuracyLog } = readFseDistribution(reader, maxSymbol, maxLog);
+            return { table: buildFseTable(norm, accuracyLog), pos: pos + reader.bytesConsumed() };
+        }
+
+        default: // Repeat
+            if (!previousTable) {
+                throw new Error('zstd: repeat mode without a previous table');
+            }
+            return { table: previousTable, pos };
+    }
+}
+
+/**
+ * Apply decoded sequences, copying literals and matches into the output
+ */
+function executeSequences(sequences, literals, state, out) {
+    const reps = state.reps;
+    let litPos = 0;
+
+    for (const seq of sequences) {
+        const { literalLength, matchLength } = seq;
+        let offsetValue = seq.offsetValue;
+        let offset;
+
+        if (offsetValue > 3) {
+            offset = offsetValue - 3;
+            reps[2] = reps[1];
+            reps[1] = reps[0];
+            reps[0] = offset;
+        } else {
+            if (literalLength === 0) offsetValue++;
+
+            if (offsetValue === 1) {
+                offset = reps[0];
+            } else if (offsetValue === 2) {
+                offset = reps[1];
+                reps[1] = reps[0];
+                reps[0] = offset;
+            } else if (offsetValue === 3) {
+                offset = reps[2];
+                reps[2] = reps[1];
+                reps[1] = reps[0];
+                reps[0] = offset;
+            } else {
+                offset = reps[0] - 1;
+                reps[2] = reps[1];
+                reps[1] = reps[0];
+                reps[0] = offset;
+            }
+        }
+
+        if (litPos + literalLength > literals.length) {
+            throw new Error('zstd: literal length exceeds literals buffer');
+        }
+        out.append(literals.subarray(litPos, litPos + literalLength));
+        litPos += literalLength;
+
+        if (offset === 0 || offset > out.length) {
+            throw new Error(`zstd: invalid match offset ${offset}`);
+        }
+        out.copyMatch(offset, matchLength);
+    }
+
+    out.append(literals.subarray(litPos));
+}
+
+/**
+ * Read an FSE normalized distribution (table description)
+ */
+function readFseDistribution(reader, maxSymbol, maxLog) {
+    const accuracyLog = reader.read(4) + 5;
+    if (accuracyLog > maxLog) {
+        throw new Error(`zstd: FSE accuracy log ${accuracyLog} exceeds ${maxLog}`);
+    }
+
+    const norm = [];
+    let remaining = (1 << accuracyLog) + 1;
+    let threshold = 1 << accuracyLog;
+    let nbBits = accuracyLog + 1;
+    let symbol = 0;
+
+    while (remaining > 1) {
+        if (symbol > maxSymbol) {
+            throw new Error('zstd: FSE distribution has too many symbols');
+        }
+
+        const max = (2 * threshold - 1) - remaining;
+        let count;
+        const low = reader.peek(nbBits - 1);
+
+        if (low < max) {
+            count = low;
+            reader.skip(nbBits - 1);
+        } else {
+            count = reader.peek(nbBits);
+            if (count >= threshold) count -= max;
+            reader.skip(nbBits);
+        }
+
+        count--;
+        remaining -= Math.abs(count);
+        norm[symbol++] = count;
+
+        if (count === 0) {
+            // Zero-probability symbols are followed by 2-bit repeat flags
+            let repeat;
+            do {
+                repeat = reader.read(2);
+                for (let i = 0; i < repeat; i++) {
+                    norm[symbol++] = 0;
+                }
+            } while (repeat === 3);
+        }
+
+        while (remaining < threshold) {
+            nbBits--;
+            threshold >>= 1;
+        }
+    }
+
+    if (remaining !== 1 || symbol > maxSymbol + 1) {
+        throw new Error('zstd: corrupted FSE distribution');
+    }
+
+    return { norm, accuracyLog };
+}
+
+/**
+ * Build an FSE decoding table from a normalized distribution
+ */
+function buildFseTable(norm, accuracyLog) {
+    const size = 1 << accuracyLog;
+    const symbols = new Uint8Array(size);
+    const nbBits = new Uint8Array(size);
+    const baselines = new Uint16Array(size);
+    const symbolNext = new Uint16Array(norm.length);
+
+    let highThreshold = size - 1;
+    for (let s = 0; s < norm.length; s++) {
+        if (norm[s] === -1) {
+            symbols[highThreshold--] = s;
+            symbolNext[s] = 1;
+        } else {
+            symbolNext[s] = norm[s];
+        }
+    }
+
+    const mask = size - 1;
+    const step = (size >> 1) + (size >> 3) + 3;
+    let position = 0;
+    for (let s = 0; s < norm.length; s++) {
+        for (let i = 0; i < norm[s]; i++) {
+            symbols[position] = s;
+            do {
+                position = (position + step) & mask;
+            } while (position > highThreshold);
+        }
+    }
+
+    if (position !== 0) {
+        throw new Error('zstd: corrupted FSE table');
+    }
+
+    for (let u = 0; u < size; u++) {
+        const nextState = symbolNext[symbols[u]]++;
+        const bits = accuracyLog - highBit(nextState);
+        nbBits[u] = bits;
+        baselines[u] = (nextState << bits) - size;
+    }
+
+    return { accuracyLog, symbols, nbBits, baselines };
+}
+
+/**
+ * Lazily build the predefined sequence tables
+ */
+function getDefaultTables() {
+    if (!defaultTables) {
+        defaultTables = {
+            ll: buildFseTable(LL_DEFAULT_NORM, 6),
+            ml: buildFseTable(ML_DEFAULT_NORM, 6),
+            of: buildFseTable(OF_DEFAULT_NORM, 5)
+        };
+    }
+    return defaultTables;
+}
+
+/**
+ * Little-endian bit reader used for FSE table descriptions
+ */
+class ForwardBitReader {
+    constructor(data) {
+        this.data = data;
+        this.bitPos = 0;
+    }
+
+    peek(n) {
+        return readBitsAt(this.data, this.bitPos, n);
+    }
+
+    skip(n) {
+        this.bitPos += n;
+        if (this.bitPos > this.data.length * 8) {
+            throw new Error('zstd: FSE table description overflow');
+        }
+    }
+
+    read(n) {
+        const value = this.peek(n);
+        this.skip(n);
+        return value;
+    }
+
+    bytesConsumed() {
+        return Math.ceil(this.bitPos / 8);
+    }
+}
+
+/**
+ * Reverse bit reader used for Huffman and FSE bitstreams: the stream starts
+ * at the highest set bit of the last byte and is consumed towards byte 0.
+ */
+class BackwardBitReader {
+    constructor(data) {
+        if (data.length === 0) {
+            throw new Error('zstd: empty bitstream');
+        }
+        const last = data[data.length - 1];
+        if (last === 0) {
+            throw new Error('zstd: bitstream missing end marker');
+        }
+        this.data = data;
+        this.bitPos = (data.length - 1) * 8 + highBit(last);
+    }
+
+    peek(n) {
+        return readBitsAt(this.data, this.bitPos - n, n);
+    }
+
+    skip(n) {
+        this.bitPos -= n;
+    }
+
+    read(n) {
+        const value = this.peek(n);
+        this.bitPos -= n;
+        return value;
+    }
+
+    remaining() {
+        return this.bitPos;
+    }
+
+    overflowed() {
+        return this.bitPos < 0;
+    }
+}
+
+/**
+ * Read n bits (n <= 32) starting at bit offset start; bits before 0 read as zero
+ */
+function readBitsAt(data, start, n) {
+    if (n === 0) return 0;
+
+    let value = 0;
+    let scale = 1;
+    let pos = start;
+    let remaining = n;
+
+    if (pos < 0) {
+        const skip = Math.min(-pos, n);
+        scale = 2 ** skip;
+        pos += skip;
+        remaining -= skip;
+    }
+
+    while (remaining > 0) {
+        const byte = data[pos >> 3] || 0;
+        const shift = pos & 7;
+        const take = Math.min(8 - shift, remaining);
+        value += ((byte >> shift) & ((1 << take) - 1)) * scale;
+        scale *= 2 ** take;
+        pos += take;
+        remaining -= take;
+    }
+
+    return value;
+}
+
+/**
+ * Growable byte buffer holding the decoded output (and thus the match window)
+ */
+class OutputBuffer {
+    constructor(initialSize, limit = Infinity) {
+        this.buffer = new Uint8Array(Math.max(initialSize, 1024));
+        this.length = 0;
+        this.limit = limit;
+    }
+
+    reserve(extra) {
+        const needed = this.length + extra;
+        if (needed > this.limit) {
+            throw new Error(`zstd: output exceeds the ${this.limit} byte limit`);
+        }
+        if (needed <= this.buffer.length) return;
+
+        let size = this.buffer.length;
+        while (size < needed) size *= 2;
+        size = Math.min(size, this.limit);
+
+        const grown = new Uint8Array(size);
+        grown.set(this.buffer.subarray(0, this.length));
+        this.buffer = grown;
+    }
+
+    append(bytes) {
+        this.reserve(bytes.length);
+        this.buffer.set(bytes, this.length);
+        this.length += bytes.length;
+    }
+
+    fill(value, count) {
+        this.reserve(count);
+        this.buffer.fill(value, this.length, this.length + count);
+        this.length += count;
+    }
+
+    copyMatch(offset, count) {
+        this.reserve(count);
+        const buf = this.buffer;
+        let src = this.length - offset;
+
+        if (offset >= count) {
+            buf.copyWithin(this.length, src, src + count);
+        } else {
+            // Overlapping match: copy byte by byte to repeat the pattern
+            for (let i = 0; i < count; i++) {
+                buf[this.length + i] = buf[src++];
+            }
+        }
+        this.length += count;
+    }
+
+    view(start, end) {
+        return this.buffer.subarray(start, end);
+    }
+
+    result() {
+        return this.buffer.slice(0, this.length);
+    }
+}
+
+function readU32(bytes, pos) {
+    return (bytes[pos] | (bytes[pos + 1] << 8) | (bytes[pos + 2] << 16) | (bytes[pos + 3] << 24)) >>> 0;
+}
+
+function highBit(value) {
+    return 31 - Math.clz32(value);
+}
+
+// XXH64 (seed 0) for the optional frame content checksum
+
+const PRIME64_1 = 0x9E3779B185EBCA87n;
+const PRIME64_2 = 0xC2B2AE3D27D4EB4Fn;
+const PRIME64_3 = 0x165667B19E3779F9n;
+const PRIME64_4 = 0x85EBCA77C2B2AE63n;
+const PRIME64_5 = 0x27D4EB2F165667C5n;
+const MASK64 = 0xFFFFFFFFFFFFFFFFn;
+
+function rotl64(x, r) {
+    return ((x << BigInt(r)) | (x >> BigInt(64 - r))) & MASK64;
+}
+
+function xxhRound(acc, input) {
+    acc = (acc + input * PRIME64_2) & MASK64;
+    acc = rotl64(acc, 31);
+    return (acc * PRIME64_1) & MASK64;
+}
+
+function xxhMergeRound(acc, val) {
+    acc ^= xxhRound(0n, val);
+    return (acc * PRIME64_1 + PRIME64_4) & MASK64;
+}
+
+/**
+ * Low 32 bits of XXH64(data, 0), as stored in the zstd frame footer
+ */
+function xxh64Low32(data) {
+    const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+    const len = data.length;
+    let pos = 0;
+    let h;
+
+    if (len >= 32) {
+        let v1 = (PRIME64_1 + PRIME64_2) & MASK64;
+        let v2 = PRIME64_2;
+        let v3 = 0n;
+        let v4 = (0n - PRIME64_1) & MASK64;
+
+        while (pos + 32 <= len) {
+            v1 = xxhRound(v1, view.getBigUint64(pos, true));
+            v2 = xxhRound(v2, view.getBigUint64(pos + 8, true));
+            v3 = xxhRound(v3, view.getBigUint64(pos + 16, true));
+            v4 = xxhRound(v4, view.getBigUint64(pos + 24, true));
+            pos += 32;
+        }
+
+        h = (rotl64(v1, 1) + rotl64(v2, 7) + rotl64(v3, 12) + rotl64(v4, 18)) & MASK64;
+        h = xxhMergeRound(h, v1);
+        h = xxhMergeRound(h, v2);
+        h = xxhMergeRound(h, v3);
+        h = xxhMergeRound(h, v4);
+    } else {
+        h = PRIME64_5;
+    }
+
+    h = (h + BigInt(len)) & MASK64;
+
+    while (pos + 8 <= len) {
+        h ^= xxhRound(0n, view.getBigUint64(pos, true));
+        h = (rotl64(h, 27) * PRIME64_1 + PRIME64_4) & MASK64;
+        pos += 8;
+    }
+
+    if (pos + 4 <= len) {
+        h ^= (BigInt(view.getUint32(pos, true)) * PRIME64_1) & MASK64;
+        h = (rotl64(h, 23) * PRIME64_2 + PRIME64_3) & MASK64;
+        pos += 4;
+    }
+
+    while (pos < len) {
+        h ^= (BigInt(data[pos]) * PRIME64_5) & MASK64;
+        h = (rotl64(h, 11) * PRIME64_1) & MASK64;
+        pos++;
+    }
+
+    h ^= h >> 33n;
+    h = (h * PRIME64_2) & MASK64;
+    h ^= h >> 29n;
+    h = (h * PRIME64_3) & MASK64;
+    h ^= h >> 32n;
+
+    return Number(h & 0xFFFFFFFFn);
+}